@@ -0,0 +1,160 @@
+import mongoose from "mongoose";
+import AIQuota from "../models/aiQuota.model.js";
+import AIUsage from "../models/aiUsage.model.js";
+import { getEffectiveQuota } from "../services/aiQuota.service.js";
+
+// Limits must be a non-negative integer, or null for unlimited
+const parseLimit = (value) => {
+  if (value === null) return { value: null };
+  if (value === undefined) return {};
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    return { error: true };
+  }
+  return { value: number };
+};
+
+const buildQuotaUpdate = (body) => {
+  const update = {};
+  for (const field of ["dailyTokenLimit", "dailyRequestLimit"]) {
+    const parsed = parseLimit(body[field]);
+    if (parsed.error) {
+      return { error: `${field} must be a non-negative integer or null` };
+    }
+    if ("value" in parsed) {
+      update[field] = parsed.value;
+    }
+  }
+  if (typeof body.note === "string") {
+    update.note = body.note;
+  }
+  return { update };
+};
+
+// Get the global default-chatbot quota and all per-user overrides
+export const getAIQuotas = async (req, res) => {
+  try {
+    const quotas = await AIQuota.find()
+      .populate("userId", "fullName email")
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      global: quotas.find(quota => !quota.userId) || null,
+      overrides: quotas.filter(quota => quota.userId)
+    });
+  } catch (error) {
+    console.error("Error fetching AI quotas:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Set the global default-chatbot quota
+export const updateGlobalAIQuota = async (req, res) => {
+  try {
+    const { update, error } = buildQuotaUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const quota = await AIQuota.findOneAndUpdate(
+      { userId: null },
+      { ...update, updatedBy: req.user._id },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(200).json(quota);
+  } catch (error) {
+    console.error("Error updating global AI quota:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Override the default-chatbot quota for one user
+export const updateUserAIQuota = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const { update, error } = buildQuotaUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const quota = await AIQuota.findOneAndUpdate(
+      { userId },
+      { ...update, updatedBy: req.user._id },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      quota,
+      effectiveQuota: await getEffectiveQuota(userId)
+    });
+  } catch (error) {
+    console.error("Error updating user AI quota:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Remove a user's override so the global quota applies again
+export const deleteUserAIQuota = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+
+    const quota = await AIQuota.findOneAndDelete({ userId });
+    if (!quota) {
+      return res.status(404).json({ error: "Quota override not found" });
+    }
+
+    res.status(200).json({ message: "Quota override removed" });
+  } catch (error) {
+    console.error("Error deleting user AI quota:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Get the default-chatbot usage ledger for a day, heaviest users first
+export const getAIUsage = async (req, res) => {
+  try {
+    const { day = AIUsage.toDayKey(), userId, limit = 50 } = req.query;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      return res.status(400).json({ error: "Day must be formatted as YYYY-MM-DD" });
+    }
+
+    const query = { day, isDefaultChatbot: true };
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+      query.userId = userId;
+    }
+
+    const usage = await AIUsage.find(query)
+      .populate("userId", "fullName email")
+      .sort({ totalTokens: -1 })
+      .limit(parseInt(limit))
+      .lean();
+
+    res.status(200).json({ day, usage });
+  } catch (error) {
+    console.error("Error fetching AI usage:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export default {
+  getAIQuotas,
+  updateGlobalAIQuota,
+  updateUserAIQuota,
+  deleteUserAIQuota,
+  getAIUsage
+};
@@ -1,7 +1,17 @@
-import { generateToken } from "../lib/utils.js";
+import { getAccountRestriction } from "../lib/utils.js";
 import User from "../models/user.model.js";
 import UserEnhanced from "../models/user_enhanced.model.js";
+import {
+  clearAuthCookies,
+  findTokenFamily,
+  REFRESH_TOKEN_COOKIE,
+  revokeTokenFamily,
+  rotateRefreshToken,
+  startAuthSession
+} from "../services/authToken.service.js";
+import { endSession, isUserSession, notifyNewDeviceLogin } from "../services/deviceSession.service.js";
 import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
 import cloudinary from "../lib/cloudinary.js";
 
 export const signup = async (req, res) => {
@@ -29,9 +39,9 @@ export const signup = async (req, res) => {
     });
 
     if (newUser) {
-      // generate jwt token here
-      generateToken(newUser._id, res);
       await newUser.save();
+      // Access token plus a refresh token for this device
+      await startAuthSession(req, res, newUser._id);
 
       res.status(201).json({
         _id: newUser._id,
@@ -98,8 +108,20 @@ export const login = async (req, res) => {
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
+    // Checked after the password so a wrong guess can't learn whether an account is suspended
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      console.log("Login refused for restricted account:", email, restriction.code);
+      return res.status(403).json(restriction);
+    }
+
     console.log("Login successful for user:", email);
-    generateToken(user._id, res);
+    const session = await startAuthSession(req, res, user._id);
+
+    // A warning that fails to send must not fail the sign-in
+    notifyNewDeviceLogin(user._id, session).catch((error) =>
+      console.log("Error notifying new device login", error.message)
+    );
 
     res.status(200).json({
       _id: user._id,
@@ -113,16 +135,68 @@ export const login = async (req, res) => {
   }
 };
 
-export const logout = (req, res) => {
+// Exchange the refresh token cookie for a new access token and refresh token
+export const refresh = async (req, res) => {
   try {
-    // SỬA LỖI: Properly clear cookie with same settings as when it was set
-    res.cookie("jwt", "", {
-      maxAge: 0,
-      httpOnly: true,
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      secure: process.env.NODE_ENV === "production",
-      domain: process.env.NODE_ENV === "production" ? undefined : undefined,
-    });
+    const token = req.cookies[REFRESH_TOKEN_COOKIE];
+    if (!token) {
+      return res.status(401).json({ message: "No refresh token provided", code: "REFRESH_TOKEN_MISSING" });
+    }
+
+    const result = await rotateRefreshToken(req, res, token);
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Invalid refresh token", code: result.error });
+    }
+
+    // Try both User models to support old and new accounts
+    let user = await User.findById(result.userId).select("-password");
+    if (!user) {
+      user = await UserEnhanced.findById(result.userId).select("-password");
+    }
+    if (!user) {
+      await revokeTokenFamily(result.familyId, "logout");
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Invalid refresh token", code: "REFRESH_TOKEN_INVALID" });
+    }
+
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      clearAuthCookies(res);
+      return res.status(403).json(restriction);
+    }
+
+    res.status(200).json({ message: "Token refreshed successfully" });
+  } catch (error) {
+    console.log("Error in refresh controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Sign this device out: its refresh token family is revoked server-side, so copies of its tokens stop working too
+export const logout = async (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_TOKEN_COOKIE];
+    let familyId = refreshToken ? await findTokenFamily(refreshToken) : null;
+
+    // Without a refresh cookie, fall back to the session in the access token. An expired token
+    // still signs its device out, but only a genuine one: the signature is always checked.
+    if (!familyId && req.cookies.jwt) {
+      try {
+        const decoded = jwt.verify(req.cookies.jwt, process.env.JWT_SECRET, { ignoreExpiration: true });
+        if (decoded.sid && (await isUserSession(decoded.userId, decoded.sid))) {
+          familyId = decoded.sid;
+        }
+      } catch (error) {
+        console.log("Logout with an invalid access token:", error.message);
+      }
+    }
+    if (familyId) {
+      await endSession(familyId, "logout");
+    }
+
+    // SỬA LỖI: Properly clear cookies with same settings as when they were set
+    clearAuthCookies(res);
     
     console.log("User logged out successfully in environment:", process.env.NODE_ENV);
     res.status(200).json({ message: "Logged out successfully" });
@@ -1,6 +1,10 @@
+import mongoose from "mongoose";
 import UserEnhanced from "../models/user_enhanced.model.js";
 import ConversationEnhanced from "../models/conversation_enhanced.model.js";
 import FriendRequest from "../models/friendRequest.model.js";
+import MessageEnhanced from "../models/message_enhanced.model.js";
+import Report, { MAX_EVIDENCE_MESSAGES, REPORT_REASONS } from "../models/report.model.js";
+import { findUserAccount, isActionTaken } from "../services/userModeration.service.js";
 import { getSocketInstance } from "../lib/socket.js";
 
 // Block user
@@ -69,7 +73,7 @@ export const blockUser = async (req, res) => {
         if (admin._id.toString() !== currentUserId.toString()) {
           const sockets = io.sockets.sockets;
           for (const [socketId, socket] of sockets) {
-            if (socket.handshake.query.userId === admin._id.toString()) {
+            if (socket.userId === admin._id.toString()) {
               socket.emit("blockedUserInGroup", {
                 groupId: group._id,
                 groupName: group.name,
@@ -91,7 +95,7 @@ export const blockUser = async (req, res) => {
     // Emit block event to current user
     const sockets = io.sockets.sockets;
     for (const [socketId, socket] of sockets) {
-      if (socket.handshake.query.userId === currentUserId.toString()) {
+      if (socket.userId === currentUserId.toString()) {
         socket.emit("userBlocked", {
           blockedUserId: targetUserId,
           blockedUser: {
@@ -141,7 +145,7 @@ export const unblockUser = async (req, res) => {
     const io = getSocketInstance();
     const sockets = io.sockets.sockets;
     for (const [socketId, socket] of sockets) {
-      if (socket.handshake.query.userId === currentUserId.toString()) {
+      if (socket.userId === currentUserId.toString()) {
         socket.emit("userUnblocked", {
           unblockedUserId: targetUserId,
           unblockedUser: {
@@ -298,7 +302,7 @@ export const bulkUnblockUsers = async (req, res) => {
     const io = getSocketInstance();
     const sockets = io.sockets.sockets;
     for (const [socketId, socket] of sockets) {
-      if (socket.handshake.query.userId === currentUserId.toString()) {
+      if (socket.userId === currentUserId.toString()) {
         socket.emit("bulkUsersUnblocked", {
           unblockedUserIds: results.filter(r => r.success).map(r => r.userId)
         });
@@ -312,24 +316,78 @@ export const bulkUnblockUsers = async (req, res) => {
   }
 };
 
-// Report user (can be used before blocking)
+// Evidence must be messages the reported user sent to the reporter, directly or in a shared conversation
+const findEvidenceMessages = async (messageIds, targetUserId, reporterId) => {
+  const messages = await MessageEnhanced.find({
+    _id: { $in: messageIds },
+    senderId: targetUserId
+  })
+    .select("_id receiverId conversationId")
+    .lean();
+
+  const conversationIds = messages.map(message => message.conversationId).filter(Boolean);
+  const sharedConversationIds = conversationIds.length > 0
+    ? (await ConversationEnhanced.find({ _id: { $in: conversationIds }, participants: reporterId }).distinct("_id"))
+      .map(id => id.toString())
+    : [];
+
+  return messages.filter(message =>
+    message.receiverId?.toString() === reporterId.toString() ||
+    sharedConversationIds.includes(message.conversationId?.toString())
+  );
+};
+
+// Report user (can be used before blocking); the report goes to the moderation queue
 export const reportUser = async (req, res) => {
   try {
-    const { userId: targetUserId, reason, description = "" } = req.body;
+    const { userId: targetUserId, reason, description = "", evidenceMessageIds = [] } = req.body;
     const currentUserId = req.user._id;
 
-    if (!reason) {
-      return res.status(400).json({ error: "Reason is required" });
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Reason must be one of: ${REPORT_REASONS.join(", ")}` });
+    }
+    if (typeof description !== "string" || description.length > 1000) {
+      return res.status(400).json({ error: "Description must be at most 1000 characters" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+    if (currentUserId.toString() === targetUserId) {
+      return res.status(400).json({ error: "Cannot report yourself" });
+    }
+
+    const evidenceIds = Array.isArray(evidenceMessageIds) ? [...new Set(evidenceMessageIds.map(String))] : null;
+    if (!evidenceIds || evidenceIds.length > MAX_EVIDENCE_MESSAGES) {
+      return res.status(400).json({ error: `evidenceMessageIds must list at most ${MAX_EVIDENCE_MESSAGES} messages` });
+    }
+    if (evidenceIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: "Invalid message ID in evidenceMessageIds" });
     }
 
-    const targetUser = await UserEnhanced.findById(targetUserId);
-    if (!targetUser) {
+    const targetAccount = await findUserAccount(targetUserId);
+    if (!targetAccount) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // For now, we'll just log the report
-    // In a real application, you'd save this to a reports collection
-    console.log(`User Report: ${currentUserId} reported ${targetUserId} for ${reason}: ${description}`);
+    // One open report per reporter and user; moderators see it until it is closed
+    const existingReport = await Report.findOne({
+      reporterId: currentUserId,
+      targetUserId,
+      status: { $in: ["open", "in_review", "resolving"] }
+    });
+    if (existingReport) {
+      return res.status(409).json({
+        error: "You already have an open report about this user",
+        reportId: existingReport._id
+      });
+    }
+
+    if (evidenceIds.length > 0) {
+      const evidence = await findEvidenceMessages(evidenceIds, targetUserId, currentUserId);
+      if (evidence.length !== evidenceIds.length) {
+        return res.status(400).json({ error: "Evidence must be messages the reported user sent you" });
+      }
+    }
 
     // Optionally auto-block for severe reasons
     const severeReasons = ["harassment", "spam", "inappropriate_content"];
@@ -337,16 +395,26 @@ export const reportUser = async (req, res) => {
 
     if (severeReasons.includes(reason)) {
       const currentUser = await UserEnhanced.findById(currentUserId);
-      if (!currentUser.isUserBlocked(targetUserId)) {
+      if (currentUser && !currentUser.isUserBlocked(targetUserId)) {
         await currentUser.blockUser(targetUserId, `Auto-blocked due to report: ${reason}`);
         autoBlocked = true;
       }
     }
 
-    res.status(200).json({ 
+    const report = await Report.create({
+      reporterId: currentUserId,
+      targetUserId,
+      reason,
+      description: description.trim(),
+      evidenceMessageIds: evidenceIds,
+      autoBlocked
+    });
+
+    res.status(201).json({ 
       message: "User reported successfully",
       autoBlocked,
-      reportId: `report_${Date.now()}` // In real app, this would be actual report ID
+      reportId: report._id,
+      status: report.status
     });
   } catch (error) {
     console.error("Error reporting user:", error);
@@ -354,6 +422,67 @@ export const reportUser = async (req, res) => {
   }
 };
 
+const CLOSED_STATUSES = ["resolved", "dismissed"];
+const UNSEEN_OUTCOMES = { status: { $in: CLOSED_STATUSES }, reporterSeenAt: null };
+
+// Get the reports the current user has made and where they stand
+export const getMyReports = async (req, res) => {
+  try {
+    const currentUserId = req.user._id;
+    const { page = 1, limit = 20 } = req.query;
+
+    const [reports, unseenCount] = await Promise.all([
+      Report.find({ reporterId: currentUserId })
+        .populate("targetUserId", "fullName profilePic")
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      Report.countDocuments({ ...UNSEEN_OUTCOMES, reporterId: currentUserId })
+    ]);
+
+    res.status(200).json({
+      reports: reports.map(report => ({
+        _id: report._id,
+        targetUser: report.targetUserId,
+        reason: report.reason,
+        description: report.description,
+        status: report.status,
+        // Which action was taken against the other user stays private
+        actionTaken: isActionTaken(report),
+        createdAt: report.createdAt,
+        resolvedAt: report.resolution?.resolvedAt || null,
+        // Closed while the reporter may have been offline and not acknowledged yet
+        unseen: CLOSED_STATUSES.includes(report.status) && !report.reporterSeenAt
+      })),
+      unseenCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        hasMore: reports.length === parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching reports:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Acknowledge the outcome of the current user's closed reports
+export const markReportsSeen = async (req, res) => {
+  try {
+    const result = await Report.updateMany(
+      { ...UNSEEN_OUTCOMES, reporterId: req.user._id },
+      { $set: { reporterSeenAt: new Date() } }
+    );
+
+    res.status(200).json({ seenCount: result.modifiedCount });
+  } catch (error) {
+    console.error("Error marking reports as seen:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 export default {
   blockUser,
   unblockUser,
@@ -361,6 +490,8 @@ export default {
   checkBlockStatus,
   getBlockStats,
   bulkUnblockUsers,
-  reportUser
+  reportUser,
+  getMyReports,
+  markReportsSeen
 };
 
@@ -1,7 +1,8 @@
 import Chatbot from "../models/chatbot.model.js";
 import Message from "../models/message.model.js";
 import { encrypt, decrypt } from "../lib/crypto.js";
-import { callLLMApi } from "../services/llm.service.js";
+import { callLLMApiWithUsage } from "../services/llm.service.js";
+import { checkDefaultChatbotQuota, recordChatbotUsage, sendQuotaExceeded } from "../services/aiQuota.service.js";
 import { getReceiverSocketId, io } from "../lib/socket.js";
 
 export const createChatbot = async (req, res) => {
@@ -146,6 +147,14 @@ export const sendMessageToChatbot = async (req, res) => {
       return res.status(404).json({ error: "Chatbot not found" });
     }
 
+    // The shared default bot runs on our key, so it is metered per user per day
+    if (chatbot.isDefault) {
+      const quotaStatus = await checkDefaultChatbotQuota(userId);
+      if (!quotaStatus.allowed) {
+        return sendQuotaExceeded(res, quotaStatus);
+      }
+    }
+
     // Save user message
     const userMessage = new Message({
       senderId: userId,
@@ -172,12 +181,13 @@ export const sendMessageToChatbot = async (req, res) => {
     }
 
     // Call LLM API
-    const aiResponse = await callLLMApi(
+    const { text: aiResponse, usage } = await callLLMApiWithUsage(
       chatbot.model,
       apiKey,
       text,
       conversationHistory.reverse()
     );
+    await recordChatbotUsage(userId, chatbot, usage);
 
     // Save AI response
     const aiMessage = new Message({
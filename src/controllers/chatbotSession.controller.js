@@ -0,0 +1,190 @@
+import mongoose from "mongoose";
+import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
+import ChatbotSession from "../models/chatbotSession.model.js";
+import MessageEnhanced from "../models/message_enhanced.model.js";
+import { createChatbotSession, listChatbotSessions } from "../services/chatbotSession.service.js";
+
+const MAX_TITLE_LENGTH = 100;
+const SESSION_STATUSES = ["active", "archived"];
+
+// Find a chatbot the user can chat with (their own or the default bot)
+const findAccessibleChatbot = (chatbotId, userId) =>
+  ChatbotEnhanced.findOne({
+    _id: chatbotId,
+    $or: [
+      { ownerId: userId },
+      { isDefault: true }
+    ]
+  });
+
+// Find one of the user's sessions with a chatbot
+const findOwnedSession = (sessionId, userId, chatbotId) => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return ChatbotSession.findOne({ _id: sessionId, userId, chatbotId });
+};
+
+// Returns an error message, or null if the title is valid
+const validateTitle = (title) => {
+  if (typeof title !== "string" || !title.trim()) {
+    return "Title must be a non-empty string";
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    return `Title must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  return null;
+};
+
+const toSessionResponse = (session) => ({
+  _id: session._id,
+  chatbotId: session.chatbotId,
+  title: session.title,
+  titleSource: session.titleSource,
+  status: session.status,
+  archivedAt: session.archivedAt || null,
+  messageCount: session.messageCount,
+  lastMessageAt: session.lastMessageAt,
+  createdAt: session.createdAt
+});
+
+// List the user's chat sessions with a chatbot, most recently used first
+export const getChatbotSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status = "active", page = 1, limit = 20 } = req.query;
+    const userId = req.user._id;
+
+    if (!SESSION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${SESSION_STATUSES.join(", ")}` });
+    }
+
+    const chatbot = await findAccessibleChatbot(id, userId);
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const sessions = await listChatbotSessions(userId, chatbot._id, { status, page: pageNumber, limit: pageSize });
+
+    res.status(200).json({
+      sessions: sessions.map(toSessionResponse),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        hasMore: sessions.length === pageSize
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching chatbot sessions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Start a new chat session; without a title one is generated from the first exchange
+export const createSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title } = req.body;
+    const userId = req.user._id;
+
+    if (title !== undefined) {
+      const titleError = validateTitle(title);
+      if (titleError) {
+        return res.status(400).json({ error: titleError });
+      }
+    }
+
+    const chatbot = await findAccessibleChatbot(id, userId);
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const session = await createChatbotSession(userId, chatbot._id, { title: title?.trim() });
+
+    res.status(201).json({
+      message: "Chat session created successfully",
+      session: toSessionResponse(session)
+    });
+  } catch (error) {
+    console.error("Error creating chatbot session:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Rename a chat session, or archive and unarchive it
+export const updateSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    const { title, archived } = req.body;
+    const userId = req.user._id;
+
+    if (title === undefined && archived === undefined) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+    if (title !== undefined) {
+      const titleError = validateTitle(title);
+      if (titleError) {
+        return res.status(400).json({ error: titleError });
+      }
+    }
+    if (archived !== undefined && typeof archived !== "boolean") {
+      return res.status(400).json({ error: "archived must be a boolean" });
+    }
+
+    const session = await findOwnedSession(sessionId, userId, id);
+    if (!session) {
+      return res.status(404).json({ error: "Chat session not found" });
+    }
+
+    // A user-chosen title is never replaced by a generated one
+    if (title !== undefined) {
+      session.title = title.trim();
+      session.titleSource = "manual";
+    }
+    if (archived !== undefined && archived !== (session.status === "archived")) {
+      session.status = archived ? "archived" : "active";
+      session.archivedAt = archived ? new Date() : undefined;
+    }
+    await session.save();
+
+    res.status(200).json({
+      message: "Chat session updated successfully",
+      session: toSessionResponse(session)
+    });
+  } catch (error) {
+    console.error("Error updating chatbot session:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Delete a chat session together with its messages
+export const deleteSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    const userId = req.user._id;
+
+    const session = await findOwnedSession(sessionId, userId, id);
+    if (!session) {
+      return res.status(404).json({ error: "Chat session not found" });
+    }
+
+    const { deletedCount } = await MessageEnhanced.deleteMany({ sessionId: session._id });
+    await session.deleteOne();
+
+    res.status(200).json({
+      message: "Chat session deleted successfully",
+      deletedMessages: deletedCount
+    });
+  } catch (error) {
+    console.error("Error deleting chatbot session:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export default {
+  getChatbotSessions,
+  createSession,
+  updateSession,
+  deleteSession
+};
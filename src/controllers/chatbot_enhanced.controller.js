@@ -1,8 +1,66 @@
-import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
+import ChatbotEnhanced, { MAX_BACKUP_API_KEYS } from "../models/chatbot_enhanced.model.js";
 import MessageEnhanced from "../models/message_enhanced.model.js";
 import { encrypt, decrypt } from "../lib/crypto.js";
-import { callLLMApi } from "../services/llm.service.js";
-import { getReceiverSocketId, io } from "../lib/socket.js";
+import { callLLMApiWithTools, streamLLMApi, validateLLMOptions } from "../services/llm.service.js";
+import {
+  listLLMProviders,
+  resolveLLMTarget,
+  supportsImageInput,
+  validateLLMTarget
+} from "../services/llmRegistry.service.js";
+import { isImageAttachment, loadImageAttachments } from "../services/imageAttachment.service.js";
+import { checkDefaultChatbotQuota, recordChatbotUsage, sendQuotaExceeded } from "../services/aiQuota.service.js";
+import {
+  applyCitations,
+  indexKnowledgeEntry,
+  reindexChatbotKnowledge,
+  removeKnowledgeEntry,
+  searchKnowledge
+} from "../services/knowledge.service.js";
+import { getChatbotTools, listBuiltInTools, TOOL_NAME_PATTERN } from "../services/chatbotTools.service.js";
+import { dispatchChatbotEvent, toWebhookMessage } from "../services/webhook.service.js";
+import { refreshConversationSummary, resetConversationSummary } from "../services/chatbotMemory.service.js";
+import { recordSessionExchange, resolveChatbotSession } from "../services/chatbotSession.service.js";
+import {
+  applyVersionConfig,
+  createInitialVersion,
+  diffConfigs,
+  ensureBaselineVersion,
+  getVersionedConfig,
+  recordChatbotVersion
+} from "../services/chatbotVersion.service.js";
+import {
+  getExperimentAnalytics,
+  toExperimentVariant,
+  validateExperimentVariants
+} from "../services/chatbotExperiment.service.js";
+import { findPromptForReply, selectFewShotExamples, toFineTuningJSONL } from "../services/trainingExamples.service.js";
+import {
+  createModerator,
+  getRefusalMessage,
+  logModerationBlock,
+  validateCustomFilters
+} from "../services/moderation.service.js";
+import { checkChatbotHealth } from "../services/chatbotHealth.service.js";
+import { maskApiKey, withApiKeyFailover } from "../services/chatbotKeys.service.js";
+import {
+  consumeChatbotRateLimit,
+  getChatbotRateLimitStatus,
+  sendRateLimitExceeded,
+  setRateLimitHeaders
+} from "../services/chatbotRateLimit.service.js";
+import ChatbotMemory from "../models/chatbotMemory.model.js";
+import ChatbotSession from "../models/chatbotSession.model.js";
+import ModerationLog from "../models/moderationLog.model.js";
+import ChatbotRequest from "../models/chatbotRequest.model.js";
+import ChatbotVersion from "../models/chatbotVersion.model.js";
+import ChatbotRating from "../models/chatbotRating.model.js";
+import AIUsage from "../models/aiUsage.model.js";
+import KnowledgeChunk from "../models/knowledgeChunk.model.js";
+import { emitToUser } from "../lib/realtime.js";
+import { registerChatbotStream, releaseChatbotStream, cancelChatbotStream } from "../lib/chatbotStreams.js";
+import { isPublicHttpUrl } from "../lib/urlSafety.js";
+import crypto from "crypto";
 import { v2 as cloudinary } from "cloudinary";
 
 // Create enhanced chatbot
@@ -10,7 +68,9 @@ export const createChatbot = async (req, res) => {
   try {
     const { 
       name, 
+      provider,
       model, 
+      baseUrl,
       apiKey,
       systemPrompt,
       customInstructions,
@@ -21,24 +81,30 @@ export const createChatbot = async (req, res) => {
     } = req.body;
     const userId = req.user._id;
 
-    if (!name || !model || !apiKey) {
-      return res.status(400).json({ error: "Name, model, and API key are required" });
+    if (!name || !model) {
+      return res.status(400).json({ error: "Name and model are required" });
     }
 
-    // Validate model
-    const validModels = ["gemini-2.0-flash", "gpt-4o", "mistral-large-latest", "deepseek-chat"];
-    if (!validModels.includes(model)) {
-      return res.status(400).json({ error: "Invalid model specified" });
+    // Validate provider, model and base URL against the provider registry
+    const llmTarget = resolveLLMTarget({ provider, model, baseUrl });
+    const targetProblems = validateLLMTarget(llmTarget, { apiKey: apiKey || "" });
+    if (targetProblems.length > 0) {
+      return res.status(400).json({
+        error: "Invalid model configuration",
+        details: targetProblems
+      });
     }
 
-    // Encrypt the API key
-    const encryptedApiKey = encrypt(apiKey);
+    // Encrypt the API key (keyless self-hosted endpoints store an empty key)
+    const encryptedApiKey = encrypt(apiKey || "");
 
     // Create enhanced chatbot
     const chatbotData = {
       ownerId: userId,
       name,
-      model,
+      provider: llmTarget.provider,
+      model: llmTarget.model,
+      baseUrl: llmTarget.baseUrl || "",
       encryptedApiKey,
       systemPrompt: systemPrompt || "You are a helpful AI assistant. Be friendly, informative, and concise in your responses.",
       customInstructions: customInstructions || "",
@@ -49,11 +115,11 @@ export const createChatbot = async (req, res) => {
         language: personality?.language || "en"
       },
       responseSettings: {
-        maxTokens: responseSettings?.maxTokens || 1000,
-        temperature: responseSettings?.temperature || 0.7,
-        topP: responseSettings?.topP || 0.9,
-        frequencyPenalty: responseSettings?.frequencyPenalty || 0,
-        presencePenalty: responseSettings?.presencePenalty || 0
+        maxTokens: responseSettings?.maxTokens ?? 1000,
+        temperature: responseSettings?.temperature ?? 0.7,
+        topP: responseSettings?.topP ?? 0.9,
+        frequencyPenalty: responseSettings?.frequencyPenalty ?? 0,
+        presencePenalty: responseSettings?.presencePenalty ?? 0
       },
       capabilities: {
         canGenerateImages: capabilities?.canGenerateImages || false,
@@ -64,13 +130,33 @@ export const createChatbot = async (req, res) => {
       restrictions: {
         blockedTopics: restrictions?.blockedTopics || [],
         contentFilter: restrictions?.contentFilter || "moderate",
+        customFilters: restrictions?.customFilters || [],
+        refusalMessage: restrictions?.refusalMessage || "",
         maxMessagesPerDay: restrictions?.maxMessagesPerDay || 1000,
         maxMessagesPerHour: restrictions?.maxMessagesPerHour || 100
       }
     };
 
+    const filterProblems = validateCustomFilters(chatbotData.restrictions.customFilters);
+    if (filterProblems.length > 0) {
+      return res.status(400).json({
+        error: "Invalid content filters",
+        details: filterProblems
+      });
+    }
+
+    // Make sure the selected provider can honor these response settings
+    const optionProblems = validateLLMOptions(llmTarget, chatbotData.responseSettings);
+    if (optionProblems.length > 0) {
+      return res.status(400).json({
+        error: "Response settings are not supported by this model",
+        details: optionProblems
+      });
+    }
+
     const newChatbot = new ChatbotEnhanced(chatbotData);
     await newChatbot.save();
+    await createInitialVersion(newChatbot, userId);
 
     // Perform initial health check
     await newChatbot.performHealthCheck();
@@ -79,7 +165,9 @@ export const createChatbot = async (req, res) => {
     const chatbotResponse = {
       _id: newChatbot._id,
       name: newChatbot.name,
+      provider: newChatbot.provider,
       model: newChatbot.model,
+      baseUrl: newChatbot.baseUrl,
       systemPrompt: newChatbot.systemPrompt,
       customInstructions: newChatbot.customInstructions,
       personality: newChatbot.personality,
@@ -101,6 +189,36 @@ export const createChatbot = async (req, res) => {
   }
 };
 
+// List registered LLM providers and their models
+export const getLLMProviders = async (req, res) => {
+  try {
+    res.status(200).json(listLLMProviders());
+  } catch (error) {
+    console.error("Error listing LLM providers:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Get the current user's AI usage for today and their default chatbot quota
+export const getMyAIUsage = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const day = AIUsage.toDayKey();
+
+    const [ledger, defaultChatbotQuota] = await Promise.all([
+      AIUsage.find({ userId, day })
+        .populate("chatbotId", "name model")
+        .lean(),
+      checkDefaultChatbotQuota(userId)
+    ]);
+
+    res.status(200).json({ day, ledger, defaultChatbotQuota });
+  } catch (error) {
+    console.error("Error fetching AI usage:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 // Get enhanced chatbots
 export const getChatbots = async (req, res) => {
   try {
@@ -131,7 +249,7 @@ export const getChatbotDetails = async (req, res) => {
         { ownerId: userId },
         { isDefault: true }
       ]
-    }).select("-encryptedApiKey");
+    }).select("-encryptedApiKey -backupApiKeys.encryptedKey -integrations.apis.apiKey");
 
     if (!chatbot) {
       return res.status(404).json({ error: "Chatbot not found" });
@@ -167,9 +285,12 @@ export const updateChatbot = async (req, res) => {
       return res.status(404).json({ error: "Chatbot not found or cannot be updated" });
     }
 
+    await ensureBaselineVersion(chatbot);
+    const previousConfig = getVersionedConfig(chatbot);
+
     // Update allowed fields
     const allowedUpdates = [
-      'name', 'systemPrompt', 'customInstructions', 'personality', 
+      'name', 'model', 'baseUrl', 'systemPrompt', 'customInstructions', 'personality', 
       'responseSettings', 'capabilities', 'restrictions', 'avatarColor'
     ];
 
@@ -184,12 +305,50 @@ export const updateChatbot = async (req, res) => {
       }
     });
 
-    await chatbot.save();
+    if (updateData.restrictions?.customFilters !== undefined) {
+      const filterProblems = validateCustomFilters(updateData.restrictions.customFilters);
+      if (filterProblems.length > 0) {
+        return res.status(400).json({
+          error: "Invalid content filters",
+          details: filterProblems
+        });
+      }
+    }
+
+    // The provider stays fixed, but the model and base URL can move within it
+    if (updateData.model !== undefined || updateData.baseUrl !== undefined) {
+      const targetProblems = validateLLMTarget(chatbot.llmTarget);
+      if (targetProblems.length > 0) {
+        return res.status(400).json({
+          error: "Invalid model configuration",
+          details: targetProblems
+        });
+      }
+    }
+
+    if (updateData.responseSettings !== undefined || updateData.model !== undefined) {
+      const optionProblems = validateLLMOptions(chatbot.llmTarget, chatbot.responseSettings);
+      if (optionProblems.length > 0) {
+        return res.status(400).json({
+          error: "Response settings are not supported by this model",
+          details: optionProblems
+        });
+      }
+    }
+
+    // Snapshot the change as a new version; nothing to record if the values didn't change
+    const newVersion = await recordChatbotVersion(chatbot, previousConfig, { userId });
+    if (!newVersion) {
+      await chatbot.save();
+    }
     await chatbot.performHealthCheck();
 
     res.status(200).json({
       _id: chatbot._id,
       name: chatbot.name,
+      provider: chatbot.provider,
+      model: chatbot.model,
+      baseUrl: chatbot.baseUrl,
       systemPrompt: chatbot.systemPrompt,
       customInstructions: chatbot.customInstructions,
       personality: chatbot.personality,
@@ -295,6 +454,14 @@ export const deleteChatbot = async (req, res) => {
       }
     }
 
+    await KnowledgeChunk.deleteMany({ chatbotId: chatbot._id });
+    await ChatbotMemory.deleteMany({ chatbotId: chatbot._id });
+    await ChatbotSession.deleteMany({ chatbotId: chatbot._id });
+    await ChatbotVersion.deleteMany({ chatbotId: chatbot._id });
+    await ChatbotRating.deleteMany({ chatbotId: chatbot._id });
+    await ModerationLog.deleteMany({ chatbotId: chatbot._id });
+    await ChatbotRequest.deleteMany({ chatbotId: chatbot._id });
+
     res.status(200).json({ message: "Chatbot deleted successfully" });
   } catch (error) {
     console.error("Error deleting chatbot:", error);
@@ -302,12 +469,12 @@ export const deleteChatbot = async (req, res) => {
   }
 };
 
-// Get chatbot messages with enhanced context
+// Get the messages of one chat session with a chatbot (the current session when none is given)
 export const getChatbotMessages = async (req, res) => {
   try {
     const { id: chatbotId } = req.params;
     const userId = req.user._id;
-    const { page = 1, limit = 50 } = req.query;
+    const { page = 1, limit = 50, sessionId } = req.query;
 
     // Find chatbot to ensure user has access
     const chatbot = await ChatbotEnhanced.findOne({
@@ -322,20 +489,12 @@ export const getChatbotMessages = async (req, res) => {
       return res.status(404).json({ error: "Chatbot not found" });
     }
 
-    // Get conversation history
-    const messages = await MessageEnhanced.getMessagesForConversation(
-      null, // No specific conversation for chatbot
-      userId,
-      { page: parseInt(page), limit: parseInt(limit) }
-    );
+    const session = await resolveChatbotSession(userId, chatbot._id, sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Chat session not found" });
+    }
 
-    // Filter messages for this specific chatbot conversation
-    const chatbotMessages = await MessageEnhanced.find({
-      $or: [
-        { senderId: userId, receiverId: chatbotId },
-        { senderId: chatbotId, receiverId: userId }
-      ]
-    })
+    const chatbotMessages = await MessageEnhanced.find({ sessionId: session._id })
       .populate('senderId', 'fullName profilePic')
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
@@ -350,6 +509,13 @@ export const getChatbotMessages = async (req, res) => {
         avatarColor: chatbot.avatarColor,
         personality: chatbot.personality
       },
+      session: {
+        _id: session._id,
+        title: session.title,
+        status: session.status,
+        messageCount: session.messageCount,
+        lastMessageAt: session.lastMessageAt
+      },
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -362,11 +528,232 @@ export const getChatbotMessages = async (req, res) => {
   }
 };
 
+// Save the apology reply shown when the AI provider fails, and flag the bot's health
+const saveChatbotErrorReply = async (chatbot, userId, sessionId, aiError) => {
+  const errorMessage = new MessageEnhanced({
+    senderId: chatbot._id,
+    senderModel: 'Chatbot',
+    receiverId: userId,
+    receiverModel: 'User',
+    sessionId,
+    text: "I'm sorry, I'm having trouble processing your request right now. Please try again later.",
+    deliveryStatus: {
+      sent: true,
+      sentAt: new Date()
+    }
+  });
+  await errorMessage.save();
+
+  // Update health status
+  chatbot.healthCheck.status = "warning";
+  chatbot.healthCheck.issues.push(`AI API Error: ${aiError.message}`);
+  await chatbot.save();
+
+  return errorMessage;
+};
+
+// Moderation metadata stored on a reply that was replaced with a refusal
+const toModerationMetadata = (direction, result) => ({
+  blocked: true,
+  direction,
+  severity: result.severity,
+  categories: [...new Set(result.violations.map(violation => violation.category))]
+});
+
+// Stream an AI reply token by token over the socket, then save it once the stream ends
+const relayChatbotStream = async ({ chatbot, userId, session, streamId, prompt, history, llmOptions, knowledgePassages = [], tools = [], experiment }) => {
+  const controller = registerChatbotStream(streamId, userId);
+  const chatbotId = chatbot._id;
+
+  // Screen the reply as it grows; a block stops the stream and the client swaps the partial text for a refusal
+  const moderate = createModerator(chatbot);
+  let moderation = null;
+
+  // Sent to the user's room, so a reconnect mid-stream still receives tokens
+  const emitToStream = (event, data) => emitToUser(userId, event, data);
+
+  emitToStream("chatbotTyping", {
+    chatbotId,
+    chatbotName: chatbot.name,
+    isTyping: true
+  });
+
+  const startTime = Date.now();
+
+  // Another key may only be tried while the user has seen nothing of this attempt
+  let attemptStarted = false;
+  const canFailover = () => !attemptStarted && !controller.signal.aborted;
+
+  try {
+    let aiResponse, cancelled, usage;
+    let toolCalls = [];
+
+    if (tools.length > 0) {
+      // Tool turns can't be streamed; report each call as it happens, then send the answer as one token
+      ({ text: aiResponse, cancelled, usage, toolCalls } = await withApiKeyFailover(chatbot, (apiKey) => callLLMApiWithTools(
+        chatbot.llmTarget,
+        apiKey,
+        prompt,
+        history,
+        llmOptions,
+        {
+          tools,
+          context: { userId, chatbotId },
+          signal: controller.signal,
+          onToolCall: (toolCall) => {
+            attemptStarted = true;
+            emitToStream("chatbotToolCall", { streamId, chatbotId, toolCall });
+          }
+        }
+      ), { canFailover }));
+      const result = moderate(aiResponse);
+      if (result.blocked) {
+        moderation = result;
+      } else if (aiResponse) {
+        emitToStream("chatbotToken", { streamId, chatbotId, token: aiResponse });
+      }
+    } else {
+      let streamedText = "";
+      ({ text: aiResponse, cancelled, usage } = await withApiKeyFailover(chatbot, (apiKey) => streamLLMApi(
+        chatbot.llmTarget,
+        apiKey,
+        prompt,
+        history,
+        llmOptions,
+        {
+          signal: controller.signal,
+          onToken: (token) => {
+            attemptStarted = true;
+            if (moderation) return;
+            streamedText += token;
+
+            const result = moderate(streamedText);
+            if (result.blocked) {
+              moderation = result;
+              controller.abort();
+              return;
+            }
+            emitToStream("chatbotToken", { streamId, chatbotId, token });
+          }
+        }
+      ), { canFailover }));
+    }
+
+    if (moderation) {
+      aiResponse = getRefusalMessage(chatbot);
+      cancelled = false;
+      emitToStream("chatbotModerated", { streamId, chatbotId, text: aiResponse });
+      logModerationBlock({ chatbot, userId, direction: "output", result: moderation });
+    }
+
+    const responseTime = Date.now() - startTime;
+
+    // A reply cancelled before the first token has nothing worth keeping
+    let aiMessage = null;
+    if (aiResponse) {
+      // Stream the sources line as a final token when the model didn't cite any itself
+      const { text: citedResponse, footer, citations } = cancelled || moderation
+        ? { text: aiResponse, footer: "", citations: [] }
+        : applyCitations(aiResponse, knowledgePassages);
+      if (footer) {
+        emitToStream("chatbotToken", { streamId, chatbotId, token: footer });
+      }
+
+      aiMessage = new MessageEnhanced({
+        senderId: chatbotId,
+        senderModel: 'Chatbot',
+        receiverId: userId,
+        receiverModel: 'User',
+        sessionId: session._id,
+        text: citedResponse,
+        aiMetadata: {
+          streamed: true,
+          cancelled,
+          responseTime,
+          usage,
+          citations,
+          toolCalls,
+          experiment,
+          moderation: moderation ? toModerationMetadata("output", moderation) : undefined
+        },
+        deliveryStatus: {
+          sent: true,
+          sentAt: new Date()
+        }
+      });
+      await aiMessage.save();
+
+      dispatchChatbotEvent(chatbot, "chatbot.replied", {
+        message: toWebhookMessage(aiMessage),
+        streamed: true,
+        cancelled,
+        usage
+      });
+      refreshConversationSummary({ chatbot, userId, sessionId: session._id });
+    }
+    // Refusals and cut-off replies don't name the session
+    recordSessionExchange({
+      chatbot,
+      session,
+      userId,
+      prompt,
+      reply: cancelled || moderation ? null : aiResponse,
+      messageCount: aiMessage ? 2 : 1
+    });
+
+    await recordChatbotUsage(userId, chatbot, usage);
+    await chatbot.updateStats(usage.totalTokens, responseTime);
+
+    emitToStream("chatbotTyping", {
+      chatbotId,
+      chatbotName: chatbot.name,
+      isTyping: false
+    });
+    emitToStream("chatbotDone", {
+      streamId,
+      chatbotId,
+      sessionId: session._id,
+      message: aiMessage,
+      cancelled,
+      chatbotStats: {
+        responseTime,
+        tokensUsed: usage.totalTokens,
+        usage,
+        healthStatus: chatbot.healthCheck.status
+      }
+    });
+  } catch (aiError) {
+    console.error("AI streaming error:", aiError);
+
+    try {
+      const errorMessage = await saveChatbotErrorReply(chatbot, userId, session._id, aiError);
+      recordSessionExchange({ chatbot, session, userId, prompt });
+      emitToStream("chatbotTyping", {
+        chatbotId,
+        chatbotName: chatbot.name,
+        isTyping: false
+      });
+      emitToStream("chatbotDone", {
+        streamId,
+        chatbotId,
+        sessionId: session._id,
+        message: errorMessage,
+        cancelled: false,
+        error: "AI service temporarily unavailable"
+      });
+    } catch (saveError) {
+      console.error("Error saving chatbot error reply:", saveError);
+    }
+  } finally {
+    releaseChatbotStream(streamId);
+  }
+};
+
 // Send enhanced message to chatbot
 export const sendMessageToChatbot = async (req, res) => {
   try {
     const { id: chatbotId } = req.params;
-    const { text, attachments = [] } = req.body;
+    const { text, attachments = [], stream = false, sessionId } = req.body;
     const userId = req.user._id;
 
     if (!text && attachments.length === 0) {
@@ -386,13 +773,13 @@ export const sendMessageToChatbot = async (req, res) => {
       return res.status(404).json({ error: "Chatbot not found" });
     }
 
-    // Check rate limits
-    const rateLimit = chatbot.checkRateLimit();
-    if (!rateLimit.canSendMessage) {
-      return res.status(429).json({ 
-        error: "Rate limit exceeded",
-        limits: rateLimit
-      });
+    // Each session has its own context window; without a sessionId the message goes to the current one
+    const session = await resolveChatbotSession(userId, chatbot._id, sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Chat session not found" });
+    }
+    if (session.status === "archived") {
+      return res.status(400).json({ error: "Chat session is archived" });
     }
 
     // Check health status
@@ -403,12 +790,68 @@ export const sendMessageToChatbot = async (req, res) => {
       });
     }
 
+    // The shared default bot runs on our key, so it is metered per user per day
+    if (chatbot.isDefault) {
+      const quotaStatus = await checkDefaultChatbotQuota(userId);
+      if (!quotaStatus.allowed) {
+        return sendQuotaExceeded(res, quotaStatus);
+      }
+    }
+
+    // Users in a running experiment get their variant's prompt and settings
+    const assignment = chatbot.assignExperimentVariant(userId);
+    const responseSettings = chatbot.getResponseSettings(assignment?.variant);
+    const experiment = assignment
+      ? { experimentId: assignment.experiment._id, variantKey: assignment.variant.key }
+      : undefined;
+
+    // Reject settings the provider can't honor before anything is saved
+    const optionProblems = validateLLMOptions(chatbot.llmTarget, responseSettings);
+    if (optionProblems.length > 0) {
+      return res.status(400).json({
+        error: "Chatbot response settings are not supported by its model",
+        details: optionProblems
+      });
+    }
+
+    // Image attachments go to the model as multimodal input when both the bot and its model allow it
+    let images = [];
+    if (attachments.some(isImageAttachment)) {
+      if (!chatbot.capabilities.canAnalyzeImages) {
+        return res.status(400).json({
+          error: "This chatbot is not set up to analyze images",
+          code: "IMAGES_NOT_SUPPORTED"
+        });
+      }
+      if (!supportsImageInput(chatbot.llmTarget)) {
+        return res.status(400).json({
+          error: `Model ${chatbot.model} does not accept images`,
+          code: "IMAGES_NOT_SUPPORTED"
+        });
+      }
+
+      try {
+        images = await loadImageAttachments(attachments);
+      } catch (imageError) {
+        if (imageError.statusCode !== 400) throw imageError;
+        return res.status(400).json({ error: imageError.message, code: imageError.code });
+      }
+    }
+
+    // Count this message against the bot's per-user hourly and daily limits; requests rejected above don't count
+    const rateLimit = await consumeChatbotRateLimit(chatbot, userId);
+    if (!rateLimit.allowed) {
+      return sendRateLimitExceeded(res, rateLimit);
+    }
+    setRateLimitHeaders(res, rateLimit.windows);
+
     // Save user message
     const userMessage = new MessageEnhanced({
       senderId: userId,
       senderModel: 'User',
       receiverId: chatbotId,
       receiverModel: 'Chatbot',
+      sessionId: session._id,
       text: text || "",
       attachments: attachments,
       deliveryStatus: {
@@ -418,56 +861,143 @@ export const sendMessageToChatbot = async (req, res) => {
     });
     await userMessage.save();
 
-    // Get conversation history for context
-    const conversationHistory = await MessageEnhanced.find({
-      $or: [
-        { senderId: userId, receiverId: chatbotId },
-        { senderId: chatbotId, receiverId: userId }
-      ]
-    }).sort({ createdAt: -1 }).limit(chatbot.contextSettings.memoryLength);
+    dispatchChatbotEvent(chatbot, "message.created", { message: toWebhookMessage(userMessage) });
 
-    // Decrypt API key
-    let apiKey;
-    if (chatbot.isDefault) {
-      apiKey = process.env.DEFAULT_GEMINI_API_KEY;
-    } else {
-      apiKey = decrypt(chatbot.encryptedApiKey);
+    // Screen the prompt; a blocked prompt never reaches the model and gets the bot's refusal instead
+    const moderate = createModerator(chatbot);
+    const inputModeration = moderate(text || "");
+    if (inputModeration.blocked) {
+      logModerationBlock({ chatbot, userId, direction: "input", result: inputModeration });
+
+      const refusalMessage = new MessageEnhanced({
+        senderId: chatbotId,
+        senderModel: 'Chatbot',
+        receiverId: userId,
+        receiverModel: 'User',
+        sessionId: session._id,
+        text: getRefusalMessage(chatbot),
+        replyTo: userMessage._id,
+        aiMetadata: {
+          moderation: toModerationMetadata("input", inputModeration)
+        },
+        deliveryStatus: {
+          sent: true,
+          sentAt: new Date()
+        }
+      });
+      await refusalMessage.save();
+      recordSessionExchange({ chatbot, session, userId, prompt: text || "" });
+
+      emitToUser(userId, "newMessage", userMessage);
+      emitToUser(userId, "newMessage", refusalMessage);
+
+      return res.status(200).json({
+        sessionId: session._id,
+        userMessage,
+        aiMessage: refusalMessage,
+        moderation: refusalMessage.aiMetadata.moderation
+      });
     }
 
+    // Get the session's history for context
+    const conversationHistory = await MessageEnhanced.find({ sessionId: session._id }).sort({ createdAt: -1 }).limit(chatbot.contextSettings.memoryLength);
+
+    const prompt = text || "Please analyze the attached files.";
+
+    // Pull the best matching knowledge base passages for this question
+    const knowledgePassages = await searchKnowledge(chatbot._id, prompt);
+
+    // Earlier turns that fell out of the memory window survive as a rolling summary
+    const conversationSummary = session.memory.summary;
+
+    // Training examples close to this question show the model how it is expected to answer
+    const fewShotExamples = selectFewShotExamples(chatbot, prompt);
+
     // Prepare enhanced prompt
-    const systemPrompt = chatbot.fullSystemPrompt;
-    const contextPrompt = chatbot.getContextPrompt(conversationHistory.reverse());
+    const systemPrompt = chatbot.getSystemPrompt(assignment?.variant);
+    const contextPrompt = chatbot.getContextPrompt(conversationHistory.reverse(), {
+      knowledgePassages,
+      conversationSummary,
+      fewShotExamples
+    });
     const fullPrompt = systemPrompt + contextPrompt;
 
+    const llmOptions = {
+      systemPrompt: fullPrompt,
+      maxTokens: responseSettings.maxTokens,
+      temperature: responseSettings.temperature,
+      topP: responseSettings.topP,
+      frequencyPenalty: responseSettings.frequencyPenalty,
+      presencePenalty: responseSettings.presencePenalty,
+      images
+    };
+    const tools = getChatbotTools(chatbot);
+
+    // Streaming: answer right away and deliver the reply as chatbotToken/chatbotDone socket events
+    if (stream) {
+      const streamId = crypto.randomUUID();
+
+      emitToUser(userId, "newMessage", userMessage);
+
+      relayChatbotStream({
+        chatbot,
+        userId,
+        session,
+        streamId,
+        prompt,
+        history: conversationHistory,
+        llmOptions,
+        knowledgePassages,
+        tools,
+        experiment
+      });
+
+      return res.status(202).json({ sessionId: session._id, userMessage, streamId });
+    }
+
     // Record start time for response time tracking
     const startTime = Date.now();
 
     try {
-      // Call LLM API with enhanced settings
-      const aiResponse = await callLLMApi(
-        chatbot.model,
+      // Call LLM API with enhanced settings, letting the model use the bot's tools.
+      // Once a tool has run, retrying on another key would run it again, so failover stops there.
+      let toolRan = false;
+      const { text: aiResponse, usage, toolCalls } = await withApiKeyFailover(chatbot, (apiKey) => callLLMApiWithTools(
+        chatbot.llmTarget,
         apiKey,
-        text || "Please analyze the attached files.",
+        prompt,
         conversationHistory,
-        {
-          systemPrompt: fullPrompt,
-          maxTokens: chatbot.responseSettings.maxTokens,
-          temperature: chatbot.responseSettings.temperature,
-          topP: chatbot.responseSettings.topP,
-          frequencyPenalty: chatbot.responseSettings.frequencyPenalty,
-          presencePenalty: chatbot.responseSettings.presencePenalty
-        }
-      );
+        llmOptions,
+        { tools, context: { userId, chatbotId: chatbot._id }, onToolCall: () => { toolRan = true; } }
+      ), { canFailover: () => !toolRan });
 
       const responseTime = Date.now() - startTime;
 
+      // A blocked reply is replaced with the refusal; its tokens were still spent
+      const outputModeration = moderate(aiResponse);
+      if (outputModeration.blocked) {
+        logModerationBlock({ chatbot, userId, direction: "output", result: outputModeration });
+      }
+      const { text: citedResponse, citations } = outputModeration.blocked
+        ? { text: getRefusalMessage(chatbot), citations: [] }
+        : applyCitations(aiResponse, knowledgePassages);
+
       // Save AI response
       const aiMessage = new MessageEnhanced({
         senderId: chatbotId,
         senderModel: 'Chatbot',
         receiverId: userId,
         receiverModel: 'User',
-        text: aiResponse,
+        sessionId: session._id,
+        text: citedResponse,
+        aiMetadata: {
+          responseTime,
+          usage,
+          citations,
+          toolCalls,
+          experiment,
+          moderation: outputModeration.blocked ? toModerationMetadata("output", outputModeration) : undefined
+        },
         deliveryStatus: {
           sent: true,
           sentAt: new Date()
@@ -475,39 +1005,53 @@ export const sendMessageToChatbot = async (req, res) => {
       });
       await aiMessage.save();
 
-      // Update chatbot statistics
-      const estimatedTokens = Math.ceil((text.length + aiResponse.length) / 4); // Rough estimate
-      await chatbot.updateStats(estimatedTokens, responseTime);
+      dispatchChatbotEvent(chatbot, "chatbot.replied", {
+        message: toWebhookMessage(aiMessage),
+        streamed: false,
+        usage,
+        toolCalls: toolCalls.map(({ name, error }) => ({ name, error }))
+      });
+      refreshConversationSummary({ chatbot, userId, sessionId: session._id });
+      recordSessionExchange({
+        chatbot,
+        session,
+        userId,
+        prompt,
+        reply: outputModeration.blocked ? null : aiResponse
+      });
+
+      // Update usage ledger and chatbot statistics
+      await recordChatbotUsage(userId, chatbot, usage);
+      await chatbot.updateStats(usage.totalTokens, responseTime);
 
       // Emit messages via socket
-      const userSocketId = getReceiverSocketId(userId);
-      if (userSocketId) {
-        io.to(userSocketId).emit("newMessage", userMessage);
-        
-        // Emit typing indicator before AI response
-        io.to(userSocketId).emit("chatbotTyping", {
+      emitToUser(userId, "newMessage", userMessage);
+
+      // Emit typing indicator before AI response
+      emitToUser(userId, "chatbotTyping", {
+        chatbotId,
+        chatbotName: chatbot.name,
+        isTyping: true
+      });
+
+      // Delay to simulate typing
+      setTimeout(() => {
+        emitToUser(userId, "chatbotTyping", {
           chatbotId,
           chatbotName: chatbot.name,
-          isTyping: true
+          isTyping: false
         });
-
-        // Delay to simulate typing
-        setTimeout(() => {
-          io.to(userSocketId).emit("chatbotTyping", {
-            chatbotId,
-            chatbotName: chatbot.name,
-            isTyping: false
-          });
-          io.to(userSocketId).emit("newMessage", aiMessage);
-        }, Math.min(2000, responseTime / 2));
-      }
+        emitToUser(userId, "newMessage", aiMessage);
+      }, Math.min(2000, responseTime / 2));
 
       res.status(200).json({
+        sessionId: session._id,
         userMessage,
         aiMessage,
         chatbotStats: {
           responseTime,
-          tokensUsed: estimatedTokens,
+          tokensUsed: usage.totalTokens,
+          usage,
           healthStatus: chatbot.healthCheck.status
         }
       });
@@ -515,32 +1059,14 @@ export const sendMessageToChatbot = async (req, res) => {
     } catch (aiError) {
       console.error("AI API Error:", aiError);
       
-      // Create error response message
-      const errorMessage = new MessageEnhanced({
-        senderId: chatbotId,
-        senderModel: 'Chatbot',
-        receiverId: userId,
-        receiverModel: 'User',
-        text: "I'm sorry, I'm having trouble processing your request right now. Please try again later.",
-        deliveryStatus: {
-          sent: true,
-          sentAt: new Date()
-        }
-      });
-      await errorMessage.save();
+      const errorMessage = await saveChatbotErrorReply(chatbot, userId, session._id, aiError);
+      recordSessionExchange({ chatbot, session, userId, prompt });
 
-      // Update health status
-      chatbot.healthCheck.status = "warning";
-      chatbot.healthCheck.issues.push(`AI API Error: ${aiError.message}`);
-      await chatbot.save();
-
-      const userSocketId = getReceiverSocketId(userId);
-      if (userSocketId) {
-        io.to(userSocketId).emit("newMessage", userMessage);
-        io.to(userSocketId).emit("newMessage", errorMessage);
-      }
+      emitToUser(userId, "newMessage", userMessage);
+      emitToUser(userId, "newMessage", errorMessage);
 
       res.status(200).json({
+        sessionId: session._id,
         userMessage,
         aiMessage: errorMessage,
         error: "AI service temporarily unavailable"
@@ -553,6 +1079,23 @@ export const sendMessageToChatbot = async (req, res) => {
   }
 };
 
+// Cancel a streaming chatbot reply (REST fallback for the cancelChatbotStream socket event)
+export const cancelChatbotReply = async (req, res) => {
+  try {
+    const { streamId } = req.params;
+    const userId = req.user._id;
+
+    if (!cancelChatbotStream(streamId, userId)) {
+      return res.status(404).json({ error: "Chatbot stream not found" });
+    }
+
+    res.status(200).json({ message: "Chatbot reply cancelled" });
+  } catch (error) {
+    console.error("Error cancelling chatbot reply:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 // Add training example
 export const addTrainingExample = async (req, res) => {
   try {
@@ -586,6 +1129,1243 @@ export const addTrainingExample = async (req, res) => {
   }
 };
 
+// Find a chatbot the user can chat with (their own or the default bot)
+const findAccessibleChatbot = (chatbotId, userId) =>
+  ChatbotEnhanced.findOne({
+    _id: chatbotId,
+    $or: [
+      { ownerId: userId },
+      { isDefault: true }
+    ]
+  });
+
+// Get the rolling summary of the earlier turns of a chat session (the current one by default)
+export const getChatbotSummary = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sessionId } = req.query;
+    const userId = req.user._id;
+
+    const chatbot = await findAccessibleChatbot(id, userId);
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const session = await resolveChatbotSession(userId, chatbot._id, sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Chat session not found" });
+    }
+    const { memory } = session;
+
+    res.status(200).json({
+      sessionId: session._id,
+      summary: memory?.summary || "",
+      summarizedThrough: memory?.summarizedThrough || null,
+      summarizedMessageCount: memory?.summarizedMessageCount || 0,
+      lastSummarizedAt: memory?.lastSummarizedAt || null,
+      resetAt: memory?.resetAt || null,
+      memoryLength: chatbot.contextSettings.memoryLength
+    });
+  } catch (error) {
+    console.error("Error fetching chatbot summary:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Clear a chat session's rolling summary so the chatbot forgets its earlier turns
+export const resetChatbotSummary = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sessionId } = req.query;
+    const userId = req.user._id;
+
+    const chatbot = await findAccessibleChatbot(id, userId);
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const session = await resolveChatbotSession(userId, chatbot._id, sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Chat session not found" });
+    }
+
+    await resetConversationSummary(session._id);
+
+    res.status(200).json({ message: "Conversation summary reset successfully" });
+  } catch (error) {
+    console.error("Error resetting chatbot summary:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Tool as returned to clients; the API key never leaves the server
+const toToolResponse = (api) => ({
+  _id: api._id,
+  name: api.name,
+  description: api.description,
+  endpoint: api.endpoint,
+  method: api.method,
+  parameters: api.parameters,
+  isActive: api.isActive,
+  hasApiKey: !!api.apiKey
+});
+
+// List a chatbot's HTTP tools alongside the built-in tools it can enable
+export const getChatbotToolsConfig = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    res.status(200).json({
+      builtInTools: listBuiltInTools().map(tool => ({
+        ...tool,
+        enabled: chatbot.integrations.builtInTools.includes(tool.name)
+      })),
+      apis: chatbot.integrations.apis.map(toToolResponse)
+    });
+  } catch (error) {
+    console.error("Error fetching chatbot tools:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Declare an HTTP endpoint the chatbot can call as a tool
+export const addChatbotTool = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, endpoint, method = "POST", parameters, apiKey } = req.body;
+    const userId = req.user._id;
+
+    if (!name || !TOOL_NAME_PATTERN.test(name)) {
+      return res.status(400).json({
+        error: "Tool name must start with a letter or underscore and contain only letters, digits, _ or - (max 64)"
+      });
+    }
+    if (!description || !endpoint) {
+      return res.status(400).json({ error: "Description and endpoint are required" });
+    }
+    if (!isPublicHttpUrl(endpoint)) {
+      return res.status(400).json({ error: "Endpoint must be a public http(s) URL" });
+    }
+    if (!["GET", "POST"].includes(method)) {
+      return res.status(400).json({ error: "Method must be GET or POST" });
+    }
+    if (parameters !== undefined && (typeof parameters !== "object" || parameters === null || parameters.type !== "object")) {
+      return res.status(400).json({ error: "Parameters must be a JSON schema with type \"object\"" });
+    }
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const taken = chatbot.integrations.builtInTools.includes(name) ||
+      chatbot.integrations.apis.some(api => api.name === name);
+    if (taken) {
+      return res.status(400).json({ error: `A tool named ${name} already exists` });
+    }
+
+    chatbot.integrations.apis.push({
+      name,
+      description,
+      endpoint,
+      method,
+      parameters,
+      apiKey: apiKey ? encrypt(apiKey) : undefined
+    });
+    await chatbot.save();
+
+    const api = chatbot.integrations.apis[chatbot.integrations.apis.length - 1];
+    res.status(201).json(toToolResponse(api));
+  } catch (error) {
+    console.error("Error adding chatbot tool:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Remove an HTTP tool
+export const deleteChatbotTool = async (req, res) => {
+  try {
+    const { id, toolId } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const api = chatbot.integrations.apis.id(toolId);
+    if (!api) {
+      return res.status(404).json({ error: "Tool not found" });
+    }
+
+    api.deleteOne();
+    await chatbot.save();
+
+    res.status(200).json({ message: "Tool deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting chatbot tool:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Choose which built-in tools the chatbot may use
+export const updateBuiltInTools = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { builtInTools } = req.body;
+    const userId = req.user._id;
+
+    const available = listBuiltInTools().map(tool => tool.name);
+    if (!Array.isArray(builtInTools) || builtInTools.some(name => !available.includes(name))) {
+      return res.status(400).json({
+        error: "builtInTools must be a list of built-in tool names",
+        available
+      });
+    }
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    chatbot.integrations.builtInTools = [...new Set(builtInTools)];
+    await chatbot.save();
+
+    res.status(200).json({ builtInTools: chatbot.integrations.builtInTools });
+  } catch (error) {
+    console.error("Error updating built-in tools:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Longest document accepted into a knowledge base, in characters
+const MAX_KNOWLEDGE_CONTENT_LENGTH = 200000;
+
+// List knowledge base entries with how many chunks each is indexed as
+export const getKnowledge = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const chunkCounts = await KnowledgeChunk.aggregate([
+      { $match: { chatbotId: chatbot._id } },
+      { $group: { _id: "$entryId", chunks: { $sum: 1 } } }
+    ]);
+    const chunksByEntry = new Map(chunkCounts.map(entry => [entry._id.toString(), entry.chunks]));
+
+    res.status(200).json({
+      documents: chatbot.knowledgeBase.documents.map(document => ({
+        _id: document._id,
+        title: document.title,
+        source: document.source,
+        length: document.content?.length || 0,
+        lastUpdated: document.lastUpdated,
+        chunks: chunksByEntry.get(document._id.toString()) || 0
+      })),
+      faqs: chatbot.knowledgeBase.faqs.map(faq => ({
+        _id: faq._id,
+        question: faq.question,
+        answer: faq.answer,
+        category: faq.category,
+        priority: faq.priority,
+        chunks: chunksByEntry.get(faq._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching chatbot knowledge:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Add a document (JSON body or uploaded text file) or FAQ to the knowledge base and index it
+export const addKnowledge = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type = "document", title, source, question, answer, category, priority } = req.body;
+    const userId = req.user._id;
+
+    if (!["document", "faq"].includes(type)) {
+      return res.status(400).json({ error: "Type must be document or faq" });
+    }
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    let data;
+    if (type === "document") {
+      const content = req.file ? req.file.buffer.toString("utf8") : req.body.content;
+      const documentTitle = title || req.file?.originalname;
+
+      if (!documentTitle || !content?.trim()) {
+        return res.status(400).json({ error: "Document title and content are required" });
+      }
+      if (content.length > MAX_KNOWLEDGE_CONTENT_LENGTH) {
+        return res.status(400).json({
+          error: `Document content must be at most ${MAX_KNOWLEDGE_CONTENT_LENGTH} characters`
+        });
+      }
+
+      data = { title: documentTitle, content, source: source || req.file?.originalname };
+    } else {
+      if (!question || !answer) {
+        return res.status(400).json({ error: "Question and answer are required" });
+      }
+
+      data = { question, answer, category, priority: priority === undefined ? undefined : Number(priority) };
+    }
+
+    await chatbot.addKnowledge(type, data);
+
+    const entries = type === "document" ? chatbot.knowledgeBase.documents : chatbot.knowledgeBase.faqs;
+    const entry = entries[entries.length - 1];
+    const chunks = await indexKnowledgeEntry(chatbot._id, type, entry);
+
+    res.status(201).json({
+      message: "Knowledge added successfully",
+      type,
+      entry,
+      chunks
+    });
+  } catch (error) {
+    console.error("Error adding chatbot knowledge:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Rebuild the search index from the stored knowledge base
+export const reindexKnowledge = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const result = await reindexChatbotKnowledge(chatbot);
+
+    res.status(200).json({
+      message: "Knowledge base re-indexed successfully",
+      ...result
+    });
+  } catch (error) {
+    console.error("Error re-indexing chatbot knowledge:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Delete a knowledge base entry and its indexed chunks
+export const deleteKnowledge = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const type = await chatbot.removeKnowledge(entryId);
+    if (!type) {
+      return res.status(404).json({ error: "Knowledge entry not found" });
+    }
+
+    await removeKnowledgeEntry(chatbot._id, entryId);
+
+    res.status(200).json({ message: "Knowledge entry deleted successfully", type });
+  } catch (error) {
+    console.error("Error deleting chatbot knowledge:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// List a chatbot's versions, newest first
+export const getChatbotVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const { page = 1, limit = 20 } = req.query;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    }).select("version");
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const versions = await ChatbotVersion.find({ chatbotId: chatbot._id })
+      .select("-config")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    res.status(200).json({
+      currentVersion: chatbot.version,
+      versions
+    });
+  } catch (error) {
+    console.error("Error fetching chatbot versions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Get one version's full configuration snapshot
+export const getChatbotVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.exists({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const snapshot = await ChatbotVersion.findOne({ chatbotId: id, version }).lean();
+    if (!snapshot) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    res.status(200).json(snapshot);
+  } catch (error) {
+    console.error("Error fetching chatbot version:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Compare two versions; "to" defaults to the current configuration
+export const diffChatbotVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    const userId = req.user._id;
+
+    if (!from) {
+      return res.status(400).json({ error: "The version to compare from is required" });
+    }
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const versions = [from, to].filter(Boolean);
+    const snapshots = await ChatbotVersion.find({ chatbotId: chatbot._id, version: { $in: versions } })
+      .select("version config")
+      .lean();
+    const configs = new Map(snapshots.map(snapshot => [snapshot.version, snapshot.config]));
+
+    const missing = versions.filter(version => !configs.has(version));
+    if (missing.length > 0) {
+      return res.status(404).json({ error: `Version not found: ${missing.join(", ")}` });
+    }
+
+    res.status(200).json({
+      from,
+      to: to || chatbot.version,
+      changes: diffConfigs(configs.get(from), to ? configs.get(to) : getVersionedConfig(chatbot))
+    });
+  } catch (error) {
+    console.error("Error comparing chatbot versions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Restore an earlier version's configuration; the rollback itself is recorded as a new version
+export const rollbackChatbot = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const snapshot = await ChatbotVersion.findOne({ chatbotId: chatbot._id, version }).lean();
+    if (!snapshot) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+
+    const previousConfig = getVersionedConfig(chatbot);
+    applyVersionConfig(chatbot, snapshot.config);
+
+    // The provider may have dropped the model or settings since the snapshot was taken
+    const targetProblems = validateLLMTarget(chatbot.llmTarget);
+    const optionProblems = targetProblems.length > 0 ? [] : validateLLMOptions(chatbot.llmTarget, chatbot.responseSettings);
+    if (targetProblems.length > 0 || optionProblems.length > 0) {
+      return res.status(400).json({
+        error: `Version ${version} can no longer be restored`,
+        details: [...targetProblems, ...optionProblems]
+      });
+    }
+
+    const newVersion = await recordChatbotVersion(chatbot, previousConfig, {
+      userId,
+      source: "rollback",
+      rolledBackTo: version
+    });
+
+    if (!newVersion) {
+      return res.status(400).json({ error: `Chatbot already matches version ${version}` });
+    }
+
+    await chatbot.performHealthCheck();
+
+    res.status(200).json({
+      message: `Rolled back to version ${version}`,
+      version: newVersion.version,
+      changes: newVersion.changes,
+      changelog: newVersion.changelog
+    });
+  } catch (error) {
+    console.error("Error rolling back chatbot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Rate a chatbot reply with thumbs up/down and an optional correction; rating again replaces
+// the earlier rating. Corrections become training examples of bots the rater owns.
+export const rateChatbotReply = async (req, res) => {
+  try {
+    const { id, messageId } = req.params;
+    const { rating, comment, correction } = req.body;
+    const userId = req.user._id;
+
+    if (!["up", "down"].includes(rating)) {
+      return res.status(400).json({ error: "Rating must be up or down" });
+    }
+    if (comment !== undefined && (typeof comment !== "string" || comment.length > 1000)) {
+      return res.status(400).json({ error: "Comment must be at most 1000 characters" });
+    }
+    if (correction !== undefined && (typeof correction !== "string" || correction.length > 1000)) {
+      return res.status(400).json({ error: "Correction must be at most 1000 characters" });
+    }
+
+    // Only the user the reply was sent to can rate it
+    const message = await MessageEnhanced.findOne({
+      _id: messageId,
+      senderId: id,
+      senderModel: "Chatbot",
+      receiverId: userId
+    }).select("createdAt sessionId aiMetadata.feedback");
+
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    // The shared default bot keeps corrections as feedback only
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    let trainingExample = null;
+    if (chatbot) {
+      const previousExampleId = message.aiMetadata?.feedback?.trainingExampleId;
+      if (previousExampleId) {
+        chatbot.trainingExamples.id(previousExampleId)?.deleteOne();
+      }
+
+      const input = correction?.trim()
+        ? await findPromptForReply({
+          chatbotId: chatbot._id,
+          userId,
+          sessionId: message.sessionId,
+          repliedAt: message.createdAt
+        })
+        : "";
+
+      if (input) {
+        await chatbot.addTrainingExample(input, correction.trim(), "correction", {
+          source: "feedback",
+          messageId: message._id
+        });
+        trainingExample = chatbot.trainingExamples[chatbot.trainingExamples.length - 1];
+      } else if (previousExampleId) {
+        await chatbot.save();
+      }
+    }
+
+    const feedback = {
+      rating,
+      comment: comment?.trim(),
+      correction: correction?.trim() || undefined,
+      trainingExampleId: trainingExample?._id,
+      ratedAt: new Date()
+    };
+    await MessageEnhanced.updateOne({ _id: message._id }, { $set: { "aiMetadata.feedback": feedback } });
+
+    res.status(200).json({
+      messageId: message._id,
+      feedback,
+      trainingExample
+    });
+  } catch (error) {
+    console.error("Error rating chatbot reply:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// List a chatbot's training examples
+export const getTrainingExamples = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { source } = req.query;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    }).select("trainingExamples");
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const examples = source
+      ? chatbot.trainingExamples.filter(example => example.source === source)
+      : chatbot.trainingExamples;
+
+    res.status(200).json(examples);
+  } catch (error) {
+    console.error("Error fetching training examples:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Delete a training example
+export const deleteTrainingExample = async (req, res) => {
+  try {
+    const { id, exampleId } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    if (!(await chatbot.removeTrainingExample(exampleId))) {
+      return res.status(404).json({ error: "Training example not found" });
+    }
+
+    res.status(200).json({
+      message: "Training example deleted successfully",
+      exampleCount: chatbot.trainingExamples.length
+    });
+  } catch (error) {
+    console.error("Error deleting training example:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Download training examples as a JSONL fine-tuning file
+export const exportTrainingExamples = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    if (chatbot.trainingExamples.length === 0) {
+      return res.status(400).json({ error: "This chatbot has no training examples" });
+    }
+
+    const fileName = `${chatbot.name.replace(/[^a-zA-Z0-9_-]+/g, "-")}-training.jsonl`;
+    res.setHeader("Content-Type", "application/jsonl");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.status(200).send(`${toFineTuningJSONL(chatbot)}\n`);
+  } catch (error) {
+    console.error("Error exporting training examples:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// List a chatbot's prompt experiments
+export const getExperiments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    }).select("experiments");
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    res.status(200).json(chatbot.experiments);
+  } catch (error) {
+    console.error("Error fetching chatbot experiments:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Define a prompt experiment; it starts as a draft
+export const createExperiment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, variants } = req.body;
+    const userId = req.user._id;
+
+    if (!name?.trim()) {
+      return res.status(400).json({ error: "Experiment name is required" });
+    }
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const variantProblems = validateExperimentVariants(chatbot, variants);
+    if (variantProblems.length > 0) {
+      return res.status(400).json({
+        error: "Invalid experiment variants",
+        details: variantProblems
+      });
+    }
+
+    chatbot.experiments.push({
+      name: name.trim(),
+      variants: variants.map(toExperimentVariant)
+    });
+    await chatbot.save();
+
+    res.status(201).json(chatbot.experiments[chatbot.experiments.length - 1]);
+  } catch (error) {
+    console.error("Error creating chatbot experiment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Start assigning users to a draft experiment's variants
+export const startExperiment = async (req, res) => {
+  try {
+    const { id, experimentId } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const experiment = chatbot.experiments.id(experimentId);
+    if (!experiment) {
+      return res.status(404).json({ error: "Experiment not found" });
+    }
+    if (experiment.status !== "draft") {
+      return res.status(400).json({ error: "Only draft experiments can be started" });
+    }
+    if (chatbot.getRunningExperiment()) {
+      return res.status(409).json({ error: "Another experiment is already running" });
+    }
+
+    experiment.status = "running";
+    experiment.startedAt = new Date();
+    await chatbot.save();
+
+    res.status(200).json(experiment);
+  } catch (error) {
+    console.error("Error starting chatbot experiment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// End an experiment, optionally naming a winner and making its variant the bot's configuration
+export const stopExperiment = async (req, res) => {
+  try {
+    const { id, experimentId } = req.params;
+    const { winnerKey, applyWinner = false } = req.body;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const experiment = chatbot.experiments.id(experimentId);
+    if (!experiment) {
+      return res.status(404).json({ error: "Experiment not found" });
+    }
+    if (experiment.status !== "running") {
+      return res.status(400).json({ error: "Experiment is not running" });
+    }
+
+    const winner = winnerKey && experiment.variants.find(variant => variant.key === winnerKey);
+    if (winnerKey && !winner) {
+      return res.status(400).json({ error: `Unknown variant ${winnerKey}` });
+    }
+    if (applyWinner && !winner) {
+      return res.status(400).json({ error: "winnerKey is required to apply the winner" });
+    }
+
+    await ensureBaselineVersion(chatbot);
+    const previousConfig = getVersionedConfig(chatbot);
+
+    experiment.status = "completed";
+    experiment.endedAt = new Date();
+    experiment.winnerKey = winner?.key;
+
+    if (applyWinner) {
+      if (winner.systemPrompt) chatbot.systemPrompt = winner.systemPrompt;
+      if (winner.customInstructions !== undefined) chatbot.customInstructions = winner.customInstructions;
+      chatbot.responseSettings = chatbot.getResponseSettings(winner);
+    }
+
+    // Applying the winner is a configuration change like any other, so it gets a version
+    const newVersion = await recordChatbotVersion(chatbot, previousConfig, { userId });
+    if (!newVersion) {
+      await chatbot.save();
+    }
+
+    res.status(200).json({
+      experiment,
+      version: chatbot.version,
+      analytics: (await getExperimentAnalytics(chatbot)).find(result => result._id.equals(experiment._id))
+    });
+  } catch (error) {
+    console.error("Error stopping chatbot experiment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Delete an experiment that is not running; replies keep their variant tags
+export const deleteExperiment = async (req, res) => {
+  try {
+    const { id, experimentId } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const experiment = chatbot.experiments.id(experimentId);
+    if (!experiment) {
+      return res.status(404).json({ error: "Experiment not found" });
+    }
+    if (experiment.status === "running") {
+      return res.status(400).json({ error: "Stop the experiment before deleting it" });
+    }
+
+    experiment.deleteOne();
+    await chatbot.save();
+
+    res.status(200).json({ message: "Experiment deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting chatbot experiment:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// List what the moderation pipeline blocked for a chatbot, newest first
+export const getModerationLogs = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { direction, page = 1, limit = 50 } = req.query;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    }).select("restrictions.contentFilter");
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const query = { chatbotId: chatbot._id };
+    if (direction) query.direction = direction;
+
+    const [logs, total] = await Promise.all([
+      ModerationLog.find(query)
+        .populate("userId", "fullName profilePic")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      ModerationLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      contentFilter: chatbot.restrictions.contentFilter,
+      logs,
+      total
+    });
+  } catch (error) {
+    console.error("Error fetching moderation logs:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Probe the chatbot's provider now instead of waiting for the scheduled check
+export const runChatbotHealthCheck = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    await checkChatbotHealth(chatbot);
+
+    res.status(200).json(chatbot.healthCheck);
+  } catch (error) {
+    console.error("Error checking chatbot health:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Key list shown to the owner; only the last four characters of each key leave the server
+const toApiKeysResponse = (chatbot) => {
+  const hint = (encryptedKey) => {
+    try {
+      return maskApiKey(decrypt(encryptedKey));
+    } catch {
+      return null; // Encrypted under a master key this server no longer has
+    }
+  };
+
+  return {
+    primary: { hint: hint(chatbot.encryptedApiKey) },
+    backups: chatbot.backupApiKeys.map(key => ({
+      _id: key._id,
+      label: key.label,
+      hint: hint(key.encryptedKey),
+      isActive: key.isActive,
+      addedAt: key.addedAt,
+      lastUsedAt: key.lastUsedAt,
+      lastFailureAt: key.lastFailureAt,
+      lastFailureStatus: key.lastFailureStatus
+    })),
+    maxBackups: MAX_BACKUP_API_KEYS
+  };
+};
+
+const findOwnedChatbot = (chatbotId, userId) =>
+  ChatbotEnhanced.findOne({ _id: chatbotId, ownerId: userId, isDefault: false });
+
+// List the chatbot's provider keys (masked)
+export const getApiKeys = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await findOwnedChatbot(id, userId);
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    res.status(200).json(toApiKeysResponse(chatbot));
+  } catch (error) {
+    console.error("Error fetching chatbot API keys:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Replace the primary key, optionally keeping the old one as the last backup, then re-probe the provider
+export const rotateApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { apiKey, keepOldAsBackup = false } = req.body;
+    const userId = req.user._id;
+
+    const chatbot = await findOwnedChatbot(id, userId);
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const targetProblems = validateLLMTarget(chatbot.llmTarget, { apiKey: apiKey || "" });
+    if (targetProblems.length > 0) {
+      return res.status(400).json({
+        error: "Invalid API key",
+        details: targetProblems
+      });
+    }
+
+    if (keepOldAsBackup) {
+      if (chatbot.backupApiKeys.length >= MAX_BACKUP_API_KEYS) {
+        return res.status(400).json({ error: `At most ${MAX_BACKUP_API_KEYS} backup API keys are allowed` });
+      }
+      chatbot.backupApiKeys.push({ label: "Previous primary", encryptedKey: chatbot.encryptedApiKey });
+    }
+    chatbot.encryptedApiKey = encrypt(apiKey || "");
+    await chatbot.save();
+
+    await checkChatbotHealth(chatbot);
+
+    res.status(200).json({ ...toApiKeysResponse(chatbot), healthCheck: chatbot.healthCheck });
+  } catch (error) {
+    console.error("Error rotating chatbot API key:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Add a backup key, tried after the primary and any earlier backups
+export const addBackupApiKey = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { apiKey, label = "" } = req.body;
+    const userId = req.user._id;
+
+    if (typeof label !== "string" || label.length > 50) {
+      return res.status(400).json({ error: "Label must be at most 50 characters" });
+    }
+
+    const chatbot = await findOwnedChatbot(id, userId);
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    if (chatbot.backupApiKeys.length >= MAX_BACKUP_API_KEYS) {
+      return res.status(400).json({ error: `At most ${MAX_BACKUP_API_KEYS} backup API keys are allowed` });
+    }
+
+    const targetProblems = validateLLMTarget(chatbot.llmTarget, { apiKey: apiKey || "" });
+    if (targetProblems.length > 0) {
+      return res.status(400).json({
+        error: "Invalid API key",
+        details: targetProblems
+      });
+    }
+
+    chatbot.backupApiKeys.push({ label: label.trim(), encryptedKey: encrypt(apiKey || "") });
+    await chatbot.save();
+    // A backup can turn a rejected primary from critical into a warning
+    await chatbot.performHealthCheck();
+
+    res.status(201).json(toApiKeysResponse(chatbot));
+  } catch (error) {
+    console.error("Error adding backup API key:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Rename a backup key or switch it on and off
+export const updateBackupApiKey = async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+    const userId = req.user._id;
+    const { label, isActive } = req.body;
+
+    if (label !== undefined && (typeof label !== "string" || label.length > 50)) {
+      return res.status(400).json({ error: "Label must be at most 50 characters" });
+    }
+    if (isActive !== undefined && typeof isActive !== "boolean") {
+      return res.status(400).json({ error: "isActive must be true or false" });
+    }
+
+    const chatbot = await findOwnedChatbot(id, userId);
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const backup = chatbot.backupApiKeys.id(keyId);
+    if (!backup) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    if (label !== undefined) backup.label = label.trim();
+    if (isActive !== undefined) backup.isActive = isActive;
+    await chatbot.save();
+    await chatbot.performHealthCheck();
+
+    res.status(200).json(toApiKeysResponse(chatbot));
+  } catch (error) {
+    console.error("Error updating backup API key:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Remove a backup key
+export const deleteBackupApiKey = async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await findOwnedChatbot(id, userId);
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const backup = chatbot.backupApiKeys.id(keyId);
+    if (!backup) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    backup.deleteOne();
+    await chatbot.save();
+    await chatbot.performHealthCheck();
+
+    res.status(200).json(toApiKeysResponse(chatbot));
+  } catch (error) {
+    console.error("Error deleting backup API key:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Make a backup key the primary; the old primary takes its place in the backup list
+export const promoteBackupApiKey = async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await findOwnedChatbot(id, userId);
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const backup = chatbot.backupApiKeys.id(keyId);
+    if (!backup) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+
+    const previousPrimary = chatbot.encryptedApiKey;
+    chatbot.encryptedApiKey = backup.encryptedKey;
+    backup.set({
+      label: "Previous primary",
+      encryptedKey: previousPrimary,
+      isActive: true,
+      addedAt: new Date(),
+      lastUsedAt: undefined,
+      lastFailureAt: undefined,
+      lastFailureStatus: undefined
+    });
+    await chatbot.save();
+
+    await checkChatbotHealth(chatbot);
+
+    res.status(200).json({ ...toApiKeysResponse(chatbot), healthCheck: chatbot.healthCheck });
+  } catch (error) {
+    console.error("Error promoting backup API key:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 // Get chatbot analytics
 export const getChatbotAnalytics = async (req, res) => {
   try {
@@ -604,14 +2384,15 @@ export const getChatbotAnalytics = async (req, res) => {
     const analytics = {
       usageStats: chatbot.usageStats,
       healthCheck: chatbot.healthCheck,
-      rateLimits: chatbot.checkRateLimit(),
+      rateLimits: await getChatbotRateLimitStatus(chatbot, userId),
       trainingExamples: chatbot.trainingExamples.length,
       knowledgeBase: {
         documents: chatbot.knowledgeBase.documents.length,
         faqs: chatbot.knowledgeBase.faqs.length
       },
       version: chatbot.version,
-      changelog: chatbot.changelog.slice(-5) // Last 5 changes
+      changelog: chatbot.changelog.slice(-5), // Last 5 changes
+      experiments: await getExperimentAnalytics(chatbot)
     };
 
     res.status(200).json(analytics);
@@ -623,6 +2404,8 @@ export const getChatbotAnalytics = async (req, res) => {
 
 export default {
   createChatbot,
+  getLLMProviders,
+  getMyAIUsage,
   getChatbots,
   getChatbotDetails,
   updateChatbot,
@@ -630,7 +2413,39 @@ export default {
   deleteChatbot,
   getChatbotMessages,
   sendMessageToChatbot,
+  cancelChatbotReply,
   addTrainingExample,
+  getChatbotSummary,
+  resetChatbotSummary,
+  getKnowledge,
+  addKnowledge,
+  reindexKnowledge,
+  deleteKnowledge,
+  getChatbotToolsConfig,
+  addChatbotTool,
+  deleteChatbotTool,
+  updateBuiltInTools,
+  getChatbotVersions,
+  getChatbotVersion,
+  diffChatbotVersions,
+  rollbackChatbot,
+  rateChatbotReply,
+  getTrainingExamples,
+  deleteTrainingExample,
+  exportTrainingExamples,
+  getModerationLogs,
+  runChatbotHealthCheck,
+  getApiKeys,
+  rotateApiKey,
+  addBackupApiKey,
+  updateBackupApiKey,
+  deleteBackupApiKey,
+  promoteBackupApiKey,
+  getExperiments,
+  createExperiment,
+  startExperiment,
+  stopExperiment,
+  deleteExperiment,
   getChatbotAnalytics
 };
 
@@ -65,7 +65,7 @@ export const createConversation = async (req, res) => {
     allParticipants.forEach(participantId => {
       const sockets = io.sockets.sockets;
       for (const [socketId, socket] of sockets) {
-        if (socket.handshake.query.userId === participantId.toString()) {
+        if (socket.userId === participantId.toString()) {
           socket.join(conversation._id.toString());
         }
       }
@@ -1,7 +1,13 @@
-import ConversationEnhanced from "../models/conversation_enhanced.model.js";
+import mongoose from "mongoose";
+import ConversationEnhanced, { BOT_PERMISSIONS } from "../models/conversation_enhanced.model.js";
+import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
 import Message from "../models/message.model.js";
+import MessageEnhanced from "../models/message_enhanced.model.js";
 import User from "../models/user.model.js";
 import { getSocketInstance } from "../lib/socket.js";
+import { emitToConversation } from "../lib/realtime.js";
+import { dispatchConversationEvent, toWebhookMessage } from "../services/webhook.service.js";
+import { triggerGroupChatbots } from "../services/groupChatbot.service.js";
 
 // Get conversations with enhanced ordering and filtering
 export const getConversations = async (req, res) => {
@@ -200,7 +206,7 @@ export const createConversation = async (req, res) => {
     allParticipants.forEach(participantId => {
       const sockets = io.sockets.sockets;
       for (const [socketId, socket] of sockets) {
-        if (socket.handshake.query.userId === participantId.toString()) {
+        if (socket.userId === participantId.toString()) {
           socket.join(conversation._id.toString());
           
           // Emit conversation created event
@@ -247,7 +253,7 @@ export const deleteConversation = async (req, res) => {
       conversation.participants.forEach(participantId => {
         const sockets = io.sockets.sockets;
         for (const [socketId, socket] of sockets) {
-          if (socket.handshake.query.userId === participantId.toString()) {
+          if (socket.userId === participantId.toString()) {
             socket.emit("conversationDeleted", { conversationId: id });
             socket.leave(id);
           }
@@ -264,7 +270,7 @@ export const deleteConversation = async (req, res) => {
     const io = getSocketInstance();
     const sockets = io.sockets.sockets;
     for (const [socketId, socket] of sockets) {
-      if (socket.handshake.query.userId === userId.toString()) {
+      if (socket.userId === userId.toString()) {
         socket.emit("conversationDeleted", { conversationId: id });
         socket.leave(id);
       }
@@ -337,7 +343,7 @@ export const leaveConversation = async (req, res) => {
       updatedConversation.participants.forEach(participantId => {
         const sockets = io.sockets.sockets;
         for (const [socketId, socket] of sockets) {
-          if (socket.handshake.query.userId === participantId.toString()) {
+          if (socket.userId === participantId.toString()) {
             socket.emit("memberLeft", {
               conversationId: id,
               userId,
@@ -351,7 +357,7 @@ export const leaveConversation = async (req, res) => {
     // Notify the leaving user
     const sockets = io.sockets.sockets;
     for (const [socketId, socket] of sockets) {
-      if (socket.handshake.query.userId === userId.toString()) {
+      if (socket.userId === userId.toString()) {
         socket.emit("conversationLeft", { conversationId: id });
         socket.leave(id);
       }
@@ -408,7 +414,7 @@ export const updateConversation = async (req, res) => {
     conversation.participants.forEach(participantId => {
       const sockets = io.sockets.sockets;
       for (const [socketId, socket] of sockets) {
-        if (socket.handshake.query.userId === participantId.toString()) {
+        if (socket.userId === participantId.toString()) {
           socket.emit("conversationUpdated", updatedConversation);
         }
       }
@@ -442,7 +448,7 @@ export const markAsRead = async (req, res) => {
     const io = getSocketInstance();
     const sockets = io.sockets.sockets;
     for (const [socketId, socket] of sockets) {
-      if (socket.handshake.query.userId === userId.toString()) {
+      if (socket.userId === userId.toString()) {
         socket.emit("conversationRead", { conversationId: id });
       }
     }
@@ -497,6 +503,354 @@ export const getConversationDetails = async (req, res) => {
   }
 };
 
+// Bot member as returned to clients
+const toBotMemberResponse = (member, chatbot) => ({
+  chatbotId: member.userId,
+  name: chatbot?.name,
+  avatar: chatbot?.avatar,
+  avatarColor: chatbot?.avatarColor,
+  model: chatbot?.model,
+  status: chatbot?.status,
+  permissions: member.permissions,
+  botSettings: member.botSettings,
+  addedBy: member.addedBy,
+  joinedAt: member.joinedAt
+});
+
+// Validate replyMode/historyLength/permissions from a request body
+const validateBotSettings = ({ replyMode, historyLength, permissions }) => {
+  if (replyMode !== undefined && !["mention", "all"].includes(replyMode)) {
+    return "replyMode must be mention or all";
+  }
+  if (historyLength !== undefined && (!Number.isInteger(historyLength) || historyLength < 1 || historyLength > 50)) {
+    return "historyLength must be an integer between 1 and 50";
+  }
+  if (permissions !== undefined &&
+      (!Array.isArray(permissions) || permissions.some(permission => !BOT_PERMISSIONS.includes(permission)))) {
+    return `permissions must be a list of: ${BOT_PERMISSIONS.join(", ")}`;
+  }
+  return null;
+};
+
+// Get chatbot members of a group
+export const getConversationBots = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const conversation = await ConversationEnhanced.findOne({
+      _id: id,
+      participants: userId,
+      isGroupChat: true
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Group conversation not found" });
+    }
+
+    const botMembers = conversation.getBotMembers();
+    const chatbots = await ChatbotEnhanced.find({ _id: { $in: botMembers.map(member => member.userId) } })
+      .select("name avatar avatarColor model status")
+      .lean();
+    const chatbotsById = new Map(chatbots.map(chatbot => [chatbot._id.toString(), chatbot]));
+
+    res.status(200).json(botMembers.map(member =>
+      toBotMemberResponse(member, chatbotsById.get(member.userId.toString()))
+    ));
+  } catch (error) {
+    console.error("Error fetching conversation bots:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Add a chatbot to a group as a bot member
+export const addConversationBot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { chatbotId, replyMode = "mention", historyLength = 20 } = req.body;
+    const userId = req.user._id;
+
+    if (!chatbotId) {
+      return res.status(400).json({ error: "Chatbot ID is required" });
+    }
+
+    const settingsError = validateBotSettings({ replyMode, historyLength });
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const conversation = await ConversationEnhanced.findOne({
+      _id: id,
+      participants: userId,
+      isGroupChat: true
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Group conversation not found" });
+    }
+
+    if (!conversation.hasPermission(userId, "manageBots")) {
+      return res.status(403).json({ error: "Only admins can add chatbots" });
+    }
+
+    // Members can only bring in their own bots or the default bot
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: chatbotId,
+      $or: [
+        { ownerId: userId },
+        { isDefault: true }
+      ]
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    if (conversation.getBotMember(chatbot._id)) {
+      return res.status(400).json({ error: "Chatbot is already in this group" });
+    }
+
+    await conversation.addBot(chatbot._id, userId, { replyMode, historyLength });
+    const member = conversation.getBotMember(chatbot._id);
+
+    const io = getSocketInstance();
+    io.to(id).emit("botAdded", {
+      conversationId: id,
+      bot: toBotMemberResponse(member, chatbot)
+    });
+
+    dispatchConversationEvent(conversation._id, "member.joined", {
+      userId: chatbot._id,
+      memberModel: "Chatbot",
+      name: chatbot.name,
+      addedBy: userId,
+      role: "bot"
+    });
+
+    res.status(201).json(toBotMemberResponse(member, chatbot));
+  } catch (error) {
+    console.error("Error adding chatbot to conversation:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Update how a bot member behaves
+export const updateConversationBot = async (req, res) => {
+  try {
+    const { id, chatbotId } = req.params;
+    const { replyMode, historyLength, permissions } = req.body;
+    const userId = req.user._id;
+
+    const settingsError = validateBotSettings({ replyMode, historyLength, permissions });
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const conversation = await ConversationEnhanced.findOne({
+      _id: id,
+      participants: userId,
+      isGroupChat: true
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Group conversation not found" });
+    }
+
+    if (!conversation.hasPermission(userId, "manageBots")) {
+      return res.status(403).json({ error: "Only admins can manage chatbots" });
+    }
+
+    const member = conversation.getBotMember(chatbotId);
+    if (!member) {
+      return res.status(404).json({ error: "Chatbot is not in this group" });
+    }
+
+    if (replyMode !== undefined) member.botSettings.replyMode = replyMode;
+    if (historyLength !== undefined) member.botSettings.historyLength = historyLength;
+    if (permissions !== undefined) member.permissions = [...new Set(permissions)];
+    await conversation.save();
+
+    const chatbot = await ChatbotEnhanced.findById(chatbotId).select("name avatar avatarColor model status").lean();
+
+    res.status(200).json(toBotMemberResponse(member, chatbot));
+  } catch (error) {
+    console.error("Error updating conversation bot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Remove a chatbot from a group
+export const removeConversationBot = async (req, res) => {
+  try {
+    const { id, chatbotId } = req.params;
+    const userId = req.user._id;
+
+    const conversation = await ConversationEnhanced.findOne({
+      _id: id,
+      participants: userId,
+      isGroupChat: true
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Group conversation not found" });
+    }
+
+    if (!conversation.hasPermission(userId, "manageBots")) {
+      return res.status(403).json({ error: "Only admins can remove chatbots" });
+    }
+
+    if (!conversation.getBotMember(chatbotId)) {
+      return res.status(404).json({ error: "Chatbot is not in this group" });
+    }
+
+    await conversation.removeBot(chatbotId);
+
+    const io = getSocketInstance();
+    io.to(id).emit("botRemoved", { conversationId: id, chatbotId });
+
+    res.status(200).json({ message: "Chatbot removed from group" });
+  } catch (error) {
+    console.error("Error removing chatbot from conversation:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// The quoted part of a message being replied to; null if it isn't in the conversation
+const buildReplyPreview = async (conversationId, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) return null;
+
+  const quoted = await MessageEnhanced.findOne({ _id: messageId, conversationId })
+    .select("text senderId senderModel")
+    .lean();
+  if (!quoted) return null;
+
+  const sender = quoted.senderModel === "User"
+    ? await User.findById(quoted.senderId).select("fullName").lean()
+    : await ChatbotEnhanced.findById(quoted.senderId).select("name").lean();
+
+  return {
+    messageId: quoted._id,
+    text: (quoted.text || "").slice(0, 100),
+    senderName: sender?.fullName || sender?.name
+  };
+};
+
+// Send a text message to a conversation; bot members may answer it
+export const sendConversationMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text, replyTo } = req.body;
+    const userId = req.user._id;
+
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ error: "Message text is required" });
+    }
+
+    const conversation = await ConversationEnhanced.findOne({
+      _id: id,
+      participants: userId
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    if (!conversation.hasPermission(userId, "sendMessages")) {
+      return res.status(403).json({ error: "You cannot send messages in this conversation" });
+    }
+
+    let replyPreview;
+    if (replyTo) {
+      replyPreview = await buildReplyPreview(conversation._id, replyTo);
+      if (!replyPreview) {
+        return res.status(400).json({ error: "Replied message not found in this conversation" });
+      }
+    }
+
+    const message = new MessageEnhanced({
+      senderId: userId,
+      senderModel: 'User',
+      receiverId: conversation._id,
+      receiverModel: 'ConversationEnhanced',
+      conversationId: conversation._id,
+      text: text.trim(),
+      replyTo: replyPreview,
+      deliveryStatus: {
+        sent: true,
+        sentAt: new Date()
+      }
+    });
+    await message.save();
+
+    await conversation.updateLastMessage(message._id);
+    await conversation.incrementUnreadCount(userId);
+
+    const populatedMessage = await MessageEnhanced.findById(message._id)
+      .populate("senderId", "fullName profilePic")
+      .lean();
+
+    emitToConversation(conversation._id, "newMessage", populatedMessage);
+    dispatchConversationEvent(conversation._id, "message.created", {
+      message: toWebhookMessage(populatedMessage)
+    });
+
+    // Bot members answer @mentions (or everything) in the background
+    triggerGroupChatbots(conversation._id, populatedMessage);
+
+    res.status(201).json(populatedMessage);
+  } catch (error) {
+    console.error("Error sending conversation message:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Delete your own message for everyone in the conversation
+export const deleteConversationMessage = async (req, res) => {
+  try {
+    const { id, messageId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const conversation = await ConversationEnhanced.findOne({
+      _id: id,
+      participants: userId
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const message = await MessageEnhanced.findOne({ _id: messageId, conversationId: conversation._id });
+    if (!message || message.isDeleted) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    // Only sender can delete their message
+    if (message.senderId.toString() !== userId.toString()) {
+      return res.status(403).json({ error: "You can only delete your own messages" });
+    }
+
+    await message.deleteForEveryone();
+
+    emitToConversation(conversation._id, "messageDeleted", {
+      messageId,
+      deletedBy: userId
+    });
+    dispatchConversationEvent(conversation._id, "message.deleted", {
+      messageId,
+      deletedBy: userId
+    });
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("Error deleting conversation message:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
 // Helper function to update conversation order when new message arrives
 export const updateConversationOrder = async (conversationId, messageId) => {
   try {
@@ -509,7 +863,7 @@ export const updateConversationOrder = async (conversationId, messageId) => {
       conversation.participants.forEach(participantId => {
         const sockets = io.sockets.sockets;
         for (const [socketId, socket] of sockets) {
-          if (socket.handshake.query.userId === participantId.toString()) {
+          if (socket.userId === participantId.toString()) {
             socket.emit("conversationReordered", {
               conversationId,
               lastMessageAt: conversation.lastMessageAt
@@ -531,6 +885,12 @@ export default {
   updateConversation,
   markAsRead,
   getConversationDetails,
+  getConversationBots,
+  addConversationBot,
+  updateConversationBot,
+  removeConversationBot,
+  sendConversationMessage,
+  deleteConversationMessage,
   updateConversationOrder
 };
 
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
+import {
+  askCouncil,
+  COUNCIL_DEFAULT_TIMEOUT,
+  COUNCIL_MAX_MEMBERS,
+  COUNCIL_MAX_TIMEOUT,
+  COUNCIL_MIN_MEMBERS,
+  COUNCIL_MIN_TIMEOUT
+} from "../services/chatbotCouncil.service.js";
+
+const MAX_PROMPT_LENGTH = 4000;
+
+// Ask several of your chatbots the same question and compare the answers, optionally with a judge's synthesis
+export const askChatbotCouncil = async (req, res) => {
+  try {
+    const { prompt, chatbotIds, judgeId, timeoutMs = COUNCIL_DEFAULT_TIMEOUT } = req.body;
+    const userId = req.user._id;
+
+    if (typeof prompt !== "string" || !prompt.trim()) {
+      return res.status(400).json({ error: "A prompt is required" });
+    }
+    if (prompt.length > MAX_PROMPT_LENGTH) {
+      return res.status(400).json({ error: `Prompt must be at most ${MAX_PROMPT_LENGTH} characters` });
+    }
+
+    const memberIds = Array.isArray(chatbotIds) ? [...new Set(chatbotIds.map(String))] : [];
+    if (memberIds.length < COUNCIL_MIN_MEMBERS || memberIds.length > COUNCIL_MAX_MEMBERS) {
+      return res.status(400).json({
+        error: `chatbotIds must list ${COUNCIL_MIN_MEMBERS} to ${COUNCIL_MAX_MEMBERS} different chatbots`
+      });
+    }
+
+    const requestedIds = judgeId ? [...new Set([...memberIds, String(judgeId)])] : memberIds;
+    if (requestedIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: "Invalid chatbot id" });
+    }
+
+    if (!Number.isInteger(timeoutMs) || timeoutMs < COUNCIL_MIN_TIMEOUT || timeoutMs > COUNCIL_MAX_TIMEOUT) {
+      return res.status(400).json({
+        error: `timeoutMs must be a whole number from ${COUNCIL_MIN_TIMEOUT} to ${COUNCIL_MAX_TIMEOUT}`
+      });
+    }
+
+    const chatbots = await ChatbotEnhanced.find({
+      _id: { $in: requestedIds },
+      status: "active",
+      $or: [
+        { ownerId: userId },
+        { isDefault: true }
+      ]
+    });
+
+    const chatbotsById = new Map(chatbots.map(chatbot => [chatbot._id.toString(), chatbot]));
+    const missingIds = requestedIds.filter(id => !chatbotsById.has(id));
+    if (missingIds.length > 0) {
+      return res.status(404).json({ error: "Chatbot not found", chatbotIds: missingIds });
+    }
+
+    const result = await askCouncil({
+      userId,
+      chatbots: memberIds.map(id => chatbotsById.get(id)),
+      judge: judgeId ? chatbotsById.get(String(judgeId)) : null,
+      prompt: prompt.trim(),
+      timeout: timeoutMs
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Error asking chatbot council:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export default {
+  askChatbotCouncil
+};
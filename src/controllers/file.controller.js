@@ -4,6 +4,7 @@ import { Readable } from "stream";
 import MessageEnhanced from "../models/message_enhanced.model.js";
 import ConversationEnhanced from "../models/conversation_enhanced.model.js";
 import { getSocketInstance } from "../lib/socket.js";
+import { dispatchConversationEvent, toWebhookMessage } from "../services/webhook.service.js";
 
 // File type configurations
 const FILE_TYPES = {
@@ -249,7 +250,7 @@ export const uploadFiles = async (req, res) => {
     conversation.participants.forEach(participantId => {
       const sockets = io.sockets.sockets;
       for (const [socketId, socket] of sockets) {
-        if (socket.handshake.query.userId === participantId.toString()) {
+        if (socket.userId === participantId.toString()) {
           socket.emit("newMessage", populatedMessage);
           
           // Update conversation order
@@ -260,6 +261,10 @@ export const uploadFiles = async (req, res) => {
         }
       }
     });
+
+    dispatchConversationEvent(conversation._id, "message.created", {
+      message: toWebhookMessage(populatedMessage)
+    });
     
     res.status(200).json({
       message: populatedMessage,
@@ -364,7 +369,7 @@ export const deleteFile = async (req, res) => {
     conversation.participants.forEach(participantId => {
       const sockets = io.sockets.sockets;
       for (const [socketId, socket] of sockets) {
-        if (socket.handshake.query.userId === participantId.toString()) {
+        if (socket.userId === participantId.toString()) {
           socket.emit("fileDeleted", {
             messageId,
             attachmentId,
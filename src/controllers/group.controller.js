@@ -2,6 +2,7 @@ import ConversationEnhanced from "../models/conversation_enhanced.model.js";
 import GroupInvitation from "../models/groupInvitation.model.js";
 import UserEnhanced from "../models/user_enhanced.model.js";
 import { getSocketInstance } from "../lib/socket.js";
+import { dispatchConversationEvent } from "../services/webhook.service.js";
 
 // Invite user to group
 export const inviteToGroup = async (req, res) => {
@@ -74,7 +75,7 @@ export const inviteToGroup = async (req, res) => {
         // Send real-time notification to invitee
         const sockets = io.sockets.sockets;
         for (const [socketId, socket] of sockets) {
-          if (socket.handshake.query.userId === userId) {
+          if (socket.userId === userId) {
             socket.emit("groupInvitationReceived", populatedInvitation);
           }
         }
@@ -128,10 +129,17 @@ export const respondToInvitation = async (req, res) => {
       const group = invitation.groupId;
       await group.addMember(userId, invitation.inviterId, "member");
 
+      dispatchConversationEvent(group._id, "member.joined", {
+        userId,
+        fullName: req.user.fullName,
+        addedBy: invitation.inviterId._id,
+        role: "member"
+      });
+
       // Make user join the group room in Socket.io
       const sockets = io.sockets.sockets;
       for (const [socketId, socket] of sockets) {
-        if (socket.handshake.query.userId === userId.toString()) {
+        if (socket.userId === userId.toString()) {
           socket.join(group._id.toString());
         }
       }
@@ -144,7 +152,7 @@ export const respondToInvitation = async (req, res) => {
       group.participants.forEach(participantId => {
         const sockets = io.sockets.sockets;
         for (const [socketId, socket] of sockets) {
-          if (socket.handshake.query.userId === participantId.toString()) {
+          if (socket.userId === participantId.toString()) {
             socket.emit("memberJoined", {
               groupId: group._id,
               newMember: {
@@ -161,7 +169,7 @@ export const respondToInvitation = async (req, res) => {
       // Notify inviter
       const sockets2 = io.sockets.sockets;
       for (const [socketId, socket] of sockets2) {
-        if (socket.handshake.query.userId === invitation.inviterId.toString()) {
+        if (socket.userId === invitation.inviterId.toString()) {
           socket.emit("invitationAccepted", {
             invitationId,
             groupId: group._id,
@@ -179,7 +187,7 @@ export const respondToInvitation = async (req, res) => {
       // Notify inviter
       const sockets = io.sockets.sockets;
       for (const [socketId, socket] of sockets) {
-        if (socket.handshake.query.userId === invitation.inviterId.toString()) {
+        if (socket.userId === invitation.inviterId.toString()) {
           socket.emit("invitationDeclined", {
             invitationId,
             groupId: invitation.groupId._id,
@@ -298,7 +306,7 @@ export const changeMemberRole = async (req, res) => {
     group.participants.forEach(participantId => {
       const sockets = io.sockets.sockets;
       for (const [socketId, socket] of sockets) {
-        if (socket.handshake.query.userId === participantId.toString()) {
+        if (socket.userId === participantId.toString()) {
           socket.emit("memberRoleChanged", {
             groupId,
             userId: targetUserId,
@@ -359,7 +367,7 @@ export const removeMember = async (req, res) => {
     // Notify removed user
     const sockets = io.sockets.sockets;
     for (const [socketId, socket] of sockets) {
-      if (socket.handshake.query.userId === targetUserId) {
+      if (socket.userId === targetUserId) {
         socket.emit("removedFromGroup", {
           groupId,
           removedBy: adminId
@@ -373,7 +381,7 @@ export const removeMember = async (req, res) => {
       updatedGroup.participants.forEach(participantId => {
         const sockets = io.sockets.sockets;
         for (const [socketId, socket] of sockets) {
-          if (socket.handshake.query.userId === participantId.toString()) {
+          if (socket.userId === participantId.toString()) {
             socket.emit("memberRemoved", {
               groupId,
               removedUserId: targetUserId,
@@ -0,0 +1,335 @@
+import ChatbotEnhanced, { MARKETPLACE_LISTING_FIELDS } from "../models/chatbot_enhanced.model.js";
+import ChatbotRating from "../models/chatbotRating.model.js";
+import { encrypt } from "../lib/crypto.js";
+import { validateLLMTarget } from "../services/llmRegistry.service.js";
+import { createInitialVersion } from "../services/chatbotVersion.service.js";
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const SORT_OPTIONS = ["popular", "rating", "newest"];
+
+// Lowercase, trim and dedupe tags; returns null if they are not valid
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== "string")) return null;
+
+  const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) return null;
+  return normalized;
+};
+
+const parseTagsQuery = (tags) =>
+  (Array.isArray(tags) ? tags : String(tags || "").split(","))
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+
+// Publish a chatbot to the marketplace, or update its listing
+export const publishChatbot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { description, tags = [] } = req.body;
+    const userId = req.user._id;
+
+    if (!description?.trim()) {
+      return res.status(400).json({ error: "A description is required to publish a chatbot" });
+    }
+    if (description.length > 500) {
+      return res.status(400).json({ error: "Description must be at most 500 characters" });
+    }
+
+    const normalizedTags = normalizeTags(tags);
+    if (!normalizedTags) {
+      return res.status(400).json({
+        error: `Tags must be a list of at most ${MAX_TAGS} strings of up to ${MAX_TAG_LENGTH} characters`
+      });
+    }
+
+    const chatbot = await ChatbotEnhanced.findOne({
+      _id: id,
+      ownerId: userId,
+      isDefault: false
+    });
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    chatbot.description = description.trim();
+    chatbot.tags = normalizedTags;
+    if (chatbot.visibility !== "public") {
+      chatbot.visibility = "public";
+      chatbot.publishedAt = new Date();
+    }
+    await chatbot.save();
+
+    res.status(200).json({
+      _id: chatbot._id,
+      visibility: chatbot.visibility,
+      description: chatbot.description,
+      tags: chatbot.tags,
+      publishedAt: chatbot.publishedAt
+    });
+  } catch (error) {
+    console.error("Error publishing chatbot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Take a chatbot off the marketplace; existing clones are unaffected
+export const unpublishChatbot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOneAndUpdate(
+      { _id: id, ownerId: userId, isDefault: false },
+      { $set: { visibility: "private" }, $unset: { publishedAt: 1 } },
+      { new: true }
+    );
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    res.status(200).json({ message: "Chatbot unpublished", visibility: chatbot.visibility });
+  } catch (error) {
+    console.error("Error unpublishing chatbot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Browse and search published chatbots
+export const getMarketplaceChatbots = async (req, res) => {
+  try {
+    const { q, tags, sort = "popular", page = 1, limit = 20 } = req.query;
+
+    if (!SORT_OPTIONS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${SORT_OPTIONS.join(", ")}` });
+    }
+
+    const chatbots = await ChatbotEnhanced.getPublishedChatbots({
+      search: q?.trim(),
+      tags: parseTagsQuery(tags),
+      sort,
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(50, Math.max(1, parseInt(limit) || 20))
+    });
+
+    res.status(200).json(chatbots);
+  } catch (error) {
+    console.error("Error browsing marketplace:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Get a published chatbot's listing, the configuration a clone would copy, and recent reviews
+export const getMarketplaceChatbot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const chatbot = await ChatbotEnhanced.findOne({ _id: id, visibility: "public", isDefault: false })
+      .select(`${MARKETPLACE_LISTING_FIELDS} systemPrompt customInstructions responseSettings contextSettings`)
+      .populate("ownerId", "fullName profilePic")
+      .lean();
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const [reviews, myRating] = await Promise.all([
+      ChatbotRating.find({ chatbotId: chatbot._id })
+        .populate("userId", "fullName profilePic")
+        .sort({ updatedAt: -1 })
+        .limit(10)
+        .lean(),
+      ChatbotRating.findOne({ chatbotId: chatbot._id, userId }).select("rating review").lean()
+    ]);
+
+    res.status(200).json({ ...chatbot, reviews, myRating });
+  } catch (error) {
+    console.error("Error fetching marketplace chatbot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Rate a published chatbot (1-5); rating again replaces the earlier rating
+export const rateChatbot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rating, review = "" } = req.body;
+    const userId = req.user._id;
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: "Rating must be a whole number from 1 to 5" });
+    }
+    if (typeof review !== "string" || review.length > 1000) {
+      return res.status(400).json({ error: "Review must be at most 1000 characters" });
+    }
+
+    const chatbot = await ChatbotEnhanced.findOne({ _id: id, visibility: "public", isDefault: false })
+      .select("ownerId");
+
+    if (!chatbot) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    if (chatbot.ownerId.toString() === userId.toString()) {
+      return res.status(400).json({ error: "You cannot rate your own chatbot" });
+    }
+
+    const myRating = await ChatbotRating.findOneAndUpdate(
+      { chatbotId: chatbot._id, userId },
+      { $set: { rating, review: review.trim() } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    // Recompute from the ratings themselves so concurrent ratings can't skew the average
+    const summary = await ChatbotRating.getSummary(chatbot._id);
+    await ChatbotEnhanced.updateOne(
+      { _id: chatbot._id },
+      {
+        $set: {
+          "marketplaceStats.ratingAverage": summary.average,
+          "marketplaceStats.ratingCount": summary.count
+        }
+      }
+    );
+
+    res.status(200).json({ rating: myRating, summary });
+  } catch (error) {
+    console.error("Error rating chatbot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Remove your rating of a chatbot
+export const deleteChatbotRating = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const deleted = await ChatbotRating.findOneAndDelete({ chatbotId: id, userId });
+    if (!deleted) {
+      return res.status(404).json({ error: "Rating not found" });
+    }
+
+    const summary = await ChatbotRating.getSummary(id);
+    await ChatbotEnhanced.updateOne(
+      { _id: id },
+      {
+        $set: {
+          "marketplaceStats.ratingAverage": summary.average,
+          "marketplaceStats.ratingCount": summary.count
+        }
+      }
+    );
+
+    res.status(200).json({ message: "Rating removed", summary });
+  } catch (error) {
+    console.error("Error deleting chatbot rating:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Copy a published chatbot's configuration into a new private bot that runs on the caller's own API key.
+// Knowledge base, training examples, HTTP tools and webhooks are the publisher's and are not copied.
+export const cloneChatbot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { apiKey, baseUrl, name } = req.body;
+    const userId = req.user._id;
+
+    const source = await ChatbotEnhanced.findOne({ _id: id, visibility: "public", isDefault: false });
+
+    if (!source) {
+      return res.status(404).json({ error: "Chatbot not found" });
+    }
+
+    const cloneName = (name || source.name).trim();
+    if (!cloneName || cloneName.length > 50) {
+      return res.status(400).json({ error: "Name must be 1-50 characters" });
+    }
+
+    // The clone needs its own key for the source's provider. The publisher's base URL is never
+    // copied: the cloner's key would be sent to an endpoint the publisher controls.
+    const cloneTarget = { provider: source.provider, model: source.model, baseUrl: baseUrl || undefined };
+    const targetProblems = validateLLMTarget(cloneTarget, { apiKey: apiKey || "" });
+    if (targetProblems.length > 0) {
+      return res.status(400).json({
+        error: "Invalid model configuration",
+        details: targetProblems
+      });
+    }
+
+    const config = source.toObject();
+    const clone = new ChatbotEnhanced({
+      ownerId: userId,
+      name: cloneName,
+      provider: source.provider,
+      model: source.model,
+      baseUrl: cloneTarget.baseUrl,
+      encryptedApiKey: encrypt(apiKey || ""),
+      systemPrompt: source.systemPrompt,
+      customInstructions: source.customInstructions,
+      personality: config.personality,
+      avatar: source.avatar,
+      avatarColor: source.avatarColor,
+      contextSettings: {
+        memoryLength: config.contextSettings.memoryLength,
+        useContext: config.contextSettings.useContext
+      },
+      responseSettings: config.responseSettings,
+      capabilities: config.capabilities,
+      restrictions: config.restrictions,
+      integrations: {
+        builtInTools: config.integrations.builtInTools
+      },
+      description: config.description,
+      tags: config.tags,
+      clonedFrom: {
+        chatbotId: source._id,
+        version: source.version
+      }
+    });
+    await clone.save();
+    await createInitialVersion(clone, userId);
+    await clone.performHealthCheck();
+
+    await ChatbotEnhanced.updateOne({ _id: source._id }, { $inc: { "marketplaceStats.cloneCount": 1 } });
+
+    res.status(201).json({
+      _id: clone._id,
+      name: clone.name,
+      provider: clone.provider,
+      model: clone.model,
+      baseUrl: clone.baseUrl,
+      systemPrompt: clone.systemPrompt,
+      customInstructions: clone.customInstructions,
+      personality: clone.personality,
+      responseSettings: clone.responseSettings,
+      capabilities: clone.capabilities,
+      restrictions: clone.restrictions,
+      avatar: clone.avatar,
+      avatarColor: clone.avatarColor,
+      visibility: clone.visibility,
+      clonedFrom: clone.clonedFrom,
+      status: clone.status,
+      healthCheck: clone.healthCheck,
+      version: clone.version,
+      createdAt: clone.createdAt
+    });
+  } catch (error) {
+    console.error("Error cloning chatbot:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export default {
+  publishChatbot,
+  unpublishChatbot,
+  getMarketplaceChatbots,
+  getMarketplaceChatbot,
+  rateChatbot,
+  deleteChatbotRating,
+  cloneChatbot
+};
@@ -0,0 +1,433 @@
+import mongoose from "mongoose";
+import Report, { REPORT_ACTIONS, REPORT_REASONS } from "../models/report.model.js";
+import MessageEnhanced from "../models/message_enhanced.model.js";
+import {
+  applyModerationAction,
+  canModerate,
+  findUserAccount,
+  isStaff,
+  MAX_SUSPENSION_HOURS,
+  notifyReporter
+} from "../services/userModeration.service.js";
+
+const OPEN_STATUSES = ["open", "in_review"];
+const REPORT_STATUSES = [...OPEN_STATUSES, "resolving", "resolved", "dismissed"];
+const USER_FIELDS = "fullName email profilePic role";
+
+// Reject anything that isn't a report id before querying
+const findReport = (reportId) => {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) return null;
+  return Report.findById(reportId);
+};
+
+// Close a report that is still open; returns null if someone else closed it first
+const closeReport = (reportId, update) =>
+  Report.findOneAndUpdate(
+    { _id: reportId, status: { $in: OPEN_STATUSES } },
+    { $set: update },
+    { new: true }
+  );
+
+// Take an open report out of the queue while its action is applied; returns the report as it was
+// before, or null if someone else got to it first
+const claimReport = (reportId) =>
+  Report.findOneAndUpdate(
+    { _id: reportId, status: { $in: OPEN_STATUSES } },
+    { $set: { status: "resolving" } }
+  );
+
+// Get the review queue: open reports oldest first, or closed ones newest first
+export const getReportQueue = async (req, res) => {
+  try {
+    const { status, assignedTo, reason, targetUserId, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    if (status) {
+      if (!REPORT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${REPORT_STATUSES.join(", ")}` });
+      }
+      query.status = status;
+    } else {
+      query.status = { $in: OPEN_STATUSES };
+    }
+
+    if (assignedTo === "me") {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === "unassigned") {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+        return res.status(400).json({ error: "Invalid moderator ID" });
+      }
+      query.assignedTo = assignedTo;
+    }
+
+    if (reason) {
+      if (!REPORT_REASONS.includes(reason)) {
+        return res.status(400).json({ error: `Reason must be one of: ${REPORT_REASONS.join(", ")}` });
+      }
+      query.reason = reason;
+    }
+    if (targetUserId) {
+      if (!mongoose.Types.ObjectId.isValid(targetUserId)) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+      query.targetUserId = targetUserId;
+    }
+
+    const isQueue = !status || OPEN_STATUSES.includes(status);
+    const [reports, openCounts] = await Promise.all([
+      Report.find(query)
+        .populate("reporterId", USER_FIELDS)
+        .populate("targetUserId", USER_FIELDS)
+        .populate("assignedTo", USER_FIELDS)
+        .sort({ createdAt: isQueue ? 1 : -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .lean(),
+      Report.aggregate([
+        { $match: { status: { $in: OPEN_STATUSES } } },
+        { $group: { _id: "$status", count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = { open: 0, in_review: 0 };
+    openCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.status(200).json({
+      reports,
+      counts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        hasMore: reports.length === parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching report queue:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Get one report with its evidence and the reported user's history
+export const getReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+
+    const report = await Report.findById(id)
+      .populate("reporterId", USER_FIELDS)
+      .populate("targetUserId", USER_FIELDS)
+      .populate("assignedTo", USER_FIELDS)
+      .populate("resolution.resolvedBy", USER_FIELDS)
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+
+    const targetUserId = report.targetUserId?._id || report.targetUserId;
+    const [evidenceMessages, targetAccount, previousReports] = await Promise.all([
+      MessageEnhanced.find({ _id: { $in: report.evidenceMessageIds } })
+        .select("senderId receiverId conversationId text attachments createdAt isDeleted")
+        .sort({ createdAt: 1 })
+        .lean(),
+      findUserAccount(targetUserId, "moderation role"),
+      Report.find({ targetUserId, _id: { $ne: report._id } })
+        .select("reason status resolution.action createdAt")
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .lean()
+    ]);
+
+    res.status(200).json({
+      report,
+      evidenceMessages,
+      targetModeration: targetAccount?.user.moderation || null,
+      previousReports
+    });
+  } catch (error) {
+    console.error("Error fetching report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Assign a report to a moderator (yourself by default) and mark it in review
+export const assignReport = async (req, res) => {
+  try {
+    const { moderatorId = req.user._id.toString() } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(moderatorId)) {
+      return res.status(400).json({ error: "Invalid moderator ID" });
+    }
+
+    const report = await findReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    if (!report.isOpen()) {
+      return res.status(400).json({ error: `Report is already ${report.status}` });
+    }
+
+    const moderator = await findUserAccount(moderatorId, USER_FIELDS);
+    if (!moderator || !isStaff(moderator.user)) {
+      return res.status(400).json({ error: "Reports can only be assigned to moderators" });
+    }
+
+    report.assignedTo = moderator.user._id;
+    report.assignedAt = new Date();
+    report.status = "in_review";
+    await report.save();
+
+    res.status(200).json({
+      message: "Report assigned successfully",
+      report
+    });
+  } catch (error) {
+    console.error("Error assigning report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Resolve a report, optionally warning, suspending or banning the reported user
+export const resolveReport = async (req, res) => {
+  try {
+    const { action, note = "", durationHours } = req.body;
+    const moderator = req.user;
+
+    if (!REPORT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${REPORT_ACTIONS.join(", ")}` });
+    }
+    if (typeof note !== "string" || note.length > 1000) {
+      return res.status(400).json({ error: "Note must be at most 1000 characters" });
+    }
+    if (action === "suspend" &&
+      (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > MAX_SUSPENSION_HOURS)) {
+      return res.status(400).json({
+        error: `durationHours must be a whole number from 1 to ${MAX_SUSPENSION_HOURS} to suspend a user`
+      });
+    }
+
+    const report = await findReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    if (!report.isOpen()) {
+      return res.status(400).json({ error: `Report is already ${report.status}` });
+    }
+
+    const targetAccount = await findUserAccount(report.targetUserId);
+    if (action !== "none") {
+      if (!targetAccount) {
+        return res.status(404).json({ error: "Reported user no longer exists" });
+      }
+      if (!canModerate(moderator, targetAccount.user)) {
+        return res.status(403).json({ error: "You cannot take action against this user" });
+      }
+    }
+
+    const suspendedUntil = action === "suspend"
+      ? new Date(Date.now() + durationHours * 60 * 60 * 1000)
+      : undefined;
+
+    const claimed = await claimReport(report._id);
+    if (!claimed) {
+      return res.status(409).json({ error: "Report was closed by another moderator" });
+    }
+
+    let targetUser;
+    try {
+      targetUser = await applyModerationAction({
+        account: targetAccount,
+        action,
+        reason: note.trim() || `Reported for ${report.reason}`,
+        suspendedUntil
+      });
+    } catch (error) {
+      // Back in the queue as it was, so the action can be retried
+      await Report.updateOne({ _id: report._id, status: "resolving" }, { $set: { status: claimed.status } });
+      throw error;
+    }
+
+    const resolved = await Report.findOneAndUpdate(
+      { _id: report._id, status: "resolving" },
+      {
+        $set: {
+          status: "resolved",
+          assignedTo: claimed.assignedTo || moderator._id,
+          resolution: {
+            action,
+            note: note.trim(),
+            suspendedUntil,
+            resolvedBy: moderator._id,
+            resolvedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    notifyReporter(resolved);
+
+    res.status(200).json({
+      message: "Report resolved successfully",
+      report: resolved,
+      targetModeration: targetUser?.moderation || null
+    });
+  } catch (error) {
+    console.error("Error resolving report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Dismiss a report without action
+export const dismissReport = async (req, res) => {
+  try {
+    const { note = "" } = req.body;
+
+    if (typeof note !== "string" || note.length > 1000) {
+      return res.status(400).json({ error: "Note must be at most 1000 characters" });
+    }
+
+    const report = await findReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+    if (!report.isOpen()) {
+      return res.status(400).json({ error: `Report is already ${report.status}` });
+    }
+
+    const dismissed = await closeReport(report._id, {
+      status: "dismissed",
+      assignedTo: report.assignedTo || req.user._id,
+      resolution: {
+        action: "none",
+        note: note.trim(),
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      }
+    });
+    if (!dismissed) {
+      return res.status(409).json({ error: "Report was closed by another moderator" });
+    }
+
+    notifyReporter(dismissed);
+
+    res.status(200).json({
+      message: "Report dismissed successfully",
+      report: dismissed
+    });
+  } catch (error) {
+    console.error("Error dismissing report:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Load the user a moderator wants to act on directly, answering for them if they can't
+const findModerationTarget = async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    res.status(400).json({ error: "Invalid user ID" });
+    return null;
+  }
+
+  const account = await findUserAccount(userId);
+  if (!account) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  if (!canModerate(req.user, account.user)) {
+    res.status(403).json({ error: "You cannot take action against this user" });
+    return null;
+  }
+  return account;
+};
+
+// Suspend a user for a number of hours, outside of any report
+export const suspendUser = async (req, res) => {
+  try {
+    const { durationHours, reason } = req.body;
+
+    if (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > MAX_SUSPENSION_HOURS) {
+      return res.status(400).json({ error: `durationHours must be a whole number from 1 to ${MAX_SUSPENSION_HOURS}` });
+    }
+    if (typeof reason !== "string" || !reason.trim() || reason.length > 500) {
+      return res.status(400).json({ error: "A reason of at most 500 characters is required" });
+    }
+
+    const account = await findModerationTarget(req, res);
+    if (!account) return;
+
+    const user = await applyModerationAction({
+      account,
+      action: "suspend",
+      reason: reason.trim(),
+      suspendedUntil: new Date(Date.now() + durationHours * 60 * 60 * 1000)
+    });
+
+    res.status(200).json({
+      message: "User suspended successfully",
+      moderation: user.moderation
+    });
+  } catch (error) {
+    console.error("Error suspending user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Ban a user until an admin or moderator reinstates them
+export const banUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (typeof reason !== "string" || !reason.trim() || reason.length > 500) {
+      return res.status(400).json({ error: "A reason of at most 500 characters is required" });
+    }
+
+    const account = await findModerationTarget(req, res);
+    if (!account) return;
+
+    const user = await applyModerationAction({ account, action: "ban", reason: reason.trim() });
+
+    res.status(200).json({
+      message: "User banned successfully",
+      moderation: user.moderation
+    });
+  } catch (error) {
+    console.error("Error banning user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Lift a user's suspension and ban; warnings stay on record
+export const reinstateUser = async (req, res) => {
+  try {
+    const account = await findModerationTarget(req, res);
+    if (!account) return;
+
+    const user = await applyModerationAction({ account, action: "reinstate" });
+
+    res.status(200).json({
+      message: "User reinstated successfully",
+      moderation: user.moderation
+    });
+  } catch (error) {
+    console.error("Error reinstating user:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export default {
+  getReportQueue,
+  getReport,
+  assignReport,
+  resolveReport,
+  dismissReport,
+  suspendUser,
+  banUser,
+  reinstateUser
+};
@@ -0,0 +1,59 @@
+import { clearAuthCookies } from "../services/authToken.service.js";
+import {
+  endOtherSessions,
+  endSession,
+  isUserSession,
+  listUserSessions
+} from "../services/deviceSession.service.js";
+
+// List the devices the user is signed in on
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id, req.sessionId);
+    res.status(200).json({ sessions });
+  } catch (error) {
+    console.log("Error in getSessions controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Sign one device out; revoking the current session signs this device out too
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!(await isUserSession(req.user._id, sessionId))) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await endSession(sessionId, "revoked");
+
+    const current = sessionId === req.sessionId;
+    if (current) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({ message: "Session revoked successfully", current });
+  } catch (error) {
+    console.log("Error in revokeSession controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Log out everywhere else. A token from before sessions were tracked has no session to keep.
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedCount = await endOtherSessions(req.user._id, req.sessionId, "revoked");
+
+    res.status(200).json({ message: "Signed out of all other sessions", revokedCount });
+  } catch (error) {
+    console.log("Error in revokeOtherSessions controller", error.message);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+export default {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+};
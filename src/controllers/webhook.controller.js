@@ -0,0 +1,249 @@
+import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
+import ConversationEnhanced from "../models/conversation_enhanced.model.js";
+import WebhookDelivery from "../models/webhookDelivery.model.js";
+import {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  getOwnerWebhooks,
+  replayWebhookDelivery
+} from "../services/webhook.service.js";
+import { isPublicHttpUrl } from "../lib/urlSafety.js";
+
+const validateEvents = (events) =>
+  Array.isArray(events) && events.length > 0 &&
+  events.every(event => event === "*" || WEBHOOK_EVENTS.includes(event));
+
+// Webhook as returned to clients; the secret is only ever shown on creation
+const toWebhookResponse = (webhook) => ({
+  _id: webhook._id,
+  url: webhook.url,
+  events: webhook.events,
+  isActive: webhook.isActive,
+  consecutiveFailures: webhook.consecutiveFailures,
+  lastDeliveryAt: webhook.lastDeliveryAt,
+  disabledAt: webhook.disabledAt,
+  disabledReason: webhook.disabledReason
+});
+
+/**
+ * Load the chatbot or conversation whose webhooks are being managed into req.webhookOwner.
+ * Chatbot webhooks belong to the bot's owner; conversation webhooks to group admins
+ * (or either participant of a direct conversation).
+ */
+export const loadWebhookOwner = (ownerType) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    let owner;
+    if (ownerType === "chatbot") {
+      owner = await ChatbotEnhanced.findOne({ _id: id, ownerId: userId, isDefault: false });
+      if (!owner) {
+        return res.status(404).json({ error: "Chatbot not found" });
+      }
+    } else {
+      owner = await ConversationEnhanced.findOne({ _id: id, participants: userId });
+      if (!owner) {
+        return res.status(404).json({ error: "Conversation not found" });
+      }
+      if (owner.isGroupChat && !owner.isUserAdmin(userId)) {
+        return res.status(403).json({ error: "Only admins can manage webhooks" });
+      }
+    }
+
+    req.webhookOwner = { type: ownerType, owner };
+    next();
+  } catch (error) {
+    console.error("Error loading webhook owner:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// List webhooks
+export const getWebhooks = async (req, res) => {
+  try {
+    const { type, owner } = req.webhookOwner;
+
+    res.status(200).json({
+      webhooks: getOwnerWebhooks(type, owner).map(toWebhookResponse),
+      availableEvents: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error("Error fetching webhooks:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Register a webhook and return its signing secret (only shown once)
+export const createWebhook = async (req, res) => {
+  try {
+    const { url, events } = req.body;
+    const { type, owner } = req.webhookOwner;
+
+    if (!url || !isPublicHttpUrl(url)) {
+      return res.status(400).json({ error: "A valid public http(s) URL is required" });
+    }
+    if (!validateEvents(events)) {
+      return res.status(400).json({
+        error: "Events must be a non-empty list of supported events",
+        availableEvents: WEBHOOK_EVENTS
+      });
+    }
+
+    const { secret, encryptedSecret } = generateWebhookSecret();
+    const webhooks = getOwnerWebhooks(type, owner);
+    webhooks.push({ url, events: [...new Set(events)], secret: encryptedSecret });
+    await owner.save();
+
+    res.status(201).json({
+      ...toWebhookResponse(webhooks[webhooks.length - 1]),
+      secret
+    });
+  } catch (error) {
+    console.error("Error creating webhook:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Update URL or events, or re-enable an auto-disabled webhook
+export const updateWebhook = async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const { url, events, isActive } = req.body;
+    const { type, owner } = req.webhookOwner;
+
+    const webhook = getOwnerWebhooks(type, owner).id(webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    if (url !== undefined) {
+      if (!isPublicHttpUrl(url)) {
+        return res.status(400).json({ error: "A valid public http(s) URL is required" });
+      }
+      webhook.url = url;
+    }
+    if (events !== undefined) {
+      if (!validateEvents(events)) {
+        return res.status(400).json({
+          error: "Events must be a non-empty list of supported events",
+          availableEvents: WEBHOOK_EVENTS
+        });
+      }
+      webhook.events = [...new Set(events)];
+    }
+    if (isActive !== undefined) {
+      webhook.isActive = !!isActive;
+      // Re-enabling starts the failure count over
+      if (webhook.isActive) {
+        webhook.consecutiveFailures = 0;
+        webhook.disabledAt = undefined;
+        webhook.disabledReason = undefined;
+      }
+    }
+
+    await owner.save();
+
+    res.status(200).json(toWebhookResponse(webhook));
+  } catch (error) {
+    console.error("Error updating webhook:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Remove a webhook; its delivery log is kept
+export const deleteWebhook = async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const { type, owner } = req.webhookOwner;
+
+    const webhook = getOwnerWebhooks(type, owner).id(webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    webhook.deleteOne();
+    await owner.save();
+
+    res.status(200).json({ message: "Webhook deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting webhook:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Delivery log, newest first
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { webhookId, status, event, page = 1, limit = 20 } = req.query;
+    const { type, owner } = req.webhookOwner;
+
+    const filter = { ownerType: type, ownerId: owner._id };
+    if (webhookId) filter.webhookId = webhookId;
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip(skip).limit(pageSize).lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      deliveries,
+      pagination: {
+        currentPage: Math.max(parseInt(page) || 1, 1),
+        totalPages: Math.ceil(total / pageSize),
+        total
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching webhook deliveries:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Send a past delivery's payload again
+export const replayDelivery = async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+    const { type, owner } = req.webhookOwner;
+
+    const original = await WebhookDelivery.findOne({
+      _id: deliveryId,
+      ownerType: type,
+      ownerId: owner._id
+    });
+
+    if (!original) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+
+    const webhook = getOwnerWebhooks(type, owner).id(original.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    if (!webhook.isActive) {
+      return res.status(400).json({ error: "Webhook is disabled; re-enable it before replaying" });
+    }
+
+    const delivery = await replayWebhookDelivery(original);
+
+    res.status(201).json(delivery);
+  } catch (error) {
+    console.error("Error replaying webhook delivery:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export default {
+  loadWebhookOwner,
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  replayDelivery
+};
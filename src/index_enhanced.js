@@ -9,10 +9,13 @@ import path from "path";
 
 import { connectDB } from "./lib/db.js";
 import { createDefaultChatbot } from "./lib/defaultChatbot.js";
+import { startWebhookWorker } from "./services/webhook.service.js";
+import { startHealthCheckWorker } from "./services/chatbotHealth.service.js";
 
 import authRoutes from "./routes/auth.route.js";
 import messageEnhancedRoutes from "./routes/message_enhanced.route.js";
 import chatbotRoutes from "./routes/chatbot.route.js";
+import chatbotEnhancedRoutes from "./routes/chatbot_enhanced.route.js";
 import conversationRoutes from "./routes/conversation.route.js";
 import friendRoutes from "./routes/friend.route.js";
 
@@ -29,6 +32,16 @@ app.use(
   cors({
     origin: ["http://localhost:5173", "http://localhost:3000"],
     credentials: true,
+    // Let the client read chatbot rate limit headers
+    exposedHeaders: [
+      "Retry-After",
+      "X-RateLimit-Limit-Hour",
+      "X-RateLimit-Remaining-Hour",
+      "X-RateLimit-Reset-Hour",
+      "X-RateLimit-Limit-Day",
+      "X-RateLimit-Remaining-Day",
+      "X-RateLimit-Reset-Day"
+    ],
   })
 );
 
@@ -50,6 +63,7 @@ app.use((err, req, res, next) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/messages", messageEnhancedRoutes); // Use enhanced message routes
 app.use("/api/chatbots", chatbotRoutes);
+app.use("/api/v2/chatbots", chatbotEnhancedRoutes); // Streams replies over the enhanced socket
 app.use("/api/conversations", conversationRoutes);
 app.use("/api/friends", friendRoutes);
 
@@ -104,6 +118,9 @@ server.listen(PORT, async () => {
     
     await createDefaultChatbot();
     console.log("🤖 Default chatbot initialized");
+
+    startWebhookWorker();
+    startHealthCheckWorker();
     
     console.log("🎉 Server startup completed successfully!");
   } catch (error) {
@@ -4,6 +4,8 @@ import cookieParser from "cookie-parser";
 import cors from "cors";
 import path from "path";
 import { connectDB } from "./lib/db.js";
+import { startWebhookWorker } from "./services/webhook.service.js";
+import { startHealthCheckWorker } from "./services/chatbotHealth.service.js";
 import { app, server } from "./lib/socket.js";
 import multer from "multer";
 
@@ -20,6 +22,8 @@ import groupRoutes from "./routes/group.route.js";
 import blockRoutes from "./routes/block.route.js";
 import fileRoutes from "./routes/file.route.js";
 import chatbotEnhancedRoutes from "./routes/chatbot_enhanced.route.js";
+import adminRoutes from "./routes/admin.route.js";
+import moderationRoutes from "./routes/moderation.route.js";
 
 dotenv.config();
 
@@ -34,6 +38,16 @@ app.use(
   cors({
     origin: ["http://localhost:5173", "http://localhost:3000"],
     credentials: true,
+    // Let the client read chatbot rate limit headers
+    exposedHeaders: [
+      "Retry-After",
+      "X-RateLimit-Limit-Hour",
+      "X-RateLimit-Remaining-Hour",
+      "X-RateLimit-Reset-Hour",
+      "X-RateLimit-Limit-Day",
+      "X-RateLimit-Remaining-Day",
+      "X-RateLimit-Reset-Day"
+    ],
   })
 );
 
@@ -71,6 +85,8 @@ app.use("/api/v2/groups", groupRoutes);
 app.use("/api/v2/blocks", blockRoutes);
 app.use("/api/v2/files", fileRoutes);
 app.use("/api/v2/chatbots", chatbotEnhancedRoutes);
+app.use("/api/v2/admin", adminRoutes);
+app.use("/api/v2/moderation", moderationRoutes);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -142,6 +158,8 @@ server.listen(PORT, "0.0.0.0", () => {
   console.log(`👥 Advanced group management enabled`);
   console.log(`🚫 Block system implemented`);
   connectDB();
+  startWebhookWorker();
+  startHealthCheckWorker();
 });
 
 export default app;
@@ -0,0 +1,22 @@
+// Chatbot replies still streaming, so their owner can cancel them from any socket server or REST
+const chatbotStreams = new Map(); // streamId -> {userId, controller}
+
+export function registerChatbotStream(streamId, userId) {
+  const controller = new AbortController();
+  chatbotStreams.set(streamId, { userId: userId.toString(), controller });
+  return controller;
+}
+
+export function releaseChatbotStream(streamId) {
+  chatbotStreams.delete(streamId);
+}
+
+export function cancelChatbotStream(streamId, userId) {
+  const stream = chatbotStreams.get(streamId);
+  if (!stream || !userId || stream.userId !== userId.toString()) {
+    return false;
+  }
+
+  stream.controller.abort();
+  return true;
+}
@@ -4,34 +4,78 @@ import crypto from "crypto";
 const ALGORITHM = "aes-256-gcm";
 const IV_LENGTH = 16; // Initialization Vector length for GCM
 const AUTH_TAG_LENGTH = 16; // Auth Tag length for GCM
+const DEFAULT_KEY_ID = "v1";
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
 
-// Lấy khóa bí mật từ biến môi trường (lazy loading)
-const getSecretKey = () => {
-  const SECRET_KEY_HEX = process.env.ENCRYPTION_SECRET_KEY;
-  if (!SECRET_KEY_HEX || SECRET_KEY_HEX.length !== 64) {
+const parseSecretKey = (hex, name) => {
+  if (!hex || !/^[0-9a-fA-F]{64}$/.test(hex)) {
     throw new Error(
-      "ENCRYPTION_SECRET_KEY is not defined in environment variables or is not a 64-character hex string."
+      `${name} is not defined in environment variables or is not a 64-character hex string.`
     );
   }
-  return Buffer.from(SECRET_KEY_HEX, "hex");
+  return Buffer.from(hex, "hex");
+};
+
+// Lấy khóa bí mật đang dùng và mã (id) của nó từ biến môi trường (lazy loading)
+const getActiveKey = () => {
+  const id = process.env.ENCRYPTION_KEY_ID || DEFAULT_KEY_ID;
+  if (!KEY_ID_PATTERN.test(id)) {
+    throw new Error("ENCRYPTION_KEY_ID must be 1-20 letters, digits, - or _.");
+  }
+  return { id, key: parseSecretKey(process.env.ENCRYPTION_SECRET_KEY, "ENCRYPTION_SECRET_KEY") };
+};
+
+// Các khóa cũ chỉ dùng để giải mã, dạng ENCRYPTION_OLD_KEYS="v1:<hex>,v2:<hex>"
+const getOldKeys = () =>
+  (process.env.ENCRYPTION_OLD_KEYS || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [id, hex] = entry.split(":");
+      if (!KEY_ID_PATTERN.test(id || "")) {
+        throw new Error("ENCRYPTION_OLD_KEYS entries must look like <keyId>:<64-character hex>.");
+      }
+      return { id, key: parseSecretKey(hex, `ENCRYPTION_OLD_KEYS (${id})`) };
+    });
+
+// Tách mã khóa khỏi chuỗi mã hóa; chuỗi cũ (chưa có tiền tố) trả về keyId = null
+const splitCiphertext = (ciphertext) => {
+  const separator = ciphertext.indexOf(":");
+  if (separator === -1) return { keyId: null, hex: ciphertext };
+  return { keyId: ciphertext.slice(0, separator), hex: ciphertext.slice(separator + 1) };
+};
+
+const decryptWithKey = (hex, key) => {
+  const encryptedBuffer = Buffer.from(hex, 'hex');
+
+  // Tách iv, authTag, và dữ liệu mã hóa từ buffer
+  const iv = encryptedBuffer.subarray(0, IV_LENGTH);
+  const authTag = encryptedBuffer.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
+  const encryptedData = encryptedBuffer.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encryptedData), decipher.final()]).toString('utf8');
 };
 
 /**
- * Mã hóa một chuỗi văn bản.
+ * Mã hóa một chuỗi văn bản bằng khóa đang dùng.
  * @param {string} text - Chuỗi cần mã hóa.
- * @returns {string} - Chuỗi đã được mã hóa, bao gồm cả iv và authTag.
+ * @returns {string} - "<keyId>:<hex>", phần hex gồm cả iv và authTag.
  */
 export const encrypt = (text) => {
   try {
-    const SECRET_KEY = getSecretKey();
+    const { id, key } = getActiveKey();
     const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipheriv(ALGORITHM, SECRET_KEY, iv);
-    
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+
     const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
     const authTag = cipher.getAuthTag();
 
-    // Kết hợp iv, authTag, và dữ liệu mã hóa thành một chuỗi duy nhất để lưu trữ
-    return Buffer.concat([iv, authTag, encrypted]).toString('hex');
+    // Kết hợp iv, authTag, và dữ liệu mã hóa thành một chuỗi duy nhất, kèm mã khóa để biết cần giải mã bằng khóa nào
+    return `${id}:${Buffer.concat([iv, authTag, encrypted]).toString('hex')}`;
   } catch (error) {
     console.error("Encryption failed:", error);
     throw new Error("Encryption failed: " + error.message);
@@ -39,28 +83,52 @@ export const encrypt = (text) => {
 };
 
 /**
- * Giải mã một chuỗi đã được mã hóa.
- * @param {string} encryptedHex - Chuỗi hex đã được mã hóa.
+ * Giải mã một chuỗi đã được mã hóa, bằng khóa đang dùng hoặc một khóa cũ.
+ * @param {string} ciphertext - "<keyId>:<hex>", hoặc chuỗi hex cũ chưa có tiền tố.
  * @returns {string} - Chuỗi văn bản gốc.
  */
-export const decrypt = (encryptedHex) => {
+export const decrypt = (ciphertext) => {
   try {
-    const SECRET_KEY = getSecretKey();
-    const encryptedBuffer = Buffer.from(encryptedHex, 'hex');
-    
-    // Tách iv, authTag, và dữ liệu mã hóa từ buffer
-    const iv = encryptedBuffer.subarray(0, IV_LENGTH);
-    const authTag = encryptedBuffer.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH);
-    const encryptedData = encryptedBuffer.subarray(IV_LENGTH + AUTH_TAG_LENGTH);
+    const activeKey = getActiveKey();
+    const keys = [activeKey, ...getOldKeys()];
+    const { keyId, hex } = splitCiphertext(ciphertext);
 
-    const decipher = crypto.createDecipheriv(ALGORITHM, SECRET_KEY, iv);
-    decipher.setAuthTag(authTag);
+    if (keyId !== null) {
+      const match = keys.find(candidate => candidate.id === keyId);
+      if (!match) {
+        throw new Error(`Unknown encryption key id "${keyId}"`);
+      }
+      return decryptWithKey(hex, match.key);
+    }
 
-    const decrypted = Buffer.concat([decipher.update(encryptedData), decipher.final()]);
-
-    return decrypted.toString('utf8');
+    // Chuỗi cũ không ghi khóa: thử lần lượt từng khóa, authTag của GCM sẽ từ chối khóa sai
+    let lastError;
+    for (const candidate of keys) {
+      try {
+        return decryptWithKey(hex, candidate.key);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
   } catch (error) {
     console.error("Decryption failed:", error);
     throw new Error("Decryption failed: " + error.message);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Mã khóa đã dùng để mã hóa một chuỗi, null nếu là chuỗi cũ chưa có tiền tố.
+ */
+export const getCiphertextKeyId = (ciphertext) => splitCiphertext(ciphertext).keyId;
+
+/**
+ * Chuỗi có cần mã hóa lại bằng khóa đang dùng không.
+ */
+export const needsReencryption = (ciphertext) =>
+  Boolean(ciphertext) && getCiphertextKeyId(ciphertext) !== getActiveKey().id;
+
+/**
+ * Giải mã rồi mã hóa lại bằng khóa đang dùng.
+ */
+export const reencrypt = (ciphertext) => encrypt(decrypt(ciphertext));
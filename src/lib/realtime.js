@@ -0,0 +1,19 @@
+import { io } from "./socket.js";
+import { io as enhancedIo } from "./socket_enhanced.js";
+
+// Each entry point runs only one of the two socket servers, so events go out on both;
+// the one nobody is connected to drops them.
+
+// Every socket of a user, whichever device it is on
+export const emitToUser = (userId, event, data) => {
+  const room = `user_${userId.toString()}`;
+  io.to(room).emit(event, data);
+  enhancedIo.to(room).emit(event, data);
+};
+
+// Everyone in a conversation room
+export const emitToConversation = (conversationId, event, data) => {
+  const room = conversationId.toString();
+  io.to(room).emit(event, data);
+  enhancedIo.to(room).emit(event, data);
+};
@@ -1,10 +1,10 @@
 import { Server } from "socket.io";
 import http from "http";
 import express from "express";
-import jwt from "jsonwebtoken";
-import User from "../models/user.model.js";
-import UserEnhanced from "../models/user_enhanced.model.js";
 import Conversation from "../models/conversation.model.js";
+import ConversationEnhanced from "../models/conversation_enhanced.model.js";
+import { authenticateSocket } from "../middleware/socketAuth.middleware.js";
+import { cancelChatbotStream } from "./chatbotStreams.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -24,81 +24,8 @@ const io = new Server(server, {
   },
 });
 
-// SỬA LỖI: Socket authentication middleware with fallback
-io.use(async (socket, next) => {
-  try {
-    const token = socket.handshake.auth.token || socket.handshake.query.token;
-    const userId = socket.handshake.query.userId;
-    
-    if (token) {
-      try {
-        // Verify JWT token if provided
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // Try both User models to find user
-        let user = await User.findById(decoded.userId).select("-password");
-        
-        if (!user) {
-          user = await UserEnhanced.findById(decoded.userId).select("-password");
-        }
-        
-        if (user) {
-          // Attach user to socket
-          socket.userId = user._id.toString();
-          socket.user = user;
-          console.log('Socket authenticated with JWT for user:', user.fullName);
-        }
-      } catch (tokenError) {
-        console.warn('JWT verification failed, falling back to userId:', tokenError.message);
-        
-        // Fallback to userId from query if JWT fails
-        if (userId && userId !== "undefined" && userId !== "null") {
-          try {
-            // Try both User models to find user
-            let user = await User.findById(userId).select("-password");
-            
-            if (!user) {
-              user = await UserEnhanced.findById(userId).select("-password");
-            }
-            
-            if (user) {
-              socket.userId = user._id.toString();
-              socket.user = user;
-              console.log('Socket authenticated with userId for user:', user.fullName);
-            }
-          } catch (userError) {
-            console.error('User lookup failed:', userError.message);
-          }
-        }
-      }
-    } else if (userId && userId !== "undefined" && userId !== "null") {
-      // No token, but userId provided - allow for backward compatibility
-      try {
-        // Try both User models to find user
-        let user = await User.findById(userId).select("-password");
-        
-        if (!user) {
-          user = await UserEnhanced.findById(userId).select("-password");
-        }
-        
-        if (user) {
-          socket.userId = user._id.toString();
-          socket.user = user;
-          console.log('Socket authenticated with userId for user:', user.fullName);
-        }
-      } catch (userError) {
-        console.error('User lookup failed:', userError.message);
-      }
-    }
-    
-    // Always allow connection (authentication is optional for now)
-    next();
-  } catch (error) {
-    console.error('Socket authentication error:', error.message);
-    // Allow connection even if authentication fails
-    next();
-  }
-});
+// Every socket belongs to the user its JWT was issued to
+io.use(authenticateSocket);
 
 export function getReceiverSocketId(userId) {
   return userSocketMap[userId];
@@ -108,6 +35,20 @@ export function getSocketInstance() {
   return io;
 }
 
+// Tell every open socket of a user why their account was locked out, then close them
+export function disconnectUserSockets(userId, restriction) {
+  const room = `user_${userId}`;
+  io.to(room).emit("accountRestricted", restriction);
+  io.in(room).disconnectSockets(true);
+}
+
+// Close the sockets of one signed-out device session, telling them why first
+export function disconnectSessionSockets(sessionId, reason) {
+  const room = `session_${sessionId}`;
+  io.to(room).emit("sessionRevoked", { sessionId, reason });
+  io.in(room).disconnectSockets(true);
+}
+
 // Enhanced user socket mapping
 const userSocketMap = {}; // {userId: socketId}
 const socketUserMap = {}; // {socketId: userId}
@@ -116,10 +57,14 @@ const socketUserMap = {}; // {socketId: userId}
 const typingUsers = new Map(); // conversationId -> Map(userId -> {userName, timestamp, timeoutId})
 const TYPING_TIMEOUT = 3000; // 3 seconds
 
-// Debounced typing handler
-const handleTyping = (socket, { conversationId, userId, userName }) => {
+// Debounced typing handler; who is typing comes from the socket, not the event
+const handleTyping = (socket, { conversationId } = {}) => {
   try {
-    if (!conversationId || !userId || !userName) {
+    const { userId } = socket;
+    const userName = socket.user.fullName;
+
+    // Only conversations the user was joined to on connect
+    if (!conversationId || !socket.rooms.has(conversationId)) {
       return socket.emit("error", { message: "Invalid typing data" });
     }
 
@@ -138,7 +83,7 @@ const handleTyping = (socket, { conversationId, userId, userName }) => {
 
     // Set new typing state với auto-cleanup
     const timeoutId = setTimeout(() => {
-      handleStopTyping(socket, { conversationId, userId });
+      handleStopTyping(socket, { conversationId });
     }, TYPING_TIMEOUT);
 
     conversationTyping.set(userId, {
@@ -162,8 +107,9 @@ const handleTyping = (socket, { conversationId, userId, userName }) => {
   }
 };
 
-const handleStopTyping = (socket, { conversationId, userId }) => {
+const handleStopTyping = (socket, { conversationId } = {}) => {
   try {
+    const { userId } = socket;
     const conversationTyping = typingUsers.get(conversationId);
     if (!conversationTyping) return;
 
@@ -198,51 +144,55 @@ const handleStopTyping = (socket, { conversationId, userId }) => {
 io.on("connection", async (socket) => {
   console.log("A user connected", socket.id, "User:", socket.user?.fullName || "Unknown");
 
-  const userId = socket.userId || socket.handshake.query.userId;
-  
-  // SỬA LỖI: Sử dụng authenticated userId hoặc fallback query param  
-  if (userId && userId !== "undefined" && userId !== "null") {
-    // Handle multiple connections per user
-    if (userSocketMap[userId]) {
-      // Disconnect previous connection
-      const oldSocketId = userSocketMap[userId];
-      const oldSocket = io.sockets.sockets.get(oldSocketId);
-      if (oldSocket) {
-        oldSocket.emit("connectionReplaced", { message: "Connected from another device" });
-        oldSocket.disconnect();
-      }
+  const { userId } = socket;
+
+  // Handle multiple connections per user
+  if (userSocketMap[userId]) {
+    // Disconnect previous connection
+    const oldSocketId = userSocketMap[userId];
+    const oldSocket = io.sockets.sockets.get(oldSocketId);
+    if (oldSocket) {
+      oldSocket.emit("connectionReplaced", { message: "Connected from another device" });
+      oldSocket.disconnect();
     }
+  }
 
-    userSocketMap[userId] = socket.id;
-    socketUserMap[socket.id] = userId;
+  userSocketMap[userId] = socket.id;
+  socketUserMap[socket.id] = userId;
+  
+  // Join user-specific room for private notifications
+  socket.join(`user_${userId}`);
+  // Room for the device session, so signing that device out closes its sockets
+  if (socket.sessionId) socket.join(`session_${socket.sessionId}`);
+  
+  // SỬA LỖI: Join conversation rooms with better logging
+  try {
+    const [legacyConversations, enhancedConversations] = await Promise.all([
+      Conversation.find({ 
+        participants: userId 
+      }).select('_id').limit(50), // Limit để tránh join quá nhiều rooms
+      // v2 conversations and groups, where bot members post their replies
+      ConversationEnhanced.find({ participants: userId }).select('_id').limit(50)
+    ]);
+    const conversations = [...legacyConversations, ...enhancedConversations];
     
-    // Join user-specific room for private notifications
-    socket.join(`user_${userId}`);
+    console.log(`User ${userId} joining ${conversations.length} conversation rooms`);
     
-    // SỬA LỖI: Join conversation rooms with better logging
-    try {
-      const conversations = await Conversation.find({ 
-        participants: userId 
-      }).select('_id').limit(50); // Limit để tránh join quá nhiều rooms
-      
-      console.log(`User ${userId} joining ${conversations.length} conversation rooms`);
-      
-      conversations.forEach(conversation => {
-        const roomName = conversation._id.toString();
-        socket.join(roomName);
-        console.log(`User ${userId} joined room: ${roomName}`);
-      });
-      
-      // Log all rooms this socket is in
-      console.log(`Socket ${socket.id} is now in rooms:`, Array.from(socket.rooms));
-      
-    } catch (error) {
-      console.error("Error joining conversation rooms:", error);
-      socket.emit("error", {
-        message: "Failed to join conversations",
-        code: "JOIN_ROOMS_ERROR"
-      });
-    }
+    conversations.forEach(conversation => {
+      const roomName = conversation._id.toString();
+      socket.join(roomName);
+      console.log(`User ${userId} joined room: ${roomName}`);
+    });
+    
+    // Log all rooms this socket is in
+    console.log(`Socket ${socket.id} is now in rooms:`, Array.from(socket.rooms));
+    
+  } catch (error) {
+    console.error("Error joining conversation rooms:", error);
+    socket.emit("error", {
+      message: "Failed to join conversations",
+      code: "JOIN_ROOMS_ERROR"
+    });
   }
 
   // SỬA LỖI: Broadcast online users immediately without throttling
@@ -259,6 +209,16 @@ io.on("connection", async (socket) => {
   socket.on("typing", (data) => handleTyping(socket, data));
   socket.on("stopTyping", (data) => handleStopTyping(socket, data));
 
+  // Cancel a chatbot reply that is still streaming
+  socket.on("cancelChatbotStream", ({ streamId } = {}) => {
+    if (!cancelChatbotStream(streamId, userId)) {
+      socket.emit("error", {
+        message: "Chatbot stream not found",
+        code: "STREAM_NOT_FOUND"
+      });
+    }
+  });
+
   // Enhanced disconnect cleanup
   socket.on("disconnect", (reason) => {
     console.log("A user disconnected", socket.id, "Reason:", reason);
@@ -269,7 +229,7 @@ io.on("connection", async (socket) => {
       typingUsers.forEach((conversationTyping, conversationId) => {
         const typingData = conversationTyping.get(userId);
         if (typingData && typingData.socketId === socket.id) {
-          handleStopTyping(socket, { conversationId, userId });
+          handleStopTyping(socket, { conversationId });
         }
       });
       
@@ -3,6 +3,8 @@ import http from "http";
 import express from "express";
 import Conversation from "../models/conversation.model.js";
 import Message from "../models/message.model.js";
+import { authenticateSocket } from "../middleware/socketAuth.middleware.js";
+import { cancelChatbotStream } from "./chatbotStreams.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -10,6 +12,7 @@ const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
     origin: ["http://localhost:5173"],
+    credentials: true, // the handshake authenticates with the jwt cookie
   },
 });
 
@@ -21,6 +24,20 @@ export function getSocketInstance() {
   return io;
 }
 
+// Tell every open socket of a user why their account was locked out, then close them
+export function disconnectUserSockets(userId, restriction) {
+  const room = `user_${userId}`;
+  io.to(room).emit("accountRestricted", restriction);
+  io.in(room).disconnectSockets(true);
+}
+
+// Close the sockets of one signed-out device session, telling them why first
+export function disconnectSessionSockets(sessionId, reason) {
+  const room = `session_${sessionId}`;
+  io.to(room).emit("sessionRevoked", { sessionId, reason });
+  io.in(room).disconnectSockets(true);
+}
+
 // Enhanced state management
 const userSocketMap = {}; // {userId: socketId}
 const typingUsers = {}; // {conversationId: {userId: {userName, timestamp}}}
@@ -53,49 +70,67 @@ setInterval(() => {
   });
 }, 5000); // Check every 5 seconds
 
+// Every socket belongs to the user its JWT was issued to
+io.use(authenticateSocket);
+
+// Sent to the socket's user directly, or in a conversation they were joined to on connect
+const isMessageRecipient = (socket, message) =>
+  message.receiverId?.toString() === socket.userId ||
+  (message.conversationId && socket.rooms.has(message.conversationId.toString()));
+
+const canSeeMessage = (socket, message) =>
+  message.senderId?.toString() === socket.userId || isMessageRecipient(socket, message);
+
 io.on("connection", async (socket) => {
   console.log("A user connected", socket.id);
 
-  const userId = socket.handshake.query.userId;
+  // Handlers act as the authenticated user; userId fields sent by the client are ignored
+  const { userId } = socket;
+
+  userSocketMap[userId] = socket.id;
+
+  // Room for everything addressed to the user, whichever socket they are on
+  socket.join(`user_${userId}`);
+  // Room for the device session, so signing that device out closes its sockets
+  if (socket.sessionId) socket.join(`session_${socket.sessionId}`);
   
-  if (userId && userId !== "undefined" && userId !== "null") {
-    userSocketMap[userId] = socket.id;
-    
-    // Update user presence
-    userPresence[userId] = {
-      status: 'online',
-      lastSeen: new Date(),
-      socketId: socket.id
-    };
-    
-    // Join all conversations the user is part of
-    try {
-      const conversations = await Conversation.find({ participants: userId });
-      conversations.forEach(conversation => {
-        socket.join(conversation._id.toString());
-        
-        // Broadcast presence update to conversation participants
-        socket.to(conversation._id.toString()).emit("presenceUpdate", {
-          userId,
-          status: 'online',
-          lastSeen: new Date()
-        });
-      });
-    } catch (error) {
-      console.error("Error joining conversation rooms:", error);
-      socket.emit("error", {
-        message: "Failed to join conversations",
-        code: "JOIN_ROOMS_ERROR"
+  // Update user presence
+  userPresence[userId] = {
+    status: 'online',
+    lastSeen: new Date(),
+    socketId: socket.id
+  };
+  
+  // Join all conversations the user is part of
+  try {
+    const conversations = await Conversation.find({ participants: userId });
+    conversations.forEach(conversation => {
+      socket.join(conversation._id.toString());
+      
+      // Broadcast presence update to conversation participants
+      socket.to(conversation._id.toString()).emit("presenceUpdate", {
+        userId,
+        status: 'online',
+        lastSeen: new Date()
       });
-    }
+    });
+  } catch (error) {
+    console.error("Error joining conversation rooms:", error);
+    socket.emit("error", {
+      message: "Failed to join conversations",
+      code: "JOIN_ROOMS_ERROR"
+    });
   }
 
   // Broadcast online users
   io.emit("getOnlineUsers", Object.keys(userSocketMap));
 
   // Typing indicators
-  socket.on("typing", ({ conversationId, userId, userName }) => {
+  socket.on("typing", ({ conversationId } = {}) => {
     try {
+      if (!conversationId || !socket.rooms.has(conversationId)) return;
+
+      const userName = socket.user.fullName;
       if (!typingUsers[conversationId]) {
         typingUsers[conversationId] = {};
       }
@@ -118,7 +153,7 @@ io.on("connection", async (socket) => {
     }
   });
 
-  socket.on("stopTyping", ({ conversationId, userId }) => {
+  socket.on("stopTyping", ({ conversationId } = {}) => {
     try {
       if (typingUsers[conversationId] && typingUsers[conversationId][userId]) {
         delete typingUsers[conversationId][userId];
@@ -142,10 +177,10 @@ io.on("connection", async (socket) => {
   });
 
   // Message delivery status
-  socket.on("messageDelivered", async ({ messageId, userId }) => {
+  socket.on("messageDelivered", async ({ messageId } = {}) => {
     try {
       const message = await Message.findById(messageId);
-      if (message) {
+      if (message && isMessageRecipient(socket, message)) {
         // Add to deliveredTo array if not already present
         const alreadyDelivered = message.deliveredTo?.some(
           delivery => delivery.userId.toString() === userId
@@ -178,10 +213,10 @@ io.on("connection", async (socket) => {
     }
   });
 
-  socket.on("messageRead", async ({ messageId, userId }) => {
+  socket.on("messageRead", async ({ messageId } = {}) => {
     try {
       const message = await Message.findById(messageId);
-      if (message) {
+      if (message && isMessageRecipient(socket, message)) {
         // Add to readBy array if not already present
         const alreadyRead = message.readBy?.some(
           read => read.userId.toString() === userId
@@ -215,10 +250,11 @@ io.on("connection", async (socket) => {
   });
 
   // Message reactions
-  socket.on("addReaction", async ({ messageId, emoji, userId, userName }) => {
+  socket.on("addReaction", async ({ messageId, emoji } = {}) => {
     try {
+      const userName = socket.user.fullName;
       const message = await Message.findById(messageId);
-      if (message) {
+      if (message && canSeeMessage(socket, message)) {
         // Find existing reaction for this emoji
         let reaction = message.reactions?.find(r => r.emoji === emoji);
         
@@ -265,10 +301,10 @@ io.on("connection", async (socket) => {
     }
   });
 
-  socket.on("removeReaction", async ({ messageId, emoji, userId }) => {
+  socket.on("removeReaction", async ({ messageId, emoji } = {}) => {
     try {
       const message = await Message.findById(messageId);
-      if (message && message.reactions) {
+      if (message && message.reactions && canSeeMessage(socket, message)) {
         const reaction = message.reactions.find(r => r.emoji === emoji);
         
         if (reaction) {
@@ -306,54 +342,62 @@ io.on("connection", async (socket) => {
     }
   });
 
+  // Cancel a chatbot reply that is still streaming
+  socket.on("cancelChatbotStream", ({ streamId } = {}) => {
+    if (!cancelChatbotStream(streamId, userId)) {
+      socket.emit("error", {
+        message: "Chatbot stream not found",
+        code: "STREAM_NOT_FOUND"
+      });
+    }
+  });
+
   // Enhanced disconnect handling
   socket.on("disconnect", (reason) => {
     console.log("A user disconnected", socket.id, "Reason:", reason);
     
-    if (userId && userId !== "undefined" && userId !== "null") {
-      // Update user presence
-      userPresence[userId] = {
-        status: 'offline',
-        lastSeen: new Date(),
-        socketId: null
-      };
-      
-      // Remove from online users
-      delete userSocketMap[userId];
-      
-      // Clean up typing indicators for this user
-      Object.keys(typingUsers).forEach(conversationId => {
-        if (typingUsers[conversationId][userId]) {
-          delete typingUsers[conversationId][userId];
-          
-          // Notify others that user stopped typing
-          socket.to(conversationId).emit("userStoppedTyping", {
-            conversationId,
-            userId
-          });
-          
-          // Clean up empty conversation objects
-          if (Object.keys(typingUsers[conversationId]).length === 0) {
-            delete typingUsers[conversationId];
-          }
+    // Update user presence
+    userPresence[userId] = {
+      status: 'offline',
+      lastSeen: new Date(),
+      socketId: null
+    };
+    
+    // Remove from online users
+    delete userSocketMap[userId];
+    
+    // Clean up typing indicators for this user
+    Object.keys(typingUsers).forEach(conversationId => {
+      if (typingUsers[conversationId][userId]) {
+        delete typingUsers[conversationId][userId];
+        
+        // Notify others that user stopped typing
+        socket.to(conversationId).emit("userStoppedTyping", {
+          conversationId,
+          userId
+        });
+        
+        // Clean up empty conversation objects
+        if (Object.keys(typingUsers[conversationId]).length === 0) {
+          delete typingUsers[conversationId];
         }
-      });
-      
-      // Broadcast presence update to user's conversations
-      Conversation.find({ participants: userId })
-        .then(conversations => {
-          conversations.forEach(conversation => {
-            socket.to(conversation._id.toString()).emit("presenceUpdate", {
-              userId,
-              status: 'offline',
-              lastSeen: new Date()
-            });
+      }
+    });
+    
+    // Broadcast presence update to user's conversations
+    Conversation.find({ participants: userId })
+      .then(conversations => {
+        conversations.forEach(conversation => {
+          socket.to(conversation._id.toString()).emit("presenceUpdate", {
+            userId,
+            status: 'offline',
+            lastSeen: new Date()
           });
-        })
-        .catch(error => {
-          console.error("Error broadcasting offline status:", error);
         });
-    }
+      })
+      .catch(error => {
+        console.error("Error broadcasting offline status:", error);
+      });
     
     // Broadcast updated online users list
     io.emit("getOnlineUsers", Object.keys(userSocketMap));
@@ -0,0 +1,128 @@
+import dns from "dns";
+import net from "net";
+
+// Addresses a user-supplied URL must never reach: this host, the private network and cloud metadata
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, including the cloud metadata service
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4], // multicast and reserved, up to the broadcast address
+  ["240.0.0.0", 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8] // multicast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+// Whether an IP address is loopback, private, link-local or otherwise not on the public internet.
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as the IPv4 address they carry.
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+const addressFamily = (address) => (net.isIP(address) === 4 ? "ipv4" : "ipv6");
+
+// No private host is reachable; what tool endpoints and webhooks get
+const NO_EXCEPTIONS = { hosts: new Set(), addresses: new net.BlockList() };
+
+let allowedLLMHosts = { source: "", allowed: NO_EXCEPTIONS };
+
+/**
+ * Private hosts the operator lets LLM base URLs reach, for self-hosted servers (Ollama, vLLM, ...),
+ * e.g. LLM_ALLOWED_PRIVATE_HOSTS="localhost,ollama.internal,10.0.0.0/8,192.168.1.20".
+ * @returns {{hosts: Set<string>, addresses: net.BlockList}}
+ */
+export const getAllowedLLMHosts = () => {
+  const source = process.env.LLM_ALLOWED_PRIVATE_HOSTS || "";
+  if (source === allowedLLMHosts.source) return allowedLLMHosts.allowed;
+
+  const allowed = { hosts: new Set(), addresses: new net.BlockList() };
+  source.split(",").map(entry => entry.trim().toLowerCase()).filter(Boolean).forEach(entry => {
+    const [address, prefix] = entry.split("/");
+    if (prefix !== undefined) {
+      if (!net.isIP(address) || !/^\d+$/.test(prefix)) {
+        throw new Error(`LLM_ALLOWED_PRIVATE_HOSTS: ${entry} is not a valid CIDR range`);
+      }
+      allowed.addresses.addSubnet(address, Number(prefix), addressFamily(address));
+    } else if (net.isIP(entry)) {
+      allowed.addresses.addAddress(entry, addressFamily(entry));
+    } else {
+      allowed.hosts.add(entry.replace(/\.$/, ""));
+    }
+  });
+
+  allowedLLMHosts = { source, allowed };
+  return allowed;
+};
+
+// A private address only passes when the allowlist names it
+const isRefusedAddress = (address, allowed) =>
+  isPrivateAddress(address) && !allowed.addresses.check(address, addressFamily(address));
+
+/**
+ * Whether a user-supplied URL is http(s) and doesn't name a private host outright.
+ * Hostnames are only resolved when the request is made; see createPublicLookup.
+ * @param {Object} [allowed] - private hosts to let through, see getAllowedLLMHosts
+ * @returns {boolean}
+ */
+export const isPublicHttpUrl = (value, allowed = NO_EXCEPTIONS) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return false;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+  if (allowed.hosts.has(hostname)) return true;
+  if (net.isIP(hostname)) return !isRefusedAddress(hostname, allowed);
+  return hostname !== "localhost" && !hostname.endsWith(".localhost");
+};
+
+/**
+ * Build a dns.lookup that refuses hostnames resolving to a private address, so a public name
+ * pointed at an internal host is caught when the request connects, not just when it is saved.
+ * @param {Object} [allowed] - private hosts to let through, see getAllowedLLMHosts
+ */
+export const createPublicLookup = (allowed = NO_EXCEPTIONS) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const trusted = allowed.hosts.has(hostname.toLowerCase().replace(/\.$/, ""));
+    if (!trusted && addresses.some(({ address }) => isRefusedAddress(address, allowed))) {
+      const refused = new Error(`${hostname} resolves to a private address`);
+      refused.code = "EPRIVATEADDRESS";
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export const lookupPublicAddress = createPublicLookup();
+
+// axios options for requests to user-supplied URLs; redirects are refused since they could lead anywhere
+export const publicRequestOptions = {
+  lookup: lookupPublicAddress,
+  maxRedirects: 0
+};
+
+// The same for LLM base URLs, which may also reach the private hosts the operator allowed
+export const getLLMRequestOptions = () => ({
+  lookup: createPublicLookup(getAllowedLLMHosts()),
+  maxRedirects: 0
+});
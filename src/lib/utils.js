@@ -1,19 +1,45 @@
 import jwt from "jsonwebtoken";
 
-export const generateToken = (userId, res) => {
-  const token = jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000; // 15 minutes; clients renew it at /api/auth/refresh
+
+// SỬA LỖI: Fix cookie configuration for production cross-domain
+export const getAuthCookieOptions = (maxAge) => ({
+  maxAge, // MS
+  httpOnly: true, // prevent XSS attacks cross-site scripting attacks
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "strict", // Fix for cross-domain
+  secure: process.env.NODE_ENV === "production", // Required when sameSite=none
+  domain: process.env.NODE_ENV === "production" ? undefined : undefined, // Let browser handle domain
+});
 
-  // SỬA LỖI: Fix cookie configuration for production cross-domain
-  res.cookie("jwt", token, {
-    maxAge: 7 * 24 * 60 * 60 * 1000, // MS
-    httpOnly: true, // prevent XSS attacks cross-site scripting attacks
-    sameSite: process.env.NODE_ENV === "production" ? "none" : "strict", // Fix for cross-domain
-    secure: process.env.NODE_ENV === "production", // Required when sameSite=none
-    domain: process.env.NODE_ENV === "production" ? undefined : undefined, // Let browser handle domain
+// Short-lived access token for one signed-in device; sessionId is its refresh token family
+export const generateToken = (userId, res, sessionId) => {
+  const token = jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_MS / 1000,
   });
 
+  res.cookie("jwt", token, getAuthCookieOptions(ACCESS_TOKEN_TTL_MS));
+
   console.log("Generated token for user:", userId, "in environment:", process.env.NODE_ENV);
   return token;
 };
+
+// Why an account is locked out right now (ban, running suspension or deactivation), or null if it isn't
+export const getAccountRestriction = (user) => {
+  const moderation = user?.moderation || {};
+
+  if (moderation.bannedAt) {
+    return { message: "Account banned", code: "ACCOUNT_BANNED", reason: moderation.banReason || "" };
+  }
+  if (moderation.suspendedUntil && moderation.suspendedUntil > new Date()) {
+    return {
+      message: "Account suspended",
+      code: "ACCOUNT_SUSPENDED",
+      reason: moderation.suspensionReason || "",
+      suspendedUntil: moderation.suspendedUntil
+    };
+  }
+  if (user?.isActive === false) {
+    return { message: "Account disabled", code: "ACCOUNT_DISABLED" };
+  }
+  return null;
+};
@@ -1,6 +1,8 @@
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
 import UserEnhanced from "../models/user_enhanced.model.js";
+import { getAccountRestriction } from "../lib/utils.js";
+import { isTokenFamilyActive } from "../services/authToken.service.js";
 
 export const protectRoute = async (req, res, next) => {
   try {
@@ -32,14 +34,24 @@ export const protectRoute = async (req, res, next) => {
       return res.status(404).json({ message: "User not found - Token invalid" });
     }
 
-    // Kiểm tra token blacklist (nếu có)
-    if (user.tokenBlacklist && user.tokenBlacklist.includes(token)) {
-      console.log("protectRoute - Token is blacklisted");
+    // Tokens of a signed-out device stop working right away, not when they expire.
+    // Tokens issued before refresh tokens existed carry no session and run out on their own.
+    if (decoded.sid && !(await isTokenFamilyActive(decoded.sid))) {
+      console.log("protectRoute - Session revoked");
       return res.status(401).json({ message: "Unauthorized - Token revoked" });
     }
 
+    // Banned, suspended and disabled accounts are locked out until the restriction ends
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      console.log("protectRoute - Account restricted:", restriction.code);
+      return res.status(403).json(restriction);
+    }
+
     console.log("protectRoute - Success for user:", user.email);
     req.user = user;
+    // The device session the token belongs to, if it was issued with one
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     console.log("protectRoute - Error:", error.name, error.message);
@@ -54,44 +66,10 @@ export const protectRoute = async (req, res, next) => {
   }
 };
 
-// Thêm middleware cho refresh token
-export const refreshToken = async (req, res) => {
-  try {
-    const refreshToken = req.cookies.refreshToken;
-    
-    if (!refreshToken) {
-      return res.status(401).json({ message: "No refresh token provided" });
-    }
-
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-    
-    // Try both User models to support old and new accounts
-    let user = await User.findById(decoded.userId);
-    
-    if (!user) {
-      user = await UserEnhanced.findById(decoded.userId);
-    }
-    
-    if (!user || user.refreshToken !== refreshToken) {
-      return res.status(401).json({ message: "Invalid refresh token" });
-    }
-
-    // Tạo access token mới
-    const newAccessToken = jwt.sign(
-      { userId: user._id }, 
-      process.env.JWT_SECRET, 
-      { expiresIn: '15m' }
-    );
-
-    res.cookie("jwt", newAccessToken, {
-      maxAge: 15 * 60 * 1000, // 15 minutes
-      httpOnly: true,
-      sameSite: "strict",
-      secure: process.env.NODE_ENV === "production"
-    });
-
-    res.status(200).json({ message: "Token refreshed successfully" });
-  } catch (error) {
-    res.status(401).json({ message: "Invalid refresh token" });
+// Restrict a route to users with one of the given roles (use after protectRoute)
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: "Forbidden - Insufficient role" });
   }
+  next();
 };
@@ -0,0 +1,75 @@
+import jwt from "jsonwebtoken";
+import User from "../models/user.model.js";
+import UserEnhanced from "../models/user_enhanced.model.js";
+import { getAccountRestriction } from "../lib/utils.js";
+import { isTokenFamilyActive } from "../services/authToken.service.js";
+
+const readCookie = (cookieHeader = "", name) => {
+  for (const part of cookieHeader.split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
+
+// The same jwt cookie protectRoute reads, or a bearer token for clients that can't send cookies
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const authorization = handshake.headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) return authorization.slice(7);
+
+  return readCookie(handshake.headers.cookie, "jwt");
+};
+
+const rejectWith = (next, message, data) => {
+  const error = new Error(message);
+  error.data = data;
+  next(error);
+};
+
+// Socket.IO middleware: the connecting user is whoever the verified token says, never a client-supplied id.
+// Sets socket.userId, socket.user and socket.sessionId; the client gets the reason for a refusal in connect_error.
+export const authenticateSocket = async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket.handshake);
+    if (!token) {
+      return rejectWith(next, "Unauthorized - No Token Provided", { code: "NO_TOKEN" });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Try both User models to support old and new accounts
+    let user = await User.findById(decoded.userId).select("-password");
+    if (!user) {
+      user = await UserEnhanced.findById(decoded.userId).select("-password");
+    }
+    if (!user) {
+      return rejectWith(next, "User not found - Token invalid", { code: "USER_NOT_FOUND" });
+    }
+
+    if (decoded.sid && !(await isTokenFamilyActive(decoded.sid))) {
+      return rejectWith(next, "Unauthorized - Token revoked", { code: "TOKEN_REVOKED" });
+    }
+
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      console.log("Socket refused for restricted account:", user._id.toString(), restriction.code);
+      return rejectWith(next, restriction.message, restriction);
+    }
+
+    socket.userId = user._id.toString();
+    socket.user = user;
+    socket.sessionId = decoded.sid || null;
+    next();
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return rejectWith(next, "Unauthorized - Token Expired", { code: "TOKEN_EXPIRED" });
+    }
+    if (error.name === "JsonWebTokenError") {
+      return rejectWith(next, "Unauthorized - Invalid Token", { code: "INVALID_TOKEN" });
+    }
+    console.error("Socket authentication error:", error.message);
+    rejectWith(next, "Internal server error", { code: "AUTH_ERROR" });
+  }
+};
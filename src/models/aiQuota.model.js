@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Admin-configured daily limits for the shared default chatbot.
+// The row without a userId is the global quota; rows with a userId override it for one user.
+const aiQuotaSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // null means unlimited
+    dailyTokenLimit: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    dailyRequestLimit: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+      default: "",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+aiQuotaSchema.index({ userId: 1 }, { unique: true });
+
+const AIQuota = mongoose.model("AIQuota", aiQuotaSchema);
+
+export default AIQuota;
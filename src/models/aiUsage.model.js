@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+// Per-user, per-chatbot, per-day ledger of LLM token usage
+const aiUsageSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatbotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatbotEnhanced",
+      required: true,
+    },
+    // UTC calendar day, e.g. "2024-05-31"
+    day: {
+      type: String,
+      required: true,
+    },
+    // Usage of the shared default bot counts against the admin-configured quota
+    isDefaultChatbot: {
+      type: Boolean,
+      default: false,
+    },
+    requests: {
+      type: Number,
+      default: 0,
+    },
+    promptTokens: {
+      type: Number,
+      default: 0,
+    },
+    completionTokens: {
+      type: Number,
+      default: 0,
+    },
+    totalTokens: {
+      type: Number,
+      default: 0,
+    },
+    // Requests whose token counts were estimated because the provider didn't report them
+    estimatedRequests: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+aiUsageSchema.index({ userId: 1, chatbotId: 1, day: 1 }, { unique: true });
+aiUsageSchema.index({ day: 1, isDefaultChatbot: 1 });
+
+// Helper to get the ledger key for a date
+aiUsageSchema.statics.toDayKey = function(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+};
+
+// Static method to add one request's usage to today's ledger row
+aiUsageSchema.statics.recordUsage = function(userId, chatbot, usage) {
+  return this.findOneAndUpdate(
+    { userId, chatbotId: chatbot._id, day: this.toDayKey() },
+    {
+      $inc: {
+        requests: 1,
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        totalTokens: usage.totalTokens || 0,
+        estimatedRequests: usage.estimated ? 1 : 0,
+      },
+      $setOnInsert: { isDefaultChatbot: !!chatbot.isDefault },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to sum a user's usage for a day
+aiUsageSchema.statics.getDailyTotals = async function(userId, day = this.toDayKey(), filter = {}) {
+  const [totals] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId.toString()), day, ...filter } },
+    {
+      $group: {
+        _id: null,
+        requests: { $sum: "$requests" },
+        promptTokens: { $sum: "$promptTokens" },
+        completionTokens: { $sum: "$completionTokens" },
+        totalTokens: { $sum: "$totalTokens" },
+      },
+    },
+  ]);
+
+  return {
+    requests: totals?.requests || 0,
+    promptTokens: totals?.promptTokens || 0,
+    completionTokens: totals?.completionTokens || 0,
+    totalTokens: totals?.totalTokens || 0,
+  };
+};
+
+const AIUsage = mongoose.model("AIUsage", aiUsageSchema);
+
+export default AIUsage;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// Legacy rolling summary of a user's conversation with a chatbot, from before chat sessions.
+// Moved onto the pair's first session when their old history is adopted (see chatbotSession.service).
+const chatbotMemorySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatbotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatbotEnhanced",
+      required: true,
+    },
+    summary: {
+      type: String,
+      default: "",
+    },
+    // createdAt of the newest message folded into the summary; later messages are not yet summarized
+    summarizedThrough: {
+      type: Date,
+      default: () => new Date(0),
+    },
+    summarizedMessageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSummarizedAt: Date,
+    // Set when the user cleared the summary
+    resetAt: Date,
+  },
+  { timestamps: true }
+);
+
+chatbotMemorySchema.index({ userId: 1, chatbotId: 1 }, { unique: true });
+
+const ChatbotMemory = mongoose.model("ChatbotMemory", chatbotMemorySchema);
+
+export default ChatbotMemory;
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// A user's rating of a published chatbot; one per user and bot
+const chatbotRatingSchema = new mongoose.Schema(
+  {
+    chatbotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatbotEnhanced",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    review: {
+      type: String,
+      maxlength: 1000,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+chatbotRatingSchema.index({ chatbotId: 1, userId: 1 }, { unique: true });
+chatbotRatingSchema.index({ chatbotId: 1, updatedAt: -1 });
+
+// Average and count of a chatbot's ratings
+chatbotRatingSchema.statics.getSummary = async function(chatbotId) {
+  const [summary] = await this.aggregate([
+    { $match: { chatbotId: new mongoose.Types.ObjectId(chatbotId) } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } }
+  ]);
+
+  return {
+    average: summary ? Math.round(summary.average * 10) / 10 : 0,
+    count: summary?.count || 0
+  };
+};
+
+const ChatbotRating = mongoose.model("ChatbotRating", chatbotRatingSchema);
+
+export default ChatbotRating;
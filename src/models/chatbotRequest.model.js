@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+const CHATBOT_REQUEST_TTL = 24 * 60 * 60; // seconds; the longest rate limit window
+
+// One message a user sent a chatbot, counted against the bot's sliding-window rate limits
+const chatbotRequestSchema = new mongoose.Schema(
+  {
+    chatbotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatbotEnhanced",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+chatbotRequestSchema.index({ chatbotId: 1, userId: 1, createdAt: 1 });
+chatbotRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: CHATBOT_REQUEST_TTL });
+
+const ChatbotRequest = mongoose.model("ChatbotRequest", chatbotRequestSchema);
+
+export default ChatbotRequest;
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+export const DEFAULT_SESSION_TITLE = "New chat";
+
+// One chat thread between a user and a chatbot, with its own context window and rolling summary
+const chatbotSessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatbotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatbotEnhanced",
+      required: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: DEFAULT_SESSION_TITLE,
+    },
+    // "default" until a title is generated from the first exchange; a rename makes it "manual" and stops generation
+    titleSource: {
+      type: String,
+      enum: ["default", "auto", "manual"],
+      default: "default",
+    },
+    status: {
+      type: String,
+      enum: ["active", "archived"],
+      default: "active",
+    },
+    archivedAt: Date,
+    messageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Rolling summary of the turns older than the chatbot's memory window
+    memory: {
+      summary: {
+        type: String,
+        default: "",
+      },
+      // createdAt of the newest message folded into the summary; later messages are not yet summarized
+      summarizedThrough: {
+        type: Date,
+        default: () => new Date(0),
+      },
+      summarizedMessageCount: {
+        type: Number,
+        default: 0,
+      },
+      lastSummarizedAt: Date,
+      // Set when the user cleared the summary
+      resetAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+chatbotSessionSchema.index({ userId: 1, chatbotId: 1, status: 1, lastMessageAt: -1 });
+
+// Static method to list a user's sessions with a chatbot, most recently used first
+chatbotSessionSchema.statics.getSessionsForUser = function(userId, chatbotId, options = {}) {
+  const { status = "active", page = 1, limit = 20 } = options;
+
+  return this.find({ userId, chatbotId, status })
+    .select("-memory.summary")
+    .sort({ lastMessageAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+};
+
+const ChatbotSession = mongoose.model("ChatbotSession", chatbotSessionSchema);
+
+export default ChatbotSession;
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+// Immutable snapshot of a chatbot's configuration, written on creation and on every change
+const chatbotVersionSchema = new mongoose.Schema(
+  {
+    chatbotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatbotEnhanced",
+      required: true,
+      immutable: true,
+    },
+    // Semver, matching ChatbotEnhanced.version at the time of the snapshot
+    version: {
+      type: String,
+      required: true,
+      immutable: true,
+    },
+    // Versioned fields only (see services/chatbotVersion.service.js); never the API key
+    config: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+      immutable: true,
+    },
+    // Field-level diff against the previous version
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: String,
+          from: mongoose.Schema.Types.Mixed,
+          to: mongoose.Schema.Types.Mixed,
+        },
+      ],
+      immutable: true,
+    },
+    changelog: {
+      type: String,
+      default: "",
+      immutable: true,
+    },
+    source: {
+      type: String,
+      enum: ["create", "update", "rollback", "baseline"],
+      default: "update",
+      immutable: true,
+    },
+    // Version restored by a rollback
+    rolledBackTo: {
+      type: String,
+      immutable: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+chatbotVersionSchema.index({ chatbotId: 1, version: 1 }, { unique: true });
+chatbotVersionSchema.index({ chatbotId: 1, createdAt: -1 });
+
+// Snapshots are never edited once written
+const rejectUpdate = function(next) {
+  next(new Error("Chatbot versions are immutable"));
+};
+chatbotVersionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"], rejectUpdate);
+chatbotVersionSchema.pre("save", function(next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+
+const ChatbotVersion = mongoose.model("ChatbotVersion", chatbotVersionSchema);
+
+export default ChatbotVersion;
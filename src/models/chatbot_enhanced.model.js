@@ -1,4 +1,42 @@
 import mongoose from "mongoose";
+import crypto from "crypto";
+
+export const MAX_BACKUP_API_KEYS = 5;
+
+// One arm of a prompt experiment; unset fields fall back to the chatbot's own configuration
+const experimentVariantSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 30
+    },
+    systemPrompt: {
+      type: String,
+      maxlength: 2000
+    },
+    customInstructions: {
+      type: String,
+      maxlength: 3000
+    },
+    responseSettings: {
+      maxTokens: Number,
+      temperature: Number,
+      topP: Number,
+      frequencyPenalty: Number,
+      presencePenalty: Number
+    },
+    // Relative share of users assigned to this variant
+    weight: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: 1
+    }
+  },
+  { _id: false }
+);
 
 const chatbotSchema = new mongoose.Schema(
   {
@@ -15,15 +53,56 @@ const chatbotSchema = new mongoose.Schema(
       trim: true,
       maxlength: 50
     },
+    // LLM provider id from the provider registry (services/llmRegistry.service.js).
+    // Older chatbots have no provider; it is resolved from the model name.
+    provider: {
+      type: String,
+      trim: true
+    },
     model: {
       type: String,
       required: true,
-      enum: ["gemini-2.0-flash", "gpt-4o", "mistral-large-latest", "deepseek-chat"],
+      trim: true
+    },
+    // Custom endpoint, required for OpenAI-compatible servers (Ollama, vLLM, ...)
+    baseUrl: {
+      type: String,
+      trim: true,
+      default: ""
     },
     encryptedApiKey: {
       type: String,
       required: true,
     },
+    // Enhanced: Extra provider keys, tried in order when the primary key is rejected or rate limited
+    backupApiKeys: {
+      type: [
+        {
+          label: {
+            type: String,
+            trim: true,
+            maxlength: 50,
+            default: ""
+          },
+          encryptedKey: {
+            type: String,
+            required: true
+          },
+          isActive: {
+            type: Boolean,
+            default: true
+          },
+          addedAt: {
+            type: Date,
+            default: Date.now
+          },
+          lastUsedAt: Date,
+          lastFailureAt: Date,
+          lastFailureStatus: Number
+        }
+      ],
+      validate: [keys => keys.length <= MAX_BACKUP_API_KEYS, `At most ${MAX_BACKUP_API_KEYS} backup API keys are allowed`]
+    },
     isDefault: {
       type: Boolean,
       default: false,
@@ -145,17 +224,52 @@ const chatbotSchema = new mongoose.Schema(
         type: [String],
         default: []
       },
+      // Built-in filter level: "none" turns it off, "strict" blocks even low-severity matches
       contentFilter: {
         type: String,
         enum: ["none", "mild", "moderate", "strict"],
         default: "moderate"
       },
+      // Owner-defined keyword or regex rules, blocked like built-in ones when their severity meets the filter level
+      customFilters: [
+        {
+          _id: false,
+          pattern: {
+            type: String,
+            required: true,
+            maxlength: 200
+          },
+          // Regexes run on RE2, so they can't use lookarounds or backreferences
+          isRegex: {
+            type: Boolean,
+            default: false
+          },
+          severity: {
+            type: String,
+            enum: ["low", "medium", "high"],
+            default: "medium"
+          },
+          category: {
+            type: String,
+            default: "custom"
+          }
+        }
+      ],
+      // Reply sent instead of blocked content; a generic refusal when empty
+      refusalMessage: {
+        type: String,
+        maxlength: 500,
+        default: ""
+      },
+      // Messages each user may send the bot in a sliding 24-hour / 1-hour window
       maxMessagesPerDay: {
         type: Number,
+        min: 1,
         default: 1000
       },
       maxMessagesPerHour: {
         type: Number,
+        min: 1,
         default: 100
       }
     },
@@ -199,6 +313,17 @@ const chatbotSchema = new mongoose.Schema(
           type: String,
           default: "general"
         },
+        // Typed in by the owner, or captured from a corrected reply
+        source: {
+          type: String,
+          enum: ["manual", "feedback"],
+          default: "manual"
+        },
+        // The corrected reply, for feedback examples
+        messageId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "MessageEnhanced"
+        },
         createdAt: {
           type: Date,
           default: Date.now
@@ -232,6 +357,7 @@ const chatbotSchema = new mongoose.Schema(
     },
     // Enhanced: Integration settings
     integrations: {
+      // Outbound webhooks, delivered by the webhook service
       webhooks: [
         {
           url: String,
@@ -239,17 +365,48 @@ const chatbotSchema = new mongoose.Schema(
           isActive: {
             type: Boolean,
             default: true
-          }
+          },
+          secret: {
+            type: String, // Encrypted HMAC signing secret
+            select: false
+          },
+          consecutiveFailures: {
+            type: Number,
+            default: 0
+          },
+          lastDeliveryAt: Date,
+          disabledAt: Date,
+          disabledReason: String
         }
       ],
+      // HTTP endpoints the model can call as tools
       apis: [
         {
-          name: String,
+          name: String, // Tool name shown to the model
           endpoint: String,
-          apiKey: String,
-          description: String
+          apiKey: String, // Encrypted, sent as a bearer token
+          description: String,
+          method: {
+            type: String,
+            enum: ["GET", "POST"],
+            default: "POST"
+          },
+          parameters: {
+            type: mongoose.Schema.Types.Mixed, // JSON schema of the tool arguments
+            default: () => ({ type: "object", properties: {} })
+          },
+          isActive: {
+            type: Boolean,
+            default: true
+          }
         }
-      ]
+      ],
+      // Enhanced: Built-in tools enabled for this bot
+      builtInTools: {
+        type: [String],
+        enum: ["search_messages", "get_current_time"],
+        default: []
+      }
     },
     // Enhanced: Status and health
     status: {
@@ -267,7 +424,23 @@ const chatbotSchema = new mongoose.Schema(
         enum: ["healthy", "warning", "critical"],
         default: "healthy"
       },
-      issues: [String]
+      issues: [String],
+      // Last live test call to the provider (services/chatbotHealth.service.js)
+      probe: {
+        ok: Boolean,
+        checkedAt: Date,
+        latencyMs: Number,
+        errorType: {
+          type: String,
+          enum: ["auth", "rate_limit", "timeout", "unavailable", "bad_request", "unknown"]
+        },
+        message: String,
+        rejectedKeys: [String],
+        consecutiveFailures: {
+          type: Number,
+          default: 0
+        }
+      }
     },
     // Enhanced: Versioning
     version: {
@@ -283,7 +456,69 @@ const chatbotSchema = new mongoose.Schema(
           default: Date.now
         }
       }
-    ]
+    ],
+    // Enhanced: Marketplace listing (opt-in via publish)
+    visibility: {
+      type: String,
+      enum: ["private", "public"],
+      default: "private"
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+      default: ""
+    },
+    tags: {
+      type: [String],
+      default: []
+    },
+    publishedAt: Date,
+    // Set on clones: the published bot and version they were copied from
+    clonedFrom: {
+      chatbotId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ChatbotEnhanced"
+      },
+      version: String
+    },
+    // Enhanced: A/B prompt experiments; at most one runs at a time
+    experiments: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 100
+        },
+        status: {
+          type: String,
+          enum: ["draft", "running", "completed"],
+          default: "draft"
+        },
+        variants: [experimentVariantSchema],
+        startedAt: Date,
+        endedAt: Date,
+        winnerKey: String,
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    marketplaceStats: {
+      cloneCount: {
+        type: Number,
+        default: 0
+      },
+      ratingAverage: {
+        type: Number,
+        default: 0
+      },
+      ratingCount: {
+        type: Number,
+        default: 0
+      }
+    }
   },
   { 
     timestamps: true,
@@ -303,13 +538,21 @@ chatbotSchema.index({ isDefault: 1 });
 chatbotSchema.index({ status: 1 });
 chatbotSchema.index({ "stats.lastUsed": -1 });
 chatbotSchema.index({ name: "text" });
+chatbotSchema.index({ visibility: 1, publishedAt: -1 });
+chatbotSchema.index({ visibility: 1, tags: 1 });
 
 // Virtual for getting full system prompt
 chatbotSchema.virtual('fullSystemPrompt').get(function() {
-  let prompt = this.systemPrompt;
+  return this.getSystemPrompt();
+});
+
+// Full system prompt, with an experiment variant's prompt and instructions in place of the bot's own
+chatbotSchema.methods.getSystemPrompt = function(variant = null) {
+  let prompt = variant?.systemPrompt || this.systemPrompt;
+  const customInstructions = variant?.customInstructions ?? this.customInstructions;
   
-  if (this.customInstructions) {
-    prompt += `\n\nAdditional Instructions:\n${this.customInstructions}`;
+  if (customInstructions) {
+    prompt += `\n\nAdditional Instructions:\n${customInstructions}`;
   }
   
   // Add personality traits
@@ -325,6 +568,48 @@ chatbotSchema.virtual('fullSystemPrompt').get(function() {
   }
   
   return prompt;
+};
+
+// Response settings, with an experiment variant's overrides applied
+chatbotSchema.methods.getResponseSettings = function(variant = null) {
+  const settings = this.toObject().responseSettings;
+  const overrides = (variant?.toObject ? variant.toObject() : variant)?.responseSettings || {};
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) settings[key] = value;
+  }
+  return settings;
+};
+
+// Method to get the experiment currently running, if any
+chatbotSchema.methods.getRunningExperiment = function() {
+  return this.experiments.find(experiment => experiment.status === "running") || null;
+};
+
+// Method to put a user in a variant of the running experiment. The choice is a hash of
+// experiment and user, so a user keeps their variant for the whole experiment.
+chatbotSchema.methods.assignExperimentVariant = function(userId) {
+  const experiment = this.getRunningExperiment();
+  if (!experiment || experiment.variants.length === 0) return null;
+
+  const hash = crypto.createHash("sha256").update(`${experiment._id}:${userId}`).digest();
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let bucket = hash.readUInt32BE(0) % totalWeight;
+
+  const variant = experiment.variants.find(candidate => {
+    bucket -= candidate.weight;
+    return bucket < 0;
+  });
+  return { experiment, variant };
+};
+
+// Virtual for the LLM target passed to the LLM service
+chatbotSchema.virtual('llmTarget').get(function() {
+  return {
+    provider: this.provider,
+    model: this.model,
+    baseUrl: this.baseUrl
+  };
 });
 
 // Virtual for usage statistics
@@ -356,11 +641,12 @@ chatbotSchema.methods.updateStats = function(tokensUsed, responseTime) {
 };
 
 // Method to add training example
-chatbotSchema.methods.addTrainingExample = function(input, output, category = "general") {
+chatbotSchema.methods.addTrainingExample = function(input, output, category = "general", details = {}) {
   this.trainingExamples.push({
     input,
     output,
     category,
+    ...details,
     createdAt: new Date()
   });
   
@@ -372,6 +658,16 @@ chatbotSchema.methods.addTrainingExample = function(input, output, category = "g
   return this.save();
 };
 
+// Method to remove a training example; returns false if it doesn't exist
+chatbotSchema.methods.removeTrainingExample = async function(exampleId) {
+  const example = this.trainingExamples.id(exampleId);
+  if (!example) return false;
+
+  example.deleteOne();
+  await this.save();
+  return true;
+};
+
 // Method to update personality
 chatbotSchema.methods.updatePersonality = function(personalityData) {
   this.personality = { ...this.personality, ...personalityData };
@@ -403,43 +699,45 @@ chatbotSchema.methods.updateSystemPrompt = function(systemPrompt, customInstruct
   return this.save();
 };
 
-// Method to check rate limits
-chatbotSchema.methods.checkRateLimit = function() {
-  const now = new Date();
-  const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-  const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-  
-  // This is a simplified check - in production, you'd track actual message counts
-  const estimatedHourlyMessages = this.stats.totalMessages / Math.max(1, Math.ceil((now - this.createdAt) / (1000 * 60 * 60)));
-  const estimatedDailyMessages = this.stats.totalMessages / Math.max(1, Math.ceil((now - this.createdAt) / (1000 * 60 * 60 * 24)));
-  
-  return {
-    canSendMessage: estimatedHourlyMessages < this.restrictions.maxMessagesPerHour && 
-                    estimatedDailyMessages < this.restrictions.maxMessagesPerDay,
-    hourlyLimit: this.restrictions.maxMessagesPerHour,
-    dailyLimit: this.restrictions.maxMessagesPerDay,
-    estimatedHourlyUsage: Math.ceil(estimatedHourlyMessages),
-    estimatedDailyUsage: Math.ceil(estimatedDailyMessages)
-  };
-};
-
 // Method to get conversation context
-chatbotSchema.methods.getContextPrompt = function(conversationHistory = []) {
-  if (!this.contextSettings.useContext || conversationHistory.length === 0) {
-    return "";
+// options.knowledgePassages: knowledge base passages retrieved for the current question
+// options.conversationSummary: rolling summary of this user's turns older than the memory window
+chatbotSchema.methods.getContextPrompt = function(conversationHistory = [], options = {}) {
+  const { knowledgePassages = [], conversationSummary = "", fewShotExamples = [] } = options;
+  let contextPrompt = "";
+  
+  if (this.contextSettings.useContext && conversationSummary) {
+    contextPrompt += `\n\nSummary of Earlier Conversation:\n${conversationSummary}\n`;
   }
   
-  const contextLength = Math.min(this.contextSettings.memoryLength, conversationHistory.length);
-  const recentMessages = conversationHistory.slice(-contextLength);
+  if (this.contextSettings.useContext && conversationHistory.length > 0) {
+    const contextLength = Math.min(this.contextSettings.memoryLength, conversationHistory.length);
+    const recentMessages = conversationHistory.slice(-contextLength);
+    
+    contextPrompt += "\n\nConversation Context:\n";
+    recentMessages.forEach((msg, index) => {
+      const role = msg.senderId === this._id ? "Assistant" : "User";
+      contextPrompt += `${role}: ${msg.text}\n`;
+    });
+    
+    if (this.contextSettings.contextSummary) {
+      contextPrompt += `\nContext Summary: ${this.contextSettings.contextSummary}\n`;
+    }
+  }
   
-  let contextPrompt = "\n\nConversation Context:\n";
-  recentMessages.forEach((msg, index) => {
-    const role = msg.senderId === this._id ? "Assistant" : "User";
-    contextPrompt += `${role}: ${msg.text}\n`;
-  });
+  if (fewShotExamples.length > 0) {
+    contextPrompt += "\n\nExamples of Good Responses:\n";
+    fewShotExamples.forEach(example => {
+      contextPrompt += `\nUser: ${example.input}\nAssistant: ${example.output}\n`;
+    });
+  }
   
-  if (this.contextSettings.contextSummary) {
-    contextPrompt += `\nContext Summary: ${this.contextSettings.contextSummary}\n`;
+  if (knowledgePassages.length > 0) {
+    contextPrompt += "\n\nKnowledge Base:\n";
+    contextPrompt += "Use these passages when they are relevant and cite every one you use as [Source: <title>].\n";
+    knowledgePassages.forEach((passage, index) => {
+      contextPrompt += `\n[${index + 1}] ${passage.title}\n${passage.text}\n`;
+    });
   }
   
   return contextPrompt;
@@ -466,13 +764,34 @@ chatbotSchema.methods.addKnowledge = function(type, data) {
   return this.save();
 };
 
+// Method to remove a knowledge base entry, returning its type or null if not found
+chatbotSchema.methods.removeKnowledge = async function(entryId) {
+  const document = this.knowledgeBase.documents.id(entryId);
+  if (document) {
+    document.deleteOne();
+    await this.save();
+    return 'document';
+  }
+  
+  const faq = this.knowledgeBase.faqs.id(entryId);
+  if (faq) {
+    faq.deleteOne();
+    await this.save();
+    return 'faq';
+  }
+  
+  return null;
+};
+
 // Method to perform health check
-chatbotSchema.methods.performHealthCheck = async function() {
+// Pass the result of a live provider probe to record it; without one, the last probe still counts
+chatbotSchema.methods.performHealthCheck = async function(probe = null) {
   const issues = [];
+  const criticalIssues = [];
   
   // Check if API key is valid (simplified check)
   if (!this.encryptedApiKey) {
-    issues.push("Missing API key");
+    criticalIssues.push("Missing API key");
   }
   
   // Check if system prompt is reasonable
@@ -480,22 +799,46 @@ chatbotSchema.methods.performHealthCheck = async function() {
     issues.push("System prompt too short");
   }
   
-  // Check rate limits
-  const rateLimit = this.checkRateLimit();
-  if (!rateLimit.canSendMessage) {
-    issues.push("Rate limit exceeded");
+  // Fold in the live probe
+  const previousProbe = this.healthCheck?.probe?.toObject?.() || this.healthCheck?.probe;
+  const lastProbe = probe
+    ? { ...probe, consecutiveFailures: probe.ok ? 0 : (previousProbe?.consecutiveFailures || 0) + 1 }
+    : previousProbe;
+  
+  if (lastProbe?.checkedAt && !lastProbe.ok) {
+    if (lastProbe.errorType === "auth") {
+      // The probe already failed over, so every key was refused
+      criticalIssues.push("Invalid or revoked API key");
+    } else if (lastProbe.errorType === "rate_limit") {
+      issues.push("Provider rate limit reached");
+    } else if (["timeout", "unavailable"].includes(lastProbe.errorType)) {
+      // One blip is a warning; an outage that persists takes the bot offline
+      (lastProbe.consecutiveFailures >= 3 ? criticalIssues : issues).push(`Provider unreachable: ${lastProbe.message}`);
+    } else {
+      issues.push(`Provider test call failed: ${lastProbe.message}`);
+    }
+  } else if (lastProbe?.ok && lastProbe.latencyMs > 10000) {
+    issues.push(`Slow provider responses (${lastProbe.latencyMs}ms)`);
+  }
+  
+  // A backup answered, but replies pay a failed attempt on every refused key first
+  if (lastProbe?.ok && lastProbe.rejectedKeys?.length > 0) {
+    issues.push(`Invalid or revoked API key: ${lastProbe.rejectedKeys.join(", ")}`);
   }
   
   // Determine health status
   let status = "healthy";
-  if (issues.length > 0) {
-    status = issues.some(issue => issue.includes("API key") || issue.includes("Rate limit")) ? "critical" : "warning";
+  if (criticalIssues.length > 0) {
+    status = "critical";
+  } else if (issues.length > 0) {
+    status = "warning";
   }
   
   this.healthCheck = {
     lastCheck: new Date(),
     status,
-    issues
+    issues: [...criticalIssues, ...issues],
+    probe: lastProbe
   };
   
   return this.save();
@@ -517,15 +860,52 @@ chatbotSchema.statics.getChatbotsForUser = function(userId, options = {}) {
   }
   
   return this.find(query)
-    .select("-encryptedApiKey -trainingExamples -knowledgeBase")
+    .select("-encryptedApiKey -backupApiKeys -trainingExamples -knowledgeBase")
     .sort({ "stats.lastUsed": -1 })
     .lean();
 };
 
+// Fields shown in marketplace listings; keys, integrations, knowledge and training data stay private
+export const MARKETPLACE_LISTING_FIELDS = "name description tags avatar avatarColor provider model personality capabilities version publishedAt marketplaceStats stats.totalMessages ownerId";
+
+// Static method to browse published chatbots
+chatbotSchema.statics.getPublishedChatbots = function(options = {}) {
+  const { search, tags = [], sort = "popular", page = 1, limit = 20 } = options;
+
+  const query = {
+    visibility: "public",
+    isDefault: false,
+    status: "active"
+  };
+  if (search) query.$text = { $search: search };
+  if (tags.length > 0) query.tags = { $all: tags };
+
+  const sortOptions = {
+    popular: { "marketplaceStats.cloneCount": -1, "stats.totalMessages": -1 },
+    rating: { "marketplaceStats.ratingAverage": -1, "marketplaceStats.ratingCount": -1 },
+    newest: { publishedAt: -1 }
+  };
+
+  let cursor = this.find(query, search ? { score: { $meta: "textScore" } } : {})
+    .select(MARKETPLACE_LISTING_FIELDS)
+    .populate("ownerId", "fullName profilePic");
+
+  // Best text matches first when searching, then the requested order
+  cursor = cursor.sort(search
+    ? { score: { $meta: "textScore" }, ...sortOptions[sort] }
+    : sortOptions[sort] || sortOptions.popular);
+
+  return cursor
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .lean();
+};
+
 // Static method to get popular chatbots
 chatbotSchema.statics.getPopularChatbots = function(limit = 10) {
   return this.find({ 
     isDefault: false, 
+    visibility: "public",
     status: "active",
     "stats.totalMessages": { $gt: 100 }
   })
@@ -547,8 +927,8 @@ chatbotSchema.pre('save', function(next) {
   if (this.responseSettings.temperature < 0) this.responseSettings.temperature = 0;
   if (this.responseSettings.temperature > 2) this.responseSettings.temperature = 2;
   
-  // Update version if significant changes
-  if (this.isModified('systemPrompt') || this.isModified('customInstructions') || this.isModified('personality')) {
+  // Update version if significant changes (the version service bumps it itself)
+  if (!this.isNew && !this.isModified('version') && (this.isModified('systemPrompt') || this.isModified('customInstructions') || this.isModified('personality'))) {
     const versionParts = this.version.split('.');
     versionParts[2] = (parseInt(versionParts[2]) + 1).toString();
     this.version = versionParts.join('.');
@@ -1,5 +1,32 @@
 import mongoose from "mongoose";
 
+// What each member role may do; bot members get their own list, editable by admins
+export const ROLE_PERMISSIONS = {
+  admin: ["sendMessages", "readHistory", "addMembers", "editInfo", "manageBots"],
+  member: ["sendMessages", "readHistory"],
+  bot: ["sendMessages", "readHistory"],
+};
+
+export const BOT_PERMISSIONS = ["sendMessages", "readHistory"];
+
+// How a chatbot member behaves in the group
+const botSettingsSchema = new mongoose.Schema(
+  {
+    replyMode: {
+      type: String,
+      enum: ["mention", "all"], // reply when @mentioned, or to every message
+      default: "mention",
+    },
+    historyLength: {
+      type: Number, // recent group messages given to the bot as context
+      min: 1,
+      max: 50,
+      default: 20,
+    },
+  },
+  { _id: false }
+);
+
 const conversationSchema = new mongoose.Schema(
   {
     name: {
@@ -29,18 +56,35 @@ const conversationSchema = new mongoose.Schema(
       },
     ],
     // Enhanced: Member roles for granular permissions
+    // Chatbot members live only here (role "bot"), never in participants
     memberRoles: [
       {
         userId: {
           type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
+          ref: "User", // ChatbotEnhanced id when memberModel is "Chatbot"
           required: true,
         },
+        memberModel: {
+          type: String,
+          enum: ["User", "Chatbot"],
+          default: "User",
+        },
         role: {
           type: String,
-          enum: ["admin", "member"],
+          enum: ["admin", "member", "bot"],
           default: "member",
         },
+        // Bot members only: overrides ROLE_PERMISSIONS.bot
+        permissions: {
+          type: [String],
+          enum: BOT_PERMISSIONS,
+          default: undefined,
+        },
+        // Bot members only
+        botSettings: {
+          type: botSettingsSchema,
+          default: undefined,
+        },
         joinedAt: {
           type: Date,
           default: Date.now,
@@ -115,6 +159,28 @@ const conversationSchema = new mongoose.Schema(
       maxlength: 500,
       default: "",
     },
+    // Enhanced: Outbound webhooks, delivered by the webhook service
+    webhooks: [
+      {
+        url: String,
+        events: [String],
+        isActive: {
+          type: Boolean,
+          default: true,
+        },
+        secret: {
+          type: String, // Encrypted HMAC signing secret
+          select: false,
+        },
+        consecutiveFailures: {
+          type: Number,
+          default: 0,
+        },
+        lastDeliveryAt: Date,
+        disabledAt: Date,
+        disabledReason: String,
+      },
+    ],
     // Enhanced: Pinned messages
     pinnedMessages: [
       {
@@ -273,6 +339,67 @@ conversationSchema.methods.changeUserRole = function(userId, newRole, changedBy)
   return this.save();
 };
 
+// Method to check a member's permission, including bot members
+conversationSchema.methods.hasPermission = function(memberId, permission) {
+  const bot = this.getBotMember(memberId);
+  if (bot) {
+    return (bot.permissions || ROLE_PERMISSIONS.bot).includes(permission);
+  }
+  
+  const role = this.getUserRole(memberId);
+  if (!role) return false;
+  if (ROLE_PERMISSIONS[role]?.includes(permission)) return true;
+  
+  // Group settings can open admin-only actions to everyone
+  if (permission === 'addMembers') return this.settings.allowMembersToAddOthers;
+  if (permission === 'editInfo') return this.settings.allowMembersToEditInfo;
+  return false;
+};
+
+// Method to get chatbot members
+conversationSchema.methods.getBotMembers = function() {
+  return this.memberRoles.filter(member => member.role === 'bot');
+};
+
+// Method to get one chatbot member
+conversationSchema.methods.getBotMember = function(chatbotId) {
+  return this.memberRoles.find(member => 
+    member.role === 'bot' && member.userId.toString() === chatbotId.toString()
+  );
+};
+
+// Method to add a chatbot member
+conversationSchema.methods.addBot = function(chatbotId, addedBy, botSettings = {}) {
+  if (this.getBotMember(chatbotId)) {
+    throw new Error('Chatbot is already a member');
+  }
+  
+  this.memberRoles.push({
+    userId: chatbotId,
+    memberModel: 'Chatbot',
+    role: 'bot',
+    permissions: ROLE_PERMISSIONS.bot,
+    botSettings,
+    addedBy,
+    joinedAt: new Date()
+  });
+  
+  return this.save();
+};
+
+// Method to remove a chatbot member
+conversationSchema.methods.removeBot = function(chatbotId) {
+  if (!this.getBotMember(chatbotId)) {
+    throw new Error('Chatbot is not a member');
+  }
+  
+  this.memberRoles = this.memberRoles.filter(member => 
+    !(member.role === 'bot' && member.userId.toString() === chatbotId.toString())
+  );
+  
+  return this.save();
+};
+
 // Method to update last message info
 conversationSchema.methods.updateLastMessage = function(messageId) {
   this.lastMessage = messageId;
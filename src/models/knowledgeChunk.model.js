@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Searchable slice of a chatbot knowledge base entry (document or FAQ)
+const knowledgeChunkSchema = new mongoose.Schema(
+  {
+    chatbotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatbotEnhanced",
+      required: true,
+    },
+    entryType: {
+      type: String,
+      enum: ["document", "faq"],
+      required: true,
+    },
+    // _id of the knowledgeBase.documents / knowledgeBase.faqs entry
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    title: {
+      type: String,
+      default: "",
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    // Position of the chunk within its entry
+    position: {
+      type: Number,
+      default: 0,
+    },
+    // Term -> occurrences, for BM25 scoring
+    termFrequencies: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Number of terms in the chunk
+    length: {
+      type: Number,
+      default: 0,
+    },
+    // Ranking boost (FAQ priority)
+    boost: {
+      type: Number,
+      default: 1,
+    },
+  },
+  { timestamps: true }
+);
+
+knowledgeChunkSchema.index({ chatbotId: 1 });
+knowledgeChunkSchema.index({ chatbotId: 1, entryId: 1 });
+
+const KnowledgeChunk = mongoose.model("KnowledgeChunk", knowledgeChunkSchema);
+
+export default KnowledgeChunk;
@@ -26,6 +26,11 @@ const messageSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "ConversationEnhanced",
     },
+    // Enhanced: Chat session, for messages between a user and a chatbot
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatbotSession",
+    },
     text: {
       type: String,
       default: "",
@@ -206,6 +211,73 @@ const messageSchema = new mongoose.Schema(
       enum: ["low", "normal", "high", "urgent"],
       default: "normal",
     },
+    // Enhanced: Chatbot reply metadata
+    aiMetadata: {
+      streamed: Boolean,
+      cancelled: Boolean,
+      responseTime: Number, // in ms
+      usage: {
+        promptTokens: Number,
+        completionTokens: Number,
+        totalTokens: Number,
+        estimated: Boolean,
+      },
+      // Knowledge base passages the reply was grounded on
+      citations: [
+        {
+          title: String,
+          entryType: String,
+          entryId: mongoose.Schema.Types.ObjectId,
+          score: Number,
+          cited: Boolean,
+        },
+      ],
+      // Tools the model called while producing the reply, in order
+      toolCalls: [
+        {
+          round: Number,
+          name: String,
+          arguments: mongoose.Schema.Types.Mixed,
+          result: mongoose.Schema.Types.Mixed,
+          error: String,
+          durationMs: Number,
+        },
+      ],
+      // Set when the moderation pipeline replaced the reply with a refusal
+      moderation: {
+        blocked: Boolean,
+        direction: {
+          type: String,
+          enum: ["input", "output"],
+        },
+        severity: String,
+        categories: [String],
+      },
+      // Prompt experiment variant that produced the reply
+      experiment: {
+        experimentId: mongoose.Schema.Types.ObjectId,
+        variantKey: String,
+      },
+      // Thumbs up/down from the user the reply was sent to
+      feedback: {
+        rating: {
+          type: String,
+          enum: ["up", "down"],
+        },
+        comment: {
+          type: String,
+          maxlength: 1000,
+        },
+        // What the reply should have said
+        correction: {
+          type: String,
+          maxlength: 1000,
+        },
+        // Training example created from the correction
+        trainingExampleId: mongoose.Schema.Types.ObjectId,
+        ratedAt: Date,
+      },
+    },
     // Enhanced: Scheduled messages
     scheduledFor: {
       type: Date,
@@ -231,10 +303,12 @@ const messageSchema = new mongoose.Schema(
 
 // Indexes for efficient querying
 messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index({ sessionId: 1, createdAt: -1 });
 messageSchema.index({ senderId: 1 });
 messageSchema.index({ receiverId: 1 });
 messageSchema.index({ isDeleted: 1 });
 messageSchema.index({ scheduledFor: 1 });
+messageSchema.index({ senderId: 1, "aiMetadata.experiment.experimentId": 1 });
 messageSchema.index({ "deliveryStatus.delivered.userId": 1 });
 messageSchema.index({ "deliveryStatus.read.userId": 1 });
 
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+const MODERATION_LOG_TTL = 90 * 24 * 60 * 60; // seconds
+
+// A chatbot prompt or reply blocked by the moderation pipeline
+const moderationLogSchema = new mongoose.Schema(
+  {
+    chatbotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ChatbotEnhanced",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Screened text: the user's prompt or the model's reply
+    direction: {
+      type: String,
+      enum: ["input", "output"],
+      required: true,
+    },
+    // Every rule the text matched
+    violations: [
+      {
+        _id: false,
+        ruleType: {
+          type: String,
+          enum: ["blockedTopic", "builtIn", "custom"],
+        },
+        category: String,
+        severity: {
+          type: String,
+          enum: ["low", "medium", "high"],
+        },
+        matched: String,
+      },
+    ],
+    // Highest severity among the violations
+    severity: {
+      type: String,
+      enum: ["low", "medium", "high"],
+    },
+    contentFilter: String,
+    // Text around the first match, so owners can judge the block without storing whole messages
+    excerpt: {
+      type: String,
+      default: "",
+    },
+    conversationType: {
+      type: String,
+      enum: ["direct", "group"],
+      default: "direct",
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ConversationEnhanced",
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+moderationLogSchema.index({ chatbotId: 1, createdAt: -1 });
+moderationLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: MODERATION_LOG_TTL });
+
+const ModerationLog = mongoose.model("ModerationLog", moderationLogSchema);
+
+export default ModerationLog;
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// One refresh token. Each refresh replaces it with a new token in the same family; a family
+// is one sign-in on one device, and revoking it signs that device out.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the token; the token itself only ever lives in the client's cookie
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    familyId: {
+      type: String,
+      required: true,
+    },
+    device: {
+      // Random id kept in a long-lived cookie; the same browser presents it on every sign-in
+      deviceId: {
+        type: String,
+      },
+      // Browser and OS read from the user agent, e.g. "Chrome on Windows"
+      label: {
+        type: String,
+        default: "Unknown device",
+      },
+      userAgent: {
+        type: String,
+        maxlength: 300,
+        default: "",
+      },
+      ip: {
+        type: String,
+        default: "",
+      },
+    },
+    // When the family's first token was issued, i.e. when the device signed in
+    sessionStartedAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the token was exchanged for its replacement; presenting it again means it leaked
+    usedAt: Date,
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["logout", "reuse", "revoked"],
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ familyId: 1, revokedAt: 1 });
+refreshTokenSchema.index({ userId: 1, usedAt: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+export const REPORT_REASONS = [
+  "harassment",
+  "spam",
+  "inappropriate_content",
+  "hate_speech",
+  "impersonation",
+  "scam",
+  "other"
+];
+export const REPORT_ACTIONS = ["none", "warn", "suspend", "ban"];
+export const MAX_EVIDENCE_MESSAGES = 20;
+
+// A user's report about another user, reviewed by moderators
+const reportSchema = new mongoose.Schema(
+  {
+    reporterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    description: {
+      type: String,
+      maxlength: 1000,
+      default: "",
+    },
+    // Messages from the reported user that the reporter points to
+    evidenceMessageIds: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "MessageEnhanced",
+        },
+      ],
+      validate: {
+        validator: (ids) => ids.length <= MAX_EVIDENCE_MESSAGES,
+        message: `A report can cite at most ${MAX_EVIDENCE_MESSAGES} messages`,
+      },
+    },
+    // open -> in_review once a moderator takes it -> resolved or dismissed.
+    // A report is "resolving" while its action is applied to the reported user.
+    status: {
+      type: String,
+      enum: ["open", "in_review", "resolving", "resolved", "dismissed"],
+      default: "open",
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    assignedAt: Date,
+    resolution: {
+      action: {
+        type: String,
+        enum: REPORT_ACTIONS,
+      },
+      note: {
+        type: String,
+        maxlength: 1000,
+      },
+      // End of the suspension, for the suspend action
+      suspendedUntil: Date,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: Date,
+    },
+    // When the reporter acknowledged the outcome; a closed report without it is an unread notification
+    reporterSeenAt: Date,
+    autoBlocked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ assignedTo: 1, status: 1 });
+reportSchema.index({ targetUserId: 1, createdAt: -1 });
+reportSchema.index({ reporterId: 1, createdAt: -1 });
+
+// Method to check if the report is still waiting for a decision
+reportSchema.methods.isOpen = function() {
+  return this.status === "open" || this.status === "in_review";
+};
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
@@ -26,6 +26,23 @@ const userSchema = new mongoose.Schema(
         ref: "User",
       }
     ],
+    role: {
+      type: String,
+      enum: ["user", "moderator", "admin"],
+      default: "user",
+    },
+    // Moderation actions taken against the account
+    moderation: {
+      warningCount: {
+        type: Number,
+        default: 0,
+      },
+      lastWarnedAt: Date,
+      suspendedUntil: Date,
+      suspensionReason: String,
+      bannedAt: Date,
+      banReason: String,
+    },
   },
   { timestamps: true }
 );
@@ -107,6 +107,23 @@ const userSchema = new mongoose.Schema(
       default: "",
     },
     // Enhanced: Account settings
+    role: {
+      type: String,
+      enum: ["user", "moderator", "admin"],
+      default: "user",
+    },
+    // Enhanced: Moderation actions taken against the account
+    moderation: {
+      warningCount: {
+        type: Number,
+        default: 0,
+      },
+      lastWarnedAt: Date,
+      suspendedUntil: Date,
+      suspensionReason: String,
+      bannedAt: Date,
+      banReason: String,
+    },
     isActive: {
       type: Boolean,
       default: true,
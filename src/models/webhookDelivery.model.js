@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+// One attempt-tracked delivery of a webhook event to one endpoint
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    // What owns the webhook: a chatbot (integrations.webhooks) or a conversation (webhooks)
+    ownerType: {
+      type: String,
+      enum: ["chatbot", "conversation"],
+      required: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Exact JSON body sent (and signed) on every attempt
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: Date,
+    lastResponseStatus: Number,
+    lastError: String,
+    deliveredAt: Date,
+    // Set when this delivery was created by replaying an earlier one
+    replayOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ ownerType: 1, ownerId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -0,0 +1,25 @@
+import express from "express";
+import { protectRoute, requireRole } from "../middleware/auth.middleware.js";
+import {
+  getAIQuotas,
+  updateGlobalAIQuota,
+  updateUserAIQuota,
+  deleteUserAIQuota,
+  getAIUsage
+} from "../controllers/admin.controller.js";
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(protectRoute, requireRole("admin"));
+
+// Default chatbot quotas
+router.get("/ai-quotas", getAIQuotas);
+router.put("/ai-quotas", updateGlobalAIQuota);
+router.put("/ai-quotas/users/:userId", updateUserAIQuota);
+router.delete("/ai-quotas/users/:userId", deleteUserAIQuota);
+
+// Usage ledger
+router.get("/ai-usage", getAIUsage);
+
+export default router;
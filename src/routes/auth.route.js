@@ -1,5 +1,6 @@
 import express from "express";
-import { checkAuth, login, logout, signup, updateProfile } from "../controllers/auth.controller.js";
+import { checkAuth, login, logout, refresh, signup, updateProfile } from "../controllers/auth.controller.js";
+import { getSessions, revokeOtherSessions, revokeSession } from "../controllers/session.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
@@ -7,9 +8,15 @@ const router = express.Router();
 router.post("/signup", signup);
 router.post("/login", login);
 router.post("/logout", logout);
+router.post("/refresh", refresh);
 
 router.put("/update-profile", protectRoute, updateProfile);
 
 router.get("/check", protectRoute, checkAuth);
 
+// Devices the user is signed in on
+router.get("/sessions", protectRoute, getSessions);
+router.delete("/sessions", protectRoute, revokeOtherSessions);
+router.delete("/sessions/:sessionId", protectRoute, revokeSession);
+
 export default router;
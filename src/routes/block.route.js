@@ -7,7 +7,9 @@ import {
   checkBlockStatus,
   getBlockStats,
   bulkUnblockUsers,
-  reportUser
+  reportUser,
+  getMyReports,
+  markReportsSeen
 } from "../controllers/block.controller.js";
 
 const router = express.Router();
@@ -29,6 +31,8 @@ router.get("/status/:userId", checkBlockStatus);
 
 // Report user (optional step before blocking)
 router.post("/report", reportUser);
+router.get("/reports", getMyReports);
+router.post("/reports/seen", markReportsSeen);
 
 export default router;
 
@@ -3,6 +3,8 @@ import multer from "multer";
 import { protectRoute } from "../middleware/auth.middleware.js";
 import {
   createChatbot,
+  getLLMProviders,
+  getMyAIUsage,
   getChatbots,
   getChatbotDetails,
   updateChatbot,
@@ -10,9 +12,66 @@ import {
   deleteChatbot,
   getChatbotMessages,
   sendMessageToChatbot,
+  cancelChatbotReply,
   addTrainingExample,
+  getChatbotSummary,
+  resetChatbotSummary,
+  getKnowledge,
+  addKnowledge,
+  reindexKnowledge,
+  deleteKnowledge,
+  getChatbotToolsConfig,
+  addChatbotTool,
+  deleteChatbotTool,
+  updateBuiltInTools,
+  getChatbotVersions,
+  getChatbotVersion,
+  diffChatbotVersions,
+  rollbackChatbot,
+  rateChatbotReply,
+  getTrainingExamples,
+  deleteTrainingExample,
+  exportTrainingExamples,
+  getModerationLogs,
+  runChatbotHealthCheck,
+  getApiKeys,
+  rotateApiKey,
+  addBackupApiKey,
+  updateBackupApiKey,
+  deleteBackupApiKey,
+  promoteBackupApiKey,
+  getExperiments,
+  createExperiment,
+  startExperiment,
+  stopExperiment,
+  deleteExperiment,
   getChatbotAnalytics
 } from "../controllers/chatbot_enhanced.controller.js";
+import {
+  loadWebhookOwner,
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  replayDelivery
+} from "../controllers/webhook.controller.js";
+import {
+  publishChatbot,
+  unpublishChatbot,
+  getMarketplaceChatbots,
+  getMarketplaceChatbot,
+  rateChatbot,
+  deleteChatbotRating,
+  cloneChatbot
+} from "../controllers/marketplace.controller.js";
+import { askChatbotCouncil } from "../controllers/council.controller.js";
+import {
+  getChatbotSessions,
+  createSession,
+  updateSession,
+  deleteSession
+} from "../controllers/chatbotSession.controller.js";
 
 const router = express.Router();
 
@@ -31,9 +90,40 @@ const avatarUpload = multer({
   }
 });
 
+// Configure multer for plain-text knowledge base documents
+const knowledgeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('text/') || file.mimetype === 'application/json') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only text files are allowed'), false);
+    }
+  }
+});
+
 // All routes require authentication
 router.use(protectRoute);
 
+// Available LLM providers and models
+router.get("/providers", getLLMProviders);
+
+// Current user's AI usage and quota
+router.get("/usage", getMyAIUsage);
+
+// Marketplace of published chatbots
+router.get("/marketplace", getMarketplaceChatbots);
+router.get("/marketplace/:id", getMarketplaceChatbot);
+router.post("/marketplace/:id/clone", cloneChatbot);
+router.put("/marketplace/:id/rating", rateChatbot);
+router.delete("/marketplace/:id/rating", deleteChatbotRating);
+
+// Ask several chatbots the same question side by side
+router.post("/council", askChatbotCouncil);
+
 // Chatbot CRUD operations
 router.post("/", createChatbot);
 router.get("/", getChatbots);
@@ -44,12 +134,78 @@ router.delete("/:id", deleteChatbot);
 // Avatar management
 router.post("/:id/avatar", avatarUpload.single('avatar'), uploadAvatar);
 
+// Chat sessions, each with its own history and context window
+router.get("/:id/sessions", getChatbotSessions);
+router.post("/:id/sessions", createSession);
+router.put("/:id/sessions/:sessionId", updateSession);
+router.delete("/:id/sessions/:sessionId", deleteSession);
+
 // Chatbot messaging
 router.get("/:id/messages", getChatbotMessages);
 router.post("/:id/messages", sendMessageToChatbot);
+router.delete("/:id/messages/stream/:streamId", cancelChatbotReply);
+router.put("/:id/messages/:messageId/feedback", rateChatbotReply);
 
 // Training and customization
+router.get("/:id/training", getTrainingExamples);
 router.post("/:id/training", addTrainingExample);
+router.get("/:id/training/export", exportTrainingExamples);
+router.delete("/:id/training/:exampleId", deleteTrainingExample);
+
+// Rolling summary of a chat session's earlier turns
+router.get("/:id/summary", getChatbotSummary);
+router.delete("/:id/summary", resetChatbotSummary);
+
+// Knowledge base
+router.get("/:id/knowledge", getKnowledge);
+router.post("/:id/knowledge", knowledgeUpload.single('file'), addKnowledge);
+router.post("/:id/knowledge/reindex", reindexKnowledge);
+router.delete("/:id/knowledge/:entryId", deleteKnowledge);
+
+// Tools the chatbot can call
+router.get("/:id/tools", getChatbotToolsConfig);
+router.post("/:id/tools", addChatbotTool);
+router.put("/:id/tools/built-in", updateBuiltInTools);
+router.delete("/:id/tools/:toolId", deleteChatbotTool);
+
+// Outbound webhooks and their delivery log
+router.get("/:id/webhooks", loadWebhookOwner("chatbot"), getWebhooks);
+router.post("/:id/webhooks", loadWebhookOwner("chatbot"), createWebhook);
+router.get("/:id/webhooks/deliveries", loadWebhookOwner("chatbot"), getWebhookDeliveries);
+router.post("/:id/webhooks/deliveries/:deliveryId/replay", loadWebhookOwner("chatbot"), replayDelivery);
+router.put("/:id/webhooks/:webhookId", loadWebhookOwner("chatbot"), updateWebhook);
+router.delete("/:id/webhooks/:webhookId", loadWebhookOwner("chatbot"), deleteWebhook);
+
+// Marketplace listing
+router.post("/:id/publish", publishChatbot);
+router.delete("/:id/publish", unpublishChatbot);
+
+// Version history
+router.get("/:id/versions", getChatbotVersions);
+router.get("/:id/versions/diff", diffChatbotVersions);
+router.get("/:id/versions/:version", getChatbotVersion);
+router.post("/:id/versions/:version/rollback", rollbackChatbot);
+
+// Live provider health check
+router.post("/:id/health-check", runChatbotHealthCheck);
+
+// Provider API keys: rotate the primary, manage failover backups
+router.get("/:id/api-keys", getApiKeys);
+router.put("/:id/api-keys/primary", rotateApiKey);
+router.post("/:id/api-keys", addBackupApiKey);
+router.put("/:id/api-keys/:keyId", updateBackupApiKey);
+router.delete("/:id/api-keys/:keyId", deleteBackupApiKey);
+router.post("/:id/api-keys/:keyId/promote", promoteBackupApiKey);
+
+// Blocked prompts and replies
+router.get("/:id/moderation-logs", getModerationLogs);
+
+// Prompt experiments
+router.get("/:id/experiments", getExperiments);
+router.post("/:id/experiments", createExperiment);
+router.post("/:id/experiments/:experimentId/start", startExperiment);
+router.post("/:id/experiments/:experimentId/stop", stopExperiment);
+router.delete("/:id/experiments/:experimentId", deleteExperiment);
 
 // Analytics
 router.get("/:id/analytics", getChatbotAnalytics);
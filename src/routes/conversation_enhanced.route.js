@@ -7,8 +7,23 @@ import {
   leaveConversation,
   updateConversation,
   markAsRead,
-  getConversationDetails
+  getConversationDetails,
+  getConversationBots,
+  addConversationBot,
+  updateConversationBot,
+  removeConversationBot,
+  sendConversationMessage,
+  deleteConversationMessage
 } from "../controllers/conversation_enhanced.controller.js";
+import {
+  loadWebhookOwner,
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  replayDelivery
+} from "../controllers/webhook.controller.js";
 
 const router = express.Router();
 
@@ -36,5 +51,25 @@ router.post("/:id/leave", leaveConversation);
 // POST /api/conversations/:id/read - Mark conversation as read
 router.post("/:id/read", markAsRead);
 
+// POST /api/v2/conversations/:id/messages - Send a message; bot members may reply
+router.post("/:id/messages", sendConversationMessage);
+
+// DELETE /api/v2/conversations/:id/messages/:messageId - Delete your message for everyone
+router.delete("/:id/messages/:messageId", deleteConversationMessage);
+
+// Chatbot members of a group
+router.get("/:id/bots", getConversationBots);
+router.post("/:id/bots", addConversationBot);
+router.put("/:id/bots/:chatbotId", updateConversationBot);
+router.delete("/:id/bots/:chatbotId", removeConversationBot);
+
+// Outbound webhooks and their delivery log (group admins only)
+router.get("/:id/webhooks", loadWebhookOwner("conversation"), getWebhooks);
+router.post("/:id/webhooks", loadWebhookOwner("conversation"), createWebhook);
+router.get("/:id/webhooks/deliveries", loadWebhookOwner("conversation"), getWebhookDeliveries);
+router.post("/:id/webhooks/deliveries/:deliveryId/replay", loadWebhookOwner("conversation"), replayDelivery);
+router.put("/:id/webhooks/:webhookId", loadWebhookOwner("conversation"), updateWebhook);
+router.delete("/:id/webhooks/:webhookId", loadWebhookOwner("conversation"), deleteWebhook);
+
 export default router;
 
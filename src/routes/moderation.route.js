@@ -0,0 +1,31 @@
+import express from "express";
+import { protectRoute, requireRole } from "../middleware/auth.middleware.js";
+import {
+  getReportQueue,
+  getReport,
+  assignReport,
+  resolveReport,
+  dismissReport,
+  suspendUser,
+  banUser,
+  reinstateUser
+} from "../controllers/moderation.controller.js";
+
+const router = express.Router();
+
+// All routes require an authenticated moderator or admin
+router.use(protectRoute, requireRole("moderator", "admin"));
+
+// User report review queue
+router.get("/reports", getReportQueue);
+router.get("/reports/:id", getReport);
+router.put("/reports/:id/assign", assignReport);
+router.post("/reports/:id/resolve", resolveReport);
+router.post("/reports/:id/dismiss", dismissReport);
+
+// Direct account actions
+router.post("/users/:userId/suspend", suspendUser);
+router.post("/users/:userId/ban", banUser);
+router.post("/users/:userId/reinstate", reinstateUser);
+
+export default router;
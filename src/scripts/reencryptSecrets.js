@@ -0,0 +1,119 @@
+import { config } from "dotenv";
+import mongoose from "mongoose";
+import { connectDB } from "../lib/db.js";
+import { needsReencryption, reencrypt } from "../lib/crypto.js";
+import Chatbot from "../models/chatbot.model.js";
+import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
+import ConversationEnhanced from "../models/conversation_enhanced.model.js";
+
+config();
+
+/*
+ * Re-encrypt every stored secret under the active master key (ENCRYPTION_SECRET_KEY / ENCRYPTION_KEY_ID).
+ *
+ * Rotating the master key:
+ *   1. Move the current key to ENCRYPTION_OLD_KEYS ("<oldId>:<hex>") and set the new
+ *      key and a new ENCRYPTION_KEY_ID. Restart the app; it can read both.
+ *   2. npm run reencrypt-secrets -- --dry-run   (see what would change)
+ *   3. npm run reencrypt-secrets
+ *   4. Once it reports nothing left to do, drop the old key from ENCRYPTION_OLD_KEYS.
+ */
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Encrypted fields per collection, as dotted paths of each stored value in a lean document
+const SECRET_SOURCES = [
+  {
+    name: "chatbots (v1)",
+    model: Chatbot,
+    select: "encryptedApiKey",
+    paths: () => ["encryptedApiKey"]
+  },
+  {
+    name: "chatbots",
+    model: ChatbotEnhanced,
+    select: "encryptedApiKey backupApiKeys.encryptedKey integrations.apis.apiKey integrations.webhooks.secret",
+    paths: (doc) => [
+      "encryptedApiKey",
+      ...(doc.backupApiKeys || []).map((_, index) => `backupApiKeys.${index}.encryptedKey`),
+      ...(doc.integrations?.apis || []).map((_, index) => `integrations.apis.${index}.apiKey`),
+      ...(doc.integrations?.webhooks || []).map((_, index) => `integrations.webhooks.${index}.secret`)
+    ]
+  },
+  {
+    name: "conversations",
+    model: ConversationEnhanced,
+    select: "webhooks.secret",
+    query: { "webhooks.0": { $exists: true } },
+    paths: (doc) => (doc.webhooks || []).map((_, index) => `webhooks.${index}.secret`)
+  }
+];
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+const reencryptSource = async ({ name, model, select, query = {}, paths }) => {
+  const counts = { documents: 0, secrets: 0, failed: 0, changedMeanwhile: 0 };
+
+  for await (const doc of model.find(query).select(select).lean().cursor()) {
+    const filter = { _id: doc._id };
+    const $set = {};
+
+    for (const path of paths(doc)) {
+      const ciphertext = getPath(doc, path);
+      if (typeof ciphertext !== "string" || !needsReencryption(ciphertext)) continue;
+
+      try {
+        $set[path] = reencrypt(ciphertext);
+        // Only overwrite the value we read, in case the app changed it meanwhile
+        filter[path] = ciphertext;
+      } catch (error) {
+        counts.failed += 1;
+        console.error(`${name} ${doc._id} ${path}: ${error.message}`);
+      }
+    }
+
+    const secrets = Object.keys($set).length;
+    if (secrets === 0) continue;
+
+    counts.documents += 1;
+    counts.secrets += secrets;
+    if (dryRun) continue;
+
+    // updateOne skips save hooks, so no version bump or health check runs
+    const result = await model.updateOne(filter, { $set });
+    if (result.matchedCount === 0) {
+      counts.changedMeanwhile += 1;
+    }
+  }
+
+  return counts;
+};
+
+const reencryptSecrets = async () => {
+  try {
+    await connectDB();
+
+    let incomplete = false;
+    for (const source of SECRET_SOURCES) {
+      const counts = await reencryptSource(source);
+      console.log(
+        `${source.name}: ${counts.secrets} secret(s) in ${counts.documents} document(s) ${dryRun ? "to re-encrypt" : "re-encrypted"}` +
+        (counts.failed ? `, ${counts.failed} unreadable` : "") +
+        (counts.changedMeanwhile ? `, ${counts.changedMeanwhile} document(s) changed during the run` : "")
+      );
+      incomplete = incomplete || counts.failed > 0 || counts.changedMeanwhile > 0;
+    }
+
+    if (incomplete) {
+      console.log("Some secrets were not re-encrypted; fix the errors above and run the command again.");
+    }
+    process.exitCode = incomplete ? 1 : 0;
+  } catch (error) {
+    console.error("Error re-encrypting secrets:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+reencryptSecrets();
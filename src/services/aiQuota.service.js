@@ -0,0 +1,95 @@
+import AIUsage from "../models/aiUsage.model.js";
+import AIQuota from "../models/aiQuota.model.js";
+
+// Parse an optional numeric limit from the environment; unset or invalid means unlimited
+const readEnvLimit = (name) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : null;
+};
+
+// Quotas reset at UTC midnight, matching the ledger's day keys
+export const getQuotaResetTime = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+/**
+ * Resolve the default-chatbot quota that applies to a user.
+ * A per-user override wins over the global quota, which wins over the environment defaults.
+ */
+export const getEffectiveQuota = async (userId) => {
+  const [userQuota, globalQuota] = await Promise.all([
+    AIQuota.findOne({ userId }).lean(),
+    AIQuota.findOne({ userId: null }).lean()
+  ]);
+
+  const pick = (field, envName) => {
+    if (userQuota && userQuota[field] !== null && userQuota[field] !== undefined) return userQuota[field];
+    if (globalQuota && globalQuota[field] !== null && globalQuota[field] !== undefined) return globalQuota[field];
+    return readEnvLimit(envName);
+  };
+
+  return {
+    dailyTokenLimit: pick("dailyTokenLimit", "DEFAULT_CHATBOT_DAILY_TOKEN_LIMIT"),
+    dailyRequestLimit: pick("dailyRequestLimit", "DEFAULT_CHATBOT_DAILY_REQUEST_LIMIT"),
+    source: userQuota ? "user" : globalQuota ? "global" : "environment"
+  };
+};
+
+/**
+ * Check a user's usage of the shared default chatbot against their quota.
+ * @returns {Promise<{allowed: boolean, exceeded: string[], quota: Object, usage: Object, resetsAt: Date}>}
+ */
+export const checkDefaultChatbotQuota = async (userId) => {
+  const [quota, usage] = await Promise.all([
+    getEffectiveQuota(userId),
+    AIUsage.getDailyTotals(userId, AIUsage.toDayKey(), { isDefaultChatbot: true })
+  ]);
+
+  const exceeded = [];
+  if (quota.dailyTokenLimit !== null && usage.totalTokens >= quota.dailyTokenLimit) {
+    exceeded.push("tokens");
+  }
+  if (quota.dailyRequestLimit !== null && usage.requests >= quota.dailyRequestLimit) {
+    exceeded.push("requests");
+  }
+
+  return {
+    allowed: exceeded.length === 0,
+    exceeded,
+    quota,
+    usage: {
+      requests: usage.requests,
+      totalTokens: usage.totalTokens,
+      remainingRequests: quota.dailyRequestLimit === null ? null : Math.max(0, quota.dailyRequestLimit - usage.requests),
+      remainingTokens: quota.dailyTokenLimit === null ? null : Math.max(0, quota.dailyTokenLimit - usage.totalTokens)
+    },
+    resetsAt: getQuotaResetTime()
+  };
+};
+
+// Send the structured 429 for a user who has used up their quota
+export const sendQuotaExceeded = (res, quotaStatus) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil((quotaStatus.resetsAt.getTime() - Date.now()) / 1000));
+
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    error: "Daily AI quota exceeded",
+    code: "AI_QUOTA_EXCEEDED",
+    exceeded: quotaStatus.exceeded,
+    quota: {
+      dailyTokenLimit: quotaStatus.quota.dailyTokenLimit,
+      dailyRequestLimit: quotaStatus.quota.dailyRequestLimit
+    },
+    usage: quotaStatus.usage,
+    resetsAt: quotaStatus.resetsAt,
+    retryAfterSeconds
+  });
+};
+
+// Record one LLM request in the usage ledger; failures are logged, never fatal to the reply
+export const recordChatbotUsage = async (userId, chatbot, usage) => {
+  try {
+    await AIUsage.recordUsage(userId, chatbot, usage);
+  } catch (error) {
+    console.error("Error recording AI usage:", error);
+  }
+};
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import RefreshToken from "../models/refreshToken.model.js";
+import { generateToken, getAuthCookieOptions } from "../lib/utils.js";
+
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+export const REFRESH_TOKEN_COOKIE = "refreshToken";
+export const DEVICE_ID_COOKIE = "deviceId";
+const DEVICE_ID_TTL_MS = 365 * 24 * 60 * 60 * 1000; // outlives sign-outs, so a returning browser is recognized
+
+// Two tabs refreshing at once present the same token; the slower one inside this window is not treated as theft
+const REUSE_GRACE_MS = 10 * 1000;
+
+// Only the auth routes need the refresh token, so the browser sends it nowhere else
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Safari", /Safari\//]
+];
+const OPERATING_SYSTEMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/]
+];
+
+// "Chrome on Windows" from a user agent; the first match wins, so order matters above
+export const describeDevice = (userAgent = "") => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+};
+
+const DEVICE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// The browser's long-lived device id, handing out a new one when it has none
+const getDeviceId = (req, res) => {
+  const existing = req.cookies?.[DEVICE_ID_COOKIE];
+  const deviceId = DEVICE_ID_PATTERN.test(existing || "") ? existing : crypto.randomUUID();
+  res.cookie(DEVICE_ID_COOKIE, deviceId, {
+    ...getAuthCookieOptions(DEVICE_ID_TTL_MS),
+    path: REFRESH_COOKIE_PATH
+  });
+  return deviceId;
+};
+
+const getDevice = (req, res) => {
+  const userAgent = (req.get("User-Agent") || "").slice(0, 300);
+  return { deviceId: getDeviceId(req, res), label: describeDevice(userAgent), userAgent, ip: req.ip || "" };
+};
+
+const setRefreshCookie = (res, token) => {
+  res.cookie(REFRESH_TOKEN_COOKIE, token, {
+    ...getAuthCookieOptions(REFRESH_TOKEN_TTL_MS),
+    path: REFRESH_COOKIE_PATH
+  });
+};
+
+// Store a new refresh token in the family and hand it to the client
+const issueRefreshToken = async (res, { userId, familyId, device, sessionStartedAt }) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    familyId,
+    device,
+    sessionStartedAt,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  setRefreshCookie(res, token);
+};
+
+/**
+ * Sign a user in on the requesting device: a new refresh token family plus an access token tied to it.
+ * @returns {Promise<{familyId: string, device: Object}>} the family id identifies the device session
+ */
+export const startAuthSession = async (req, res, userId) => {
+  const familyId = crypto.randomUUID();
+  const device = getDevice(req, res);
+  await issueRefreshToken(res, { userId, familyId, device, sessionStartedAt: new Date() });
+  generateToken(userId, res, familyId);
+  return { familyId, device };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token. A token that was
+ * already exchanged is treated as stolen and its whole family is revoked.
+ * @returns {Promise<{userId?: ObjectId, familyId?: string, error?: string}>} error is one of
+ *   REFRESH_TOKEN_INVALID, REFRESH_TOKEN_EXPIRED, REFRESH_TOKEN_REVOKED, REFRESH_TOKEN_REUSED
+ */
+export const rotateRefreshToken = async (req, res, token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return { error: "REFRESH_TOKEN_INVALID" };
+  if (stored.revokedAt) return { error: "REFRESH_TOKEN_REVOKED" };
+  if (stored.expiresAt <= new Date()) return { error: "REFRESH_TOKEN_EXPIRED" };
+
+  const { userId, familyId } = stored;
+  // Tokens issued before sessions were tracked start their session at their own issue time
+  const sessionStartedAt = stored.sessionStartedAt || stored.createdAt;
+
+  // Claim the token atomically so only one request can rotate it
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: null, revokedAt: null },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const current = await RefreshToken.findById(stored._id).lean();
+    if (current?.usedAt && Date.now() - current.usedAt.getTime() < REUSE_GRACE_MS) {
+      // The other request already set the new refresh cookie; this one only needs an access token
+      generateToken(userId, res, familyId);
+      return { userId, familyId };
+    }
+
+    await revokeTokenFamily(familyId, "reuse");
+    console.warn("Refresh token reuse detected, revoked family:", familyId);
+    return { error: "REFRESH_TOKEN_REUSED" };
+  }
+
+  await issueRefreshToken(res, { userId, familyId, device: getDevice(req, res), sessionStartedAt });
+  generateToken(userId, res, familyId);
+  return { userId, familyId };
+};
+
+// Sign a device out: none of the family's refresh tokens or access tokens work any more
+export const revokeTokenFamily = (familyId, reason) =>
+  RefreshToken.updateMany(
+    { familyId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// The family a refresh token belongs to, or null if the token is unknown
+export const findTokenFamily = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) }).select("familyId").lean();
+  return stored?.familyId || null;
+};
+
+// Whether access tokens issued to a family are still good
+export const isTokenFamilyActive = async (familyId) =>
+  !!(await RefreshToken.exists({ familyId, revokedAt: null }));
+
+export const clearAuthCookies = (res) => {
+  res.cookie("jwt", "", getAuthCookieOptions(0));
+  res.cookie(REFRESH_TOKEN_COOKIE, "", { ...getAuthCookieOptions(0), path: REFRESH_COOKIE_PATH });
+};
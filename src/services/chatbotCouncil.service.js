@@ -0,0 +1,153 @@
+import { callLLMApiWithUsage, validateLLMOptions, withTimeout } from "./llm.service.js";
+import { resolveLLMTarget } from "./llmRegistry.service.js";
+import { withApiKeyFailover } from "./chatbotKeys.service.js";
+import { consumeChatbotRateLimit } from "./chatbotRateLimit.service.js";
+import { checkDefaultChatbotQuota, recordChatbotUsage } from "./aiQuota.service.js";
+import { createModerator, getRefusalMessage, logModerationBlock } from "./moderation.service.js";
+
+export const COUNCIL_MIN_MEMBERS = 2;
+export const COUNCIL_MAX_MEMBERS = 6;
+export const COUNCIL_MIN_TIMEOUT = 1000; // ms, per bot
+export const COUNCIL_DEFAULT_TIMEOUT = 30000;
+export const COUNCIL_MAX_TIMEOUT = 120000;
+
+const MAX_ANSWER_LENGTH_FOR_JUDGE = 4000; // characters of each answer shown to the judge
+
+const JUDGE_INSTRUCTIONS = [
+  "You are judging a panel of AI assistants that answered the same question.",
+  "Write the single best answer to the question, combining what the panel got right and correcting what it got wrong.",
+  "If the panel disagrees on something that matters, say so briefly and explain which view you trust and why.",
+  "Do not mention answer numbers; write for the person who asked."
+].join(" ");
+
+// Why a bot can't take part right now, or null when it can. A bot that can answer uses up one message of its rate limit.
+const getUnavailableReason = async (chatbot, userId) => {
+  if (chatbot.healthCheck.status === "critical") {
+    return "Chatbot is currently unavailable";
+  }
+  if (chatbot.isDefault && !(await checkDefaultChatbotQuota(userId)).allowed) {
+    return "Daily AI quota exceeded";
+  }
+
+  const optionProblems = validateLLMOptions(chatbot.llmTarget, chatbot.responseSettings);
+  if (optionProblems.length > 0) {
+    return optionProblems.join("; ");
+  }
+
+  const rateLimit = await consumeChatbotRateLimit(chatbot, userId);
+  if (!rateLimit.allowed) {
+    return `Rate limit exceeded, try again in ${rateLimit.retryAfterSeconds}s`;
+  }
+  return null;
+};
+
+/**
+ * Put the prompt to one chatbot with its own prompt and settings. Never throws;
+ * the outcome is in status: answered, blocked (moderation), skipped, timeout or failed.
+ */
+const askChatbot = async (chatbot, userId, prompt, { systemPrompt, timeout }) => {
+  const { provider, model } = resolveLLMTarget(chatbot.llmTarget);
+  const entry = { chatbotId: chatbot._id, name: chatbot.name, provider, model };
+
+  const unavailable = await getUnavailableReason(chatbot, userId);
+  if (unavailable) {
+    return { ...entry, status: "skipped", error: unavailable };
+  }
+
+  const moderate = createModerator(chatbot);
+  const inputModeration = moderate(prompt);
+  if (inputModeration.blocked) {
+    logModerationBlock({ chatbot, userId, direction: "input", result: inputModeration });
+    return { ...entry, status: "blocked", text: getRefusalMessage(chatbot) };
+  }
+
+  const startTime = Date.now();
+  const reply = withApiKeyFailover(chatbot, (apiKey) => callLLMApiWithUsage(chatbot.llmTarget, apiKey, prompt, [], {
+    systemPrompt,
+    maxTokens: chatbot.responseSettings.maxTokens,
+    temperature: chatbot.responseSettings.temperature,
+    topP: chatbot.responseSettings.topP,
+    frequencyPenalty: chatbot.responseSettings.frequencyPenalty,
+    presencePenalty: chatbot.responseSettings.presencePenalty
+  }));
+
+  try {
+    const { text, usage } = await withTimeout(reply, timeout);
+    const latencyMs = Date.now() - startTime;
+
+    await recordChatbotUsage(userId, chatbot, usage);
+    await chatbot.updateStats(usage.totalTokens, latencyMs);
+
+    const outputModeration = moderate(text);
+    if (outputModeration.blocked) {
+      logModerationBlock({ chatbot, userId, direction: "output", result: outputModeration });
+      return { ...entry, status: "blocked", text: getRefusalMessage(chatbot), latencyMs, usage };
+    }
+
+    return { ...entry, status: "answered", text, latencyMs, usage };
+  } catch (error) {
+    const latencyMs = Date.now() - startTime;
+    if (error.code === "LLM_TIMEOUT") {
+      // The provider keeps generating after we stop waiting, and what it spends still counts against the quota
+      reply
+        .then(({ usage }) => recordChatbotUsage(userId, chatbot, usage))
+        .catch(() => {}); // a late failure used nothing worth recording
+      return { ...entry, status: "timeout", latencyMs, error: `No answer within ${timeout}ms` };
+    }
+
+    console.error(`Council member ${chatbot._id} failed:`, error.message);
+    return { ...entry, status: "failed", latencyMs, error: error.message };
+  }
+};
+
+const buildJudgePrompt = (question, answers) => [
+  `Question:\n${question}`,
+  ...answers.map((answer, index) =>
+    `Answer ${index + 1} (${answer.name}, ${answer.model}):\n${answer.text.slice(0, MAX_ANSWER_LENGTH_FOR_JUDGE)}`
+  ),
+  "Write the best answer to the question."
+].join("\n\n");
+
+const sumUsage = (entries) => entries.reduce((sum, entry) => ({
+  promptTokens: sum.promptTokens + (entry?.usage?.promptTokens || 0),
+  completionTokens: sum.completionTokens + (entry?.usage?.completionTokens || 0),
+  totalTokens: sum.totalTokens + (entry?.usage?.totalTokens || 0)
+}), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+/**
+ * Ask several chatbots the same question in parallel, each with its own timeout,
+ * then optionally have a judge bot synthesize one answer from the ones that came back.
+ * @param {Object} params - {userId, chatbots, judge, prompt, timeout}
+ * @returns {Promise<{prompt: string, answers: Array, synthesis: Object|null, totalLatencyMs: number, usage: Object}>}
+ */
+export const askCouncil = async ({ userId, chatbots, judge = null, prompt, timeout = COUNCIL_DEFAULT_TIMEOUT }) => {
+  const startTime = Date.now();
+
+  const answers = await Promise.all(chatbots.map(chatbot =>
+    askChatbot(chatbot, userId, prompt, { systemPrompt: chatbot.fullSystemPrompt, timeout })
+  ));
+
+  let synthesis = null;
+  if (judge) {
+    const answered = answers.filter(answer => answer.status === "answered");
+    synthesis = answered.length === 0
+      ? {
+          chatbotId: judge._id,
+          name: judge.name,
+          status: "skipped",
+          error: "No answers to synthesize"
+        }
+      : await askChatbot(judge, userId, buildJudgePrompt(prompt, answered), {
+          systemPrompt: `${judge.fullSystemPrompt}\n\n${JUDGE_INSTRUCTIONS}`,
+          timeout
+        });
+  }
+
+  return {
+    prompt,
+    answers,
+    synthesis,
+    totalLatencyMs: Date.now() - startTime,
+    usage: sumUsage([...answers, synthesis])
+  };
+};
@@ -0,0 +1,123 @@
+import MessageEnhanced from "../models/message_enhanced.model.js";
+import { validateLLMOptions } from "./llm.service.js";
+
+const VARIANT_KEY_PATTERN = /^[a-zA-Z0-9_-]{1,30}$/;
+const MAX_VARIANTS = 5;
+const RESPONSE_SETTING_KEYS = ["maxTokens", "temperature", "topP", "frequencyPenalty", "presencePenalty"];
+
+/**
+ * Check a list of experiment variants against the chatbot's model.
+ * @returns {string[]} problems, empty when the variants are usable
+ */
+export const validateExperimentVariants = (chatbot, variants) => {
+  if (!Array.isArray(variants) || variants.length < 2) {
+    return ["An experiment needs at least two variants"];
+  }
+  if (variants.length > MAX_VARIANTS) {
+    return [`An experiment can have at most ${MAX_VARIANTS} variants`];
+  }
+
+  const problems = [];
+  const keys = new Set();
+
+  variants.forEach((variant, index) => {
+    const label = variant?.key ? `Variant ${variant.key}` : `Variant ${index + 1}`;
+
+    if (!VARIANT_KEY_PATTERN.test(variant?.key || "")) {
+      problems.push(`${label}: key must be 1-30 letters, digits, - or _`);
+    } else if (keys.has(variant.key)) {
+      problems.push(`${label}: duplicate key`);
+    }
+    keys.add(variant?.key);
+
+    if (variant?.weight !== undefined && (!Number.isInteger(variant.weight) || variant.weight < 1 || variant.weight > 100)) {
+      problems.push(`${label}: weight must be a whole number from 1 to 100`);
+    }
+
+    const unknownSettings = Object.keys(variant?.responseSettings || {})
+      .filter(key => !RESPONSE_SETTING_KEYS.includes(key));
+    if (unknownSettings.length > 0) {
+      problems.push(`${label}: unknown response settings ${unknownSettings.join(", ")}`);
+    }
+
+    // The variant's settings are merged over the bot's, so check the merged result
+    validateLLMOptions(chatbot.llmTarget, chatbot.getResponseSettings(variant))
+      .forEach(problem => problems.push(`${label}: ${problem}`));
+  });
+
+  return problems;
+};
+
+// Keep only the fields a variant may set
+export const toExperimentVariant = (variant) => ({
+  key: variant.key,
+  systemPrompt: variant.systemPrompt,
+  customInstructions: variant.customInstructions,
+  responseSettings: Object.fromEntries(
+    RESPONSE_SETTING_KEYS
+      .filter(key => variant.responseSettings?.[key] !== undefined)
+      .map(key => [key, variant.responseSettings[key]])
+  ),
+  weight: variant.weight ?? 1
+});
+
+/**
+ * Per-variant outcomes of a chatbot's experiments: replies, users, average response
+ * time and token use, and satisfaction (share of thumbs-up among rated replies).
+ * Only direct chats are assigned to variants; group replies are not counted.
+ */
+export const getExperimentAnalytics = async (chatbot) => {
+  if (chatbot.experiments.length === 0) return [];
+
+  const rows = await MessageEnhanced.aggregate([
+    {
+      $match: {
+        senderId: chatbot._id,
+        "aiMetadata.experiment.experimentId": { $in: chatbot.experiments.map(experiment => experiment._id) }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          experimentId: "$aiMetadata.experiment.experimentId",
+          variantKey: "$aiMetadata.experiment.variantKey"
+        },
+        replies: { $sum: 1 },
+        users: { $addToSet: "$receiverId" },
+        avgResponseTime: { $avg: "$aiMetadata.responseTime" },
+        avgTokens: { $avg: "$aiMetadata.usage.totalTokens" },
+        totalTokens: { $sum: "$aiMetadata.usage.totalTokens" },
+        thumbsUp: { $sum: { $cond: [{ $eq: ["$aiMetadata.feedback.rating", "up"] }, 1, 0] } },
+        thumbsDown: { $sum: { $cond: [{ $eq: ["$aiMetadata.feedback.rating", "down"] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const byVariant = new Map(rows.map(row => [`${row._id.experimentId}:${row._id.variantKey}`, row]));
+
+  return chatbot.experiments.map(experiment => ({
+    _id: experiment._id,
+    name: experiment.name,
+    status: experiment.status,
+    startedAt: experiment.startedAt,
+    endedAt: experiment.endedAt,
+    winnerKey: experiment.winnerKey,
+    variants: experiment.variants.map(variant => {
+      const row = byVariant.get(`${experiment._id}:${variant.key}`);
+      const rated = (row?.thumbsUp || 0) + (row?.thumbsDown || 0);
+
+      return {
+        key: variant.key,
+        weight: variant.weight,
+        replies: row?.replies || 0,
+        users: row?.users.length || 0,
+        avgResponseTime: row ? Math.round(row.avgResponseTime || 0) : null,
+        avgTokens: row ? Math.round(row.avgTokens || 0) : null,
+        totalTokens: row?.totalTokens || 0,
+        thumbsUp: row?.thumbsUp || 0,
+        thumbsDown: row?.thumbsDown || 0,
+        satisfaction: rated > 0 ? Math.round((row.thumbsUp / rated) * 1000) / 1000 : null
+      };
+    })
+  }));
+};
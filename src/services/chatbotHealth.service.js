@@ -0,0 +1,157 @@
+import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
+import { emitToUser } from "../lib/realtime.js";
+import { checkLLMModel, withTimeout } from "./llm.service.js";
+import { getChatbotApiKeys, getProviderErrorStatus, withApiKeyFailover } from "./chatbotKeys.service.js";
+
+const PROBE_TIMEOUT = 15000; // ms
+const WORKER_INTERVAL = 10 * 60 * 1000; // how often each bot is probed
+const WORKER_BATCH_SIZE = 50;
+
+// Provider error -> probe errorType, from the HTTP status when there is one
+const classifyProbeError = (error) => {
+  const cause = error.cause || error;
+  const status = cause.response?.status ?? cause.status ?? cause.statusCode;
+  const message = cause.response?.data?.error?.message || cause.message || error.message;
+
+  if (error.code === "LLM_TIMEOUT" || cause.code === "ECONNABORTED" || cause.code === "ETIMEDOUT") {
+    return { errorType: "timeout", message: "Provider did not answer in time" };
+  }
+  if (status === 401 || status === 403 || /api[ _-]?key|unauthori[sz]ed|permission denied/i.test(message)) {
+    return { errorType: "auth", message };
+  }
+  if (status === 429) {
+    return { errorType: "rate_limit", message };
+  }
+  if (status >= 500 || ["ECONNREFUSED", "ENOTFOUND", "ECONNRESET", "EAI_AGAIN"].includes(cause.code)) {
+    return { errorType: "unavailable", message };
+  }
+  if (status >= 400) {
+    return { errorType: "bad_request", message };
+  }
+  return { errorType: "unknown", message };
+};
+
+/**
+ * Check that the chatbot's model is reachable, trying its keys the way replies do, and time it.
+ * The check lists the model instead of generating, so it costs no tokens. Never throws.
+ * Pass checkModel to replace the provider call (e.g. to run offline).
+ * @returns {Promise<{ok: boolean, checkedAt: Date, latencyMs: number, rejectedKeys: string[], errorType?: string, message?: string}>}
+ */
+export const probeChatbot = async (chatbot, { checkModel = checkLLMModel, timeout = PROBE_TIMEOUT } = {}) => {
+  const startTime = Date.now();
+  // Labels of the keys the provider refused, so a dead primary shows even when a backup answers
+  const rejectedKeys = [];
+
+  try {
+    const keyLabels = getChatbotApiKeys(chatbot).map(key => key.label);
+    let attempt = 0;
+
+    await withTimeout(
+      withApiKeyFailover(chatbot, async (apiKey) => {
+        const label = keyLabels[attempt++];
+        try {
+          return await checkModel(chatbot.llmTarget, apiKey);
+        } catch (error) {
+          if ([401, 403].includes(getProviderErrorStatus(error))) rejectedKeys.push(label);
+          throw error;
+        }
+      }),
+      timeout
+    );
+
+    return { ok: true, checkedAt: new Date(), latencyMs: Date.now() - startTime, rejectedKeys };
+  } catch (error) {
+    return {
+      ok: false,
+      checkedAt: new Date(),
+      latencyMs: Date.now() - startTime,
+      rejectedKeys,
+      ...classifyProbeError(error)
+    };
+  }
+};
+
+// Tell the owner, if online, that their bot's health changed for the worse
+const notifyOwner = (chatbot, previousStatus) => {
+  if (!chatbot.ownerId) return;
+
+  emitToUser(chatbot.ownerId, "chatbotHealthChanged", {
+    chatbotId: chatbot._id,
+    chatbotName: chatbot.name,
+    previousStatus,
+    status: chatbot.healthCheck.status,
+    issues: chatbot.healthCheck.issues,
+    checkedAt: chatbot.healthCheck.lastCheck
+  });
+};
+
+const SEVERITY = { healthy: 0, warning: 1, critical: 2 };
+
+/**
+ * Probe one chatbot, record the result in healthCheck and notify the owner if it got worse.
+ * @returns {Promise<ChatbotEnhanced>}
+ */
+export const checkChatbotHealth = async (chatbot, { probe = probeChatbot } = {}) => {
+  const previousStatus = chatbot.healthCheck?.status || "healthy";
+
+  const result = await probe(chatbot);
+  await chatbot.performHealthCheck(result);
+
+  if (SEVERITY[chatbot.healthCheck.status] > SEVERITY[previousStatus]) {
+    notifyOwner(chatbot, previousStatus);
+  }
+  return chatbot;
+};
+
+/**
+ * Probe every active chatbot that hasn't been probed within the interval, oldest first.
+ * @returns {Promise<number>} how many chatbots were probed
+ */
+export const runHealthChecks = async ({ probe = probeChatbot, interval = WORKER_INTERVAL, batchSize = WORKER_BATCH_SIZE } = {}) => {
+  const dueBefore = new Date(Date.now() - interval);
+  const chatbots = await ChatbotEnhanced.find({
+    status: "active",
+    $or: [
+      { "healthCheck.probe.checkedAt": { $exists: false } },
+      { "healthCheck.probe.checkedAt": { $lte: dueBefore } }
+    ]
+  })
+    .sort({ "healthCheck.probe.checkedAt": 1 })
+    .limit(batchSize);
+
+  for (const chatbot of chatbots) {
+    try {
+      await checkChatbotHealth(chatbot, { probe });
+    } catch (error) {
+      console.error(`Error checking health of chatbot ${chatbot._id}:`, error);
+    }
+  }
+  return chatbots.length;
+};
+
+let workerTimer = null;
+
+// Start the background probing loop (idempotent); pass probe to replace the provider calls
+export const startHealthCheckWorker = ({ interval = WORKER_INTERVAL, probe = probeChatbot } = {}) => {
+  if (workerTimer) return;
+
+  let running = false;
+  // Wake up more often than the probe interval so new bots are checked soon after creation
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runHealthChecks({ probe, interval });
+    } catch (error) {
+      console.error("Error running chatbot health checks:", error);
+    } finally {
+      running = false;
+    }
+  }, Math.min(interval, 60 * 1000));
+  workerTimer.unref();
+};
+
+export const stopHealthCheckWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
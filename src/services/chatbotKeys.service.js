@@ -0,0 +1,87 @@
+import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
+import { decrypt } from "../lib/crypto.js";
+
+// Provider answers that mean "this key can't be used right now", so the next key may succeed
+const FAILOVER_STATUSES = [401, 403, 429];
+const MAX_CAUSE_DEPTH = 5;
+
+/**
+ * HTTP status of a provider error, looking through wrapped errors (llm.service keeps the provider error as cause).
+ * @returns {number|undefined}
+ */
+export const getProviderErrorStatus = (error) => {
+  let current = error;
+  for (let depth = 0; current && depth < MAX_CAUSE_DEPTH; depth++) {
+    const status = current.response?.status ?? current.status ?? current.statusCode;
+    if (Number.isInteger(status)) return status;
+    current = current.cause;
+  }
+  return undefined;
+};
+
+// Last four characters of a key, enough for an owner to recognize it
+export const maskApiKey = (apiKey = "") => (apiKey.length > 8 ? `••••${apiKey.slice(-4)}` : "••••");
+
+/**
+ * The keys a chatbot's provider calls are tried with, in order: the primary key,
+ * then the active backup keys. The shared default bot runs on our own key only.
+ * @returns {Array<{apiKey: string, backupId: ObjectId|null, label: string}>}
+ */
+export const getChatbotApiKeys = (chatbot) => {
+  if (chatbot.isDefault) {
+    return [{ apiKey: process.env.DEFAULT_GEMINI_API_KEY, backupId: null, label: "default" }];
+  }
+
+  const keys = [{ apiKey: decrypt(chatbot.encryptedApiKey), backupId: null, label: "primary" }];
+
+  for (const backup of chatbot.backupApiKeys || []) {
+    if (!backup.isActive) continue;
+    try {
+      keys.push({ apiKey: decrypt(backup.encryptedKey), backupId: backup._id, label: backup.label || "backup" });
+    } catch (error) {
+      // An unreadable backup shouldn't take down a bot whose other keys still work
+      console.error(`Skipping unreadable backup key ${backup._id} of chatbot ${chatbot._id}:`, error.message);
+    }
+  }
+  return keys;
+};
+
+// Usage bookkeeping on a backup key; written directly so it never races the caller's own save
+const recordBackupKeyUse = (chatbot, backupId, fields) => {
+  const $set = Object.fromEntries(Object.entries(fields).map(([field, value]) => [`backupApiKeys.$.${field}`, value]));
+  ChatbotEnhanced.updateOne({ _id: chatbot._id, "backupApiKeys._id": backupId }, { $set })
+    .catch(error => console.error("Error recording backup API key use:", error));
+};
+
+/**
+ * Run a provider call with the chatbot's keys, moving on to the next key when the
+ * provider rejects one (401/403) or rate limits it (429). Other errors, and a
+ * failure on the last key, are thrown as usual.
+ * Pass canFailover to refuse a retry once the call has had visible effects
+ * (streamed tokens, executed tools).
+ * @param {(apiKey: string) => Promise<any>} call
+ * @returns {Promise<any>} the call's result
+ */
+export const withApiKeyFailover = async (chatbot, call, { canFailover = () => true } = {}) => {
+  const keys = getChatbotApiKeys(chatbot);
+
+  for (let index = 0; ; index++) {
+    const key = keys[index];
+    try {
+      const result = await call(key.apiKey);
+      if (key.backupId) recordBackupKeyUse(chatbot, key.backupId, { lastUsedAt: new Date() });
+      return result;
+    } catch (error) {
+      const status = getProviderErrorStatus(error);
+      if (key.backupId && status) {
+        recordBackupKeyUse(chatbot, key.backupId, { lastFailureAt: new Date(), lastFailureStatus: status });
+      }
+
+      const isLastKey = index === keys.length - 1;
+      if (isLastKey || !FAILOVER_STATUSES.includes(status) || !canFailover(error)) {
+        throw error;
+      }
+      console.warn(`Chatbot ${chatbot._id}: ${key.label} API key failed with ${status}, trying the next key`);
+    }
+  }
+};
@@ -0,0 +1,118 @@
+import ChatbotSession from "../models/chatbotSession.model.js";
+import MessageEnhanced from "../models/message_enhanced.model.js";
+import { callLLMApiWithUsage } from "./llm.service.js";
+import { recordChatbotUsage } from "./aiQuota.service.js";
+import { withApiKeyFailover } from "./chatbotKeys.service.js";
+
+const SUMMARY_BATCH_SIZE = 6; // messages past the memory window before a summary run is worth it
+const MAX_MESSAGES_PER_RUN = 60;
+const MAX_MESSAGE_LENGTH = 1000; // characters of each message shown to the summarizer
+const SUMMARY_MAX_TOKENS = 400;
+
+const SUMMARY_SYSTEM_PROMPT = [
+  "You maintain a running summary of a conversation between a user and an AI assistant.",
+  "Merge the new turns into the current summary.",
+  "Keep every durable fact: names, preferences, decisions, open questions and commitments.",
+  "Drop greetings and small talk. Write at most 200 words in the third person, with no preamble."
+].join(" ");
+
+// Sessions currently being summarized, so overlapping replies don't summarize the same turns twice
+const summarizing = new Set();
+
+/**
+ * Fold the messages that have scrolled out of the chatbot's memory window into the
+ * session's summary, using the bot's own model. Runs in the background after a reply;
+ * failures are logged and retried on the next reply.
+ * @returns {Promise<ChatbotSession|null>}
+ */
+export const refreshConversationSummary = async ({ chatbot, userId, sessionId }) => {
+  if (!chatbot.contextSettings.useContext || !chatbot.capabilities.canRememberConversations) {
+    return null;
+  }
+
+  const key = sessionId.toString();
+  if (summarizing.has(key)) return null;
+  summarizing.add(key);
+
+  try {
+    const session = await ChatbotSession.findById(sessionId).select("memory");
+    if (!session) return null;
+
+    const { memory } = session;
+    const filter = { sessionId, createdAt: { $gt: memory.summarizedThrough } };
+
+    // Only the messages older than the newest memoryLength ones have left the window
+    const pending = await MessageEnhanced.countDocuments(filter);
+    const overflow = pending - chatbot.contextSettings.memoryLength;
+    if (overflow < SUMMARY_BATCH_SIZE) {
+      return session;
+    }
+
+    const batch = await MessageEnhanced.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(Math.min(overflow, MAX_MESSAGES_PER_RUN))
+      .select("senderModel text createdAt")
+      .lean();
+
+    const transcript = batch
+      .filter(message => message.text)
+      .map(message => {
+        const role = message.senderModel === "Chatbot" ? "Assistant" : "User";
+        return `${role}: ${message.text.slice(0, MAX_MESSAGE_LENGTH)}`;
+      })
+      .join("\n");
+
+    let summary = memory.summary;
+    if (transcript) {
+      const prompt = [
+        memory.summary ? `Current summary:\n${memory.summary}` : "There is no summary yet.",
+        `New conversation turns:\n${transcript}`,
+        "Write the updated summary."
+      ].join("\n\n");
+
+      const { text, usage } = await withApiKeyFailover(chatbot, (apiKey) =>
+        callLLMApiWithUsage(chatbot.llmTarget, apiKey, prompt, [], {
+          systemPrompt: SUMMARY_SYSTEM_PROMPT,
+          maxTokens: SUMMARY_MAX_TOKENS,
+          temperature: 0.2
+        })
+      );
+      await recordChatbotUsage(userId, chatbot, usage);
+      summary = text.trim();
+    }
+
+    // Skip the write if the user reset the summary while we were working
+    return await ChatbotSession.findOneAndUpdate(
+      {
+        _id: sessionId,
+        "memory.summarizedThrough": memory.summarizedThrough,
+        "memory.resetAt": memory.resetAt ?? null
+      },
+      {
+        $set: {
+          "memory.summary": summary,
+          "memory.summarizedThrough": batch[batch.length - 1].createdAt,
+          "memory.lastSummarizedAt": new Date()
+        },
+        $inc: { "memory.summarizedMessageCount": batch.length }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error("Error summarizing chatbot conversation:", error);
+    return null;
+  } finally {
+    summarizing.delete(key);
+  }
+};
+
+/**
+ * Forget a session's summary. Turns already summarized stay summarized, so they are not
+ * folded back in; turns still in the memory window are summarized as usual later.
+ */
+export const resetConversationSummary = (sessionId) =>
+  ChatbotSession.findOneAndUpdate(
+    { _id: sessionId },
+    { $set: { "memory.summary": "", "memory.summarizedMessageCount": 0, "memory.resetAt": new Date() } },
+    { new: true }
+  );
@@ -0,0 +1,127 @@
+import ChatbotRequest from "../models/chatbotRequest.model.js";
+
+// Sliding windows enforced on every user's messages to a chatbot, with the restriction holding each limit
+const RATE_LIMIT_WINDOWS = [
+  { name: "hour", ms: 60 * 60 * 1000, limitField: "maxMessagesPerHour" },
+  { name: "day", ms: 24 * 60 * 60 * 1000, limitField: "maxMessagesPerDay" }
+];
+
+const windowFilter = (chatbot, userId, window, now) => ({
+  chatbotId: chatbot._id,
+  userId,
+  createdAt: { $gt: new Date(now.getTime() - window.ms) }
+});
+
+// When the oldest request still in the window ages out, freeing a slot
+const getWindowResetTime = async (filter, window, skip = 0) => {
+  const request = await ChatbotRequest.findOne(filter)
+    .sort({ createdAt: 1 })
+    .skip(skip)
+    .select("createdAt")
+    .lean();
+  return request ? new Date(request.createdAt.getTime() + window.ms) : null;
+};
+
+const toWindowStatus = (limit, used, resetsAt) => ({
+  limit,
+  used,
+  remaining: Math.max(0, limit - used),
+  resetsAt
+});
+
+/**
+ * Count one message from a user to a chatbot, unless it would go over the bot's
+ * hourly or daily limit for that user. The request is recorded before counting, so
+ * concurrent requests can't both take the last slot; a rejected request is removed again.
+ * @returns {Promise<{allowed: boolean, windows: Object, exceeded?: string[], retryAt?: Date, retryAfterSeconds?: number}>}
+ */
+export const consumeChatbotRateLimit = async (chatbot, userId) => {
+  const request = await ChatbotRequest.create({ chatbotId: chatbot._id, userId });
+  const now = request.createdAt;
+
+  const counts = await Promise.all(RATE_LIMIT_WINDOWS.map(window =>
+    ChatbotRequest.countDocuments(windowFilter(chatbot, userId, window, now))
+  ));
+
+  const exceeded = RATE_LIMIT_WINDOWS
+    .map((window, index) => ({ window, limit: chatbot.restrictions[window.limitField], count: counts[index] }))
+    .filter(({ limit, count }) => count > limit);
+
+  if (exceeded.length === 0) {
+    const windows = {};
+    await Promise.all(RATE_LIMIT_WINDOWS.map(async (window, index) => {
+      const resetsAt = await getWindowResetTime(windowFilter(chatbot, userId, window, now), window);
+      windows[window.name] = toWindowStatus(chatbot.restrictions[window.limitField], counts[index], resetsAt);
+    }));
+    return { allowed: true, windows };
+  }
+
+  await ChatbotRequest.deleteOne({ _id: request._id });
+
+  // A slot opens once enough of the other requests in the window have aged out
+  const windows = {};
+  let retryAt = now;
+  await Promise.all(RATE_LIMIT_WINDOWS.map(async (window, index) => {
+    const limit = chatbot.restrictions[window.limitField];
+    const others = counts[index] - 1;
+    const filter = { ...windowFilter(chatbot, userId, window, now), _id: { $ne: request._id } };
+
+    const resetsAt = await getWindowResetTime(filter, window, Math.max(0, others - limit));
+    windows[window.name] = toWindowStatus(limit, others, resetsAt);
+    if (others >= limit && resetsAt && resetsAt > retryAt) retryAt = resetsAt;
+  }));
+
+  return {
+    allowed: false,
+    exceeded: exceeded.map(({ window }) => window.name),
+    windows,
+    retryAt,
+    retryAfterSeconds: Math.max(1, Math.ceil((retryAt.getTime() - now.getTime()) / 1000))
+  };
+};
+
+/**
+ * A user's current usage of a chatbot's rate limits, without counting a request.
+ * @returns {Promise<Object>} per-window {limit, used, remaining, resetsAt}
+ */
+export const getChatbotRateLimitStatus = async (chatbot, userId) => {
+  const now = new Date();
+  const windows = {};
+
+  await Promise.all(RATE_LIMIT_WINDOWS.map(async (window) => {
+    const filter = windowFilter(chatbot, userId, window, now);
+    const [used, resetsAt] = await Promise.all([
+      ChatbotRequest.countDocuments(filter),
+      getWindowResetTime(filter, window)
+    ]);
+    windows[window.name] = toWindowStatus(chatbot.restrictions[window.limitField], used, resetsAt);
+  }));
+
+  return windows;
+};
+
+// Remaining-quota headers for each window, e.g. X-RateLimit-Remaining-Hour
+export const setRateLimitHeaders = (res, windows) => {
+  for (const [name, status] of Object.entries(windows)) {
+    const suffix = name.charAt(0).toUpperCase() + name.slice(1);
+    res.set(`X-RateLimit-Limit-${suffix}`, String(status.limit));
+    res.set(`X-RateLimit-Remaining-${suffix}`, String(status.remaining));
+    if (status.resetsAt) {
+      res.set(`X-RateLimit-Reset-${suffix}`, String(Math.ceil(status.resetsAt.getTime() / 1000)));
+    }
+  }
+};
+
+// Send the structured 429 for a user who has hit a chatbot's rate limit
+export const sendRateLimitExceeded = (res, rateLimit) => {
+  setRateLimitHeaders(res, rateLimit.windows);
+  res.set("Retry-After", String(rateLimit.retryAfterSeconds));
+  return res.status(429).json({
+    error: "Rate limit exceeded",
+    code: "CHATBOT_RATE_LIMITED",
+    exceeded: rateLimit.exceeded,
+    limits: rateLimit.windows,
+    retryAt: rateLimit.retryAt,
+    retryAfterSeconds: rateLimit.retryAfterSeconds
+  });
+};
@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+import ChatbotSession from "../models/chatbotSession.model.js";
+import ChatbotMemory from "../models/chatbotMemory.model.js";
+import MessageEnhanced from "../models/message_enhanced.model.js";
+import { emitToUser } from "../lib/realtime.js";
+import { callLLMApiWithUsage } from "./llm.service.js";
+import { withApiKeyFailover } from "./chatbotKeys.service.js";
+import { recordChatbotUsage } from "./aiQuota.service.js";
+
+const MAX_TITLE_LENGTH = 60;
+const MAX_TITLE_SOURCE_LENGTH = 1000; // characters of each side of the first exchange shown to the model
+const LEGACY_SESSION_TITLE = "Earlier conversation";
+
+const TITLE_SYSTEM_PROMPT = [
+  "You name chat conversations.",
+  "Reply with a title of at most six words for the conversation below, in the language it is written in.",
+  "Reply with the title only: no quotes and no trailing punctuation."
+].join(" ");
+
+const cleanTitle = (text = "") =>
+  text
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^(title:\s*)?["'“”‘’*]+|["'“”‘’*.]+$/gi, "")
+    .trim()
+    .slice(0, MAX_TITLE_LENGTH);
+
+/**
+ * Messages from before sessions existed have no sessionId. The first time a pair's
+ * sessions are needed, they are gathered into one session together with the old summary.
+ * @returns {Promise<ChatbotSession|null>} the legacy session, or null if there was no old history
+ */
+const adoptLegacyHistory = async (userId, chatbotId) => {
+  if (await ChatbotSession.exists({ userId, chatbotId })) return null;
+
+  const legacyFilter = {
+    $or: [
+      { senderId: userId, receiverId: chatbotId },
+      { senderId: chatbotId, receiverId: userId }
+    ],
+    sessionId: { $exists: false }
+  };
+  const lastMessage = await MessageEnhanced.findOne(legacyFilter).sort({ createdAt: -1 }).select("createdAt").lean();
+  if (!lastMessage) return null;
+
+  const session = await ChatbotSession.create({
+    userId,
+    chatbotId,
+    title: LEGACY_SESSION_TITLE,
+    titleSource: "auto",
+    lastMessageAt: lastMessage.createdAt
+  });
+  const { modifiedCount } = await MessageEnhanced.updateMany(legacyFilter, { $set: { sessionId: session._id } });
+
+  const legacyMemory = await ChatbotMemory.findOneAndDelete({ userId, chatbotId }).lean();
+  session.messageCount = modifiedCount;
+  if (legacyMemory) {
+    session.memory = {
+      summary: legacyMemory.summary,
+      summarizedThrough: legacyMemory.summarizedThrough,
+      summarizedMessageCount: legacyMemory.summarizedMessageCount,
+      lastSummarizedAt: legacyMemory.lastSummarizedAt,
+      resetAt: legacyMemory.resetAt
+    };
+  }
+  return session.save();
+};
+
+/**
+ * Start a new chat session with a chatbot.
+ * @returns {Promise<ChatbotSession>}
+ */
+export const createChatbotSession = async (userId, chatbotId, { title } = {}) => {
+  // Keep the old history in its own thread rather than folding it into the new one
+  await adoptLegacyHistory(userId, chatbotId);
+
+  return ChatbotSession.create({
+    userId,
+    chatbotId,
+    ...(title ? { title, titleSource: "manual" } : {})
+  });
+};
+
+/**
+ * The session a chatbot message or history request belongs to: the given one, or else
+ * the user's most recently used active session with the bot, started on first use.
+ * @returns {Promise<ChatbotSession|null>} null when sessionId isn't one of the user's sessions with this bot
+ */
+export const resolveChatbotSession = async (userId, chatbotId, sessionId) => {
+  if (sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+    return ChatbotSession.findOne({ _id: sessionId, userId, chatbotId });
+  }
+
+  const current = await ChatbotSession.findOne({ userId, chatbotId, status: "active" }).sort({ lastMessageAt: -1 });
+  if (current) return current;
+
+  return (await adoptLegacyHistory(userId, chatbotId)) || ChatbotSession.create({ userId, chatbotId });
+};
+
+/**
+ * List a user's sessions with a chatbot, including the one holding their history from before sessions.
+ */
+export const listChatbotSessions = async (userId, chatbotId, options = {}) => {
+  await adoptLegacyHistory(userId, chatbotId);
+  return ChatbotSession.getSessionsForUser(userId, chatbotId, options);
+};
+
+/**
+ * Name a session from its first exchange, using the bot's own model and falling back
+ * to the start of the question. Runs in the background; a rename by the user wins.
+ * @returns {Promise<ChatbotSession|null>}
+ */
+export const generateSessionTitle = async ({ chatbot, session, userId, prompt, reply }) => {
+  try {
+    let title = "";
+    try {
+      const exchange = `User: ${prompt.slice(0, MAX_TITLE_SOURCE_LENGTH)}\nAssistant: ${reply.slice(0, MAX_TITLE_SOURCE_LENGTH)}`;
+      const { text, usage } = await withApiKeyFailover(chatbot, (apiKey) =>
+        callLLMApiWithUsage(chatbot.llmTarget, apiKey, exchange, [], {
+          systemPrompt: TITLE_SYSTEM_PROMPT,
+          maxTokens: 30,
+          temperature: 0.3
+        })
+      );
+      await recordChatbotUsage(userId, chatbot, usage);
+      title = cleanTitle(text);
+    } catch (error) {
+      console.error("Error generating chatbot session title:", error.message);
+    }
+    title = title || cleanTitle(prompt);
+    if (!title) return null;
+
+    const updated = await ChatbotSession.findOneAndUpdate(
+      { _id: session._id, titleSource: "default" },
+      { $set: { title, titleSource: "auto" } },
+      { new: true }
+    );
+
+    if (updated) {
+      emitToUser(userId, "chatbotSessionUpdated", {
+        chatbotId: chatbot._id,
+        session: { _id: updated._id, title: updated.title, titleSource: updated.titleSource }
+      });
+    }
+    return updated;
+  } catch (error) {
+    console.error("Error titling chatbot session:", error);
+    return null;
+  }
+};
+
+/**
+ * Count an exchange in its session and, after the first real reply, name the session.
+ * Pass reply: null for refusals and error replies, which shouldn't name a session.
+ * Runs in the background; errors are logged.
+ */
+export const recordSessionExchange = async ({ chatbot, session, userId, prompt, reply = null, messageCount = 2 }) => {
+  try {
+    await ChatbotSession.updateOne(
+      { _id: session._id },
+      { $set: { lastMessageAt: new Date() }, $inc: { messageCount } }
+    );
+
+    if (session.titleSource === "default" && reply) {
+      generateSessionTitle({ chatbot, session, userId, prompt, reply });
+    }
+  } catch (error) {
+    console.error("Error recording chatbot session exchange:", error);
+  }
+};
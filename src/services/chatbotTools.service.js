@@ -0,0 +1,125 @@
+import axios from "axios";
+import MessageEnhanced from "../models/message_enhanced.model.js";
+import { decrypt } from "../lib/crypto.js";
+import { isPublicHttpUrl, publicRequestOptions } from "../lib/urlSafety.js";
+
+const TOOL_TIMEOUT = 10000; // ms per HTTP tool call
+
+// Tool names must be valid function names for every provider
+export const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_-]{0,63}$/;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Tools any chatbot can enable without configuring an endpoint
+const BUILT_IN_TOOLS = {
+  search_messages: {
+    description: "Search the user's own chat messages for a word or phrase. Returns the most recent matches.",
+    parameters: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "Text to look for" },
+        limit: { type: "integer", description: "Maximum number of messages to return (1-20)" }
+      },
+      required: ["query"]
+    },
+    execute: async ({ query, limit = 10 }, { userId }) => {
+      if (!query || typeof query !== "string") {
+        throw new Error("query is required");
+      }
+
+      const messages = await MessageEnhanced.find({
+        $or: [{ senderId: userId }, { receiverId: userId }],
+        text: { $regex: escapeRegex(query), $options: "i" },
+        isDeleted: { $ne: true },
+        "deletedFor.userId": { $ne: userId }
+      })
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Math.max(parseInt(limit, 10) || 10, 1), 20))
+        .select("senderId receiverId text createdAt")
+        .lean();
+
+      return messages.map(message => ({
+        from: message.senderId.toString() === userId.toString() ? "user" : message.senderId.toString(),
+        to: message.receiverId?.toString(),
+        text: message.text,
+        sentAt: message.createdAt
+      }));
+    }
+  },
+
+  get_current_time: {
+    description: "Get the current date and time, optionally in a given IANA time zone such as Europe/Paris.",
+    parameters: {
+      type: "object",
+      properties: {
+        timeZone: { type: "string", description: "IANA time zone name; defaults to UTC" }
+      }
+    },
+    execute: async ({ timeZone = "UTC" } = {}) => {
+      const now = new Date();
+      let formatted;
+      try {
+        formatted = now.toLocaleString("en-US", { timeZone, dateStyle: "full", timeStyle: "long" });
+      } catch {
+        throw new Error(`Unknown time zone: ${timeZone}`);
+      }
+
+      return { iso: now.toISOString(), timeZone, formatted };
+    }
+  }
+};
+
+export const listBuiltInTools = () =>
+  Object.entries(BUILT_IN_TOOLS).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    parameters: tool.parameters
+  }));
+
+// Call a chatbot's HTTP tool: GET sends the arguments as query parameters, POST as a JSON body
+const callHttpTool = async (api, args) => {
+  // Tools saved before endpoints were checked may still point inside the network
+  if (!isPublicHttpUrl(api.endpoint)) {
+    throw new Error(`${api.name} has no public http(s) endpoint`);
+  }
+  const apiKey = api.apiKey ? decrypt(api.apiKey) : "";
+
+  try {
+    const response = await axios.request({
+      url: api.endpoint,
+      method: api.method || "POST",
+      ...(api.method === "GET" ? { params: args } : { data: args }),
+      headers: {
+        ...(apiKey && { "Authorization": `Bearer ${apiKey}` }),
+        "Content-Type": "application/json"
+      },
+      timeout: TOOL_TIMEOUT,
+      ...publicRequestOptions
+    });
+
+    return response.data;
+  } catch (error) {
+    throw new Error(error.response ? `HTTP ${error.response.status} from ${api.name}` : error.message);
+  }
+};
+
+/**
+ * Collect the tools a chatbot has enabled, in the shape the LLM service expects.
+ * @returns {Array<{name: string, description: string, parameters: Object, execute: Function}>}
+ */
+export const getChatbotTools = (chatbot) => {
+  const builtIns = (chatbot.integrations?.builtInTools || [])
+    .filter(name => BUILT_IN_TOOLS[name])
+    .map(name => ({ name, ...BUILT_IN_TOOLS[name] }));
+
+  const apis = (chatbot.integrations?.apis || [])
+    .filter(api => api.isActive !== false && api.endpoint && TOOL_NAME_PATTERN.test(api.name || ""))
+    .map(api => ({
+      name: api.name,
+      description: api.description || `Call the ${api.name} API`,
+      parameters: api.parameters || { type: "object", properties: {} },
+      execute: (args) => callHttpTool(api, args)
+    }));
+
+  return [...builtIns, ...apis];
+};
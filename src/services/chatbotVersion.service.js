@@ -0,0 +1,208 @@
+import ChatbotVersion from "../models/chatbotVersion.model.js";
+import { findProviderForModel } from "./llmRegistry.service.js";
+
+const MAX_CHANGELOG_ENTRIES = 100;
+
+// Configuration fields captured in every snapshot, and how much a change to each bumps the version:
+// switching models is a major change, reshaping behavior a minor one, tuning a patch
+const VERSIONED_FIELDS = {
+  provider: "major",
+  model: "major",
+  baseUrl: "major",
+  systemPrompt: "minor",
+  customInstructions: "minor",
+  personality: "minor",
+  capabilities: "minor",
+  name: "patch",
+  avatarColor: "patch",
+  responseSettings: "patch",
+  restrictions: "patch"
+};
+
+// Long text is summarized in changelogs instead of quoted
+const FIELD_LABELS = {
+  systemPrompt: "system prompt",
+  customInstructions: "custom instructions"
+};
+
+const BUMP_ORDER = ["patch", "minor", "major"];
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Plain copy of a chatbot's versioned configuration.
+ */
+export const getVersionedConfig = (chatbot) => {
+  const source = typeof chatbot.toObject === "function" ? chatbot.toObject() : chatbot;
+  return JSON.parse(JSON.stringify(
+    Object.fromEntries(Object.keys(VERSIONED_FIELDS).map(field => [field, source[field] ?? null]))
+  ));
+};
+
+/**
+ * Field-level differences between two configurations. Nested settings are compared
+ * key by key, so "responseSettings.temperature" is reported rather than the whole object.
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export const diffConfigs = (from = {}, to = {}) => {
+  const changes = [];
+
+  for (const field of Object.keys(VERSIONED_FIELDS)) {
+    const before = from[field] ?? null;
+    const after = to[field] ?? null;
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      for (const key of keys) {
+        if (!isEqual(before[key], after[key])) {
+          changes.push({ field: `${field}.${key}`, from: before[key] ?? null, to: after[key] ?? null });
+        }
+      }
+    } else if (!isEqual(before, after)) {
+      changes.push({ field, from: before, to: after });
+    }
+  }
+
+  return changes;
+};
+
+// Largest bump any of the changes calls for
+const getBumpLevel = (changes) =>
+  changes.reduce((level, change) => {
+    const fieldLevel = VERSIONED_FIELDS[change.field.split(".")[0]] || "patch";
+    return BUMP_ORDER.indexOf(fieldLevel) > BUMP_ORDER.indexOf(level) ? fieldLevel : level;
+  }, "patch");
+
+export const bumpVersion = (version, level) => {
+  const [major, minor, patch] = /^\d+\.\d+\.\d+$/.test(version || "")
+    ? version.split(".").map(Number)
+    : [1, 0, 0];
+
+  if (level === "major") return `${major + 1}.0.0`;
+  if (level === "minor") return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "none";
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "none";
+  return typeof value === "string" ? `"${value}"` : String(value);
+};
+
+/**
+ * One-line, human-readable summary of a diff, e.g.
+ * `Updated system prompt; changed responseSettings.temperature from 0.7 to 0.3`.
+ */
+export const describeChanges = (changes) =>
+  changes.map(({ field, from, to }) => {
+    if (FIELD_LABELS[field]) {
+      if (!to) return `Cleared ${FIELD_LABELS[field]}`;
+      return from ? `Updated ${FIELD_LABELS[field]}` : `Added ${FIELD_LABELS[field]}`;
+    }
+    return `Changed ${field} from ${formatValue(from)} to ${formatValue(to)}`;
+  })
+    .map((entry, index) => index === 0 ? entry : entry.charAt(0).toLowerCase() + entry.slice(1))
+    .join("; ");
+
+const addChangelogEntry = (chatbot, changes) => {
+  chatbot.changelog.push({ version: chatbot.version, changes, date: new Date() });
+  if (chatbot.changelog.length > MAX_CHANGELOG_ENTRIES) {
+    chatbot.changelog = chatbot.changelog.slice(-MAX_CHANGELOG_ENTRIES);
+  }
+};
+
+/**
+ * Snapshot a newly created chatbot as its first version.
+ */
+export const createInitialVersion = async (chatbot, userId) => {
+  addChangelogEntry(chatbot, "Created chatbot");
+  await chatbot.save();
+
+  return ChatbotVersion.create({
+    chatbotId: chatbot._id,
+    version: chatbot.version,
+    config: getVersionedConfig(chatbot),
+    changelog: "Created chatbot",
+    source: "create",
+    createdBy: userId
+  });
+};
+
+/**
+ * Chatbots created before versioning have no snapshots yet; capture their current
+ * configuration so the first recorded change can still be rolled back.
+ */
+export const ensureBaselineVersion = async (chatbot) => {
+  const exists = await ChatbotVersion.exists({ chatbotId: chatbot._id });
+  if (exists) return;
+
+  try {
+    await ChatbotVersion.create({
+      chatbotId: chatbot._id,
+      version: chatbot.version,
+      config: getVersionedConfig(chatbot),
+      changelog: "Configuration before version history was enabled",
+      source: "baseline",
+      createdBy: chatbot.ownerId
+    });
+  } catch (error) {
+    // A concurrent update already wrote the baseline
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Compare the chatbot's (unsaved) configuration with the one it had before, and if anything
+ * changed, bump its version, add a changelog entry, save it and write a snapshot.
+ * @param {object} previousConfig - getVersionedConfig() output from before the changes
+ * @returns {Promise<ChatbotVersion|null>} the new version, or null if nothing changed
+ */
+export const recordChatbotVersion = async (chatbot, previousConfig, { userId, source = "update", rolledBackTo } = {}) => {
+  const config = getVersionedConfig(chatbot);
+  const changes = diffConfigs(previousConfig, config);
+  if (changes.length === 0) {
+    return null;
+  }
+
+  const changelog = rolledBackTo
+    ? `Rolled back to ${rolledBackTo}: ${describeChanges(changes)}`
+    : describeChanges(changes);
+
+  chatbot.version = bumpVersion(chatbot.version, getBumpLevel(changes));
+  addChangelogEntry(chatbot, changelog);
+  await chatbot.save();
+
+  return ChatbotVersion.create({
+    chatbotId: chatbot._id,
+    version: chatbot.version,
+    config,
+    changes,
+    changelog,
+    source,
+    rolledBackTo,
+    createdBy: userId
+  });
+};
+
+/**
+ * Overwrite the chatbot's versioned fields with a snapshot's configuration (not saved).
+ * Fields the snapshot had empty are cleared, so an old baseUrl doesn't outlive a rollback.
+ */
+export const applyVersionConfig = (chatbot, config) => {
+  for (const field of Object.keys(VERSIONED_FIELDS)) {
+    if (field in config) {
+      chatbot.set(field, config[field] ?? undefined);
+    }
+  }
+
+  // Snapshots from before the provider was versioned: pair the model with the provider that serves it
+  if (!("provider" in config)) {
+    const provider = findProviderForModel(config.model);
+    if (provider) {
+      chatbot.set("provider", provider.id);
+    }
+  }
+  return chatbot;
+};
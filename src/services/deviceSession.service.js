@@ -0,0 +1,113 @@
+import RefreshToken from "../models/refreshToken.model.js";
+import { revokeTokenFamily } from "./authToken.service.js";
+import { disconnectSessionSockets, io } from "../lib/socket.js";
+import {
+  disconnectSessionSockets as disconnectEnhancedSessionSockets,
+  io as enhancedIo
+} from "../lib/socket_enhanced.js";
+
+/**
+ * The devices a user is signed in on, most recently active first. A session is a refresh token
+ * family; its live token carries the device the session last refreshed from.
+ * @param {ObjectId} userId
+ * @param {string|null} currentSessionId - the session of the request, flagged as `current`
+ * @returns {Promise<Object[]>}
+ */
+export const listUserSessions = async (userId, currentSessionId) => {
+  const tokens = await RefreshToken.find({
+    userId,
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const seen = new Set();
+  return tokens
+    .filter(({ familyId }) => {
+      if (seen.has(familyId)) return false;
+      seen.add(familyId);
+      return true;
+    })
+    .map((token) => {
+      const current = token.familyId === currentSessionId;
+      return {
+        sessionId: token.familyId,
+        device: token.device?.label || "Unknown device",
+        userAgent: token.device?.userAgent || "",
+        ip: token.device?.ip || "",
+        createdAt: token.sessionStartedAt || token.createdAt,
+        // Access tokens are refreshed every few minutes while a device is in use
+        lastActiveAt: current ? new Date() : token.createdAt,
+        current
+      };
+    });
+};
+
+// Whether the user has an active session with this id
+export const isUserSession = async (userId, sessionId) =>
+  !!(await RefreshToken.exists({ userId, familyId: sessionId, revokedAt: null }));
+
+/**
+ * Sign one device out: revoke its tokens and close its sockets on both socket servers.
+ * @param {string} sessionId
+ * @param {string} reason - a RefreshToken revokedReason
+ */
+export const endSession = async (sessionId, reason) => {
+  await revokeTokenFamily(sessionId, reason);
+  disconnectSessionSockets(sessionId, reason);
+  disconnectEnhancedSessionSockets(sessionId, reason);
+};
+
+/**
+ * Sign the user out of every device except the one keepSessionId belongs to.
+ * @returns {Promise<number>} how many sessions were ended
+ */
+export const endOtherSessions = async (userId, keepSessionId, reason) => {
+  const sessionIds = await RefreshToken.distinct("familyId", {
+    userId,
+    revokedAt: null,
+    ...(keepSessionId && { familyId: { $ne: keepSessionId } })
+  });
+
+  await Promise.all(sessionIds.map((sessionId) => endSession(sessionId, reason)));
+  return sessionIds.length;
+};
+
+/**
+ * Warn the user's other sessions when they sign in from a device they haven't used before.
+ * A device is known by its device id cookie, or, for a browser that didn't keep it, by the same
+ * browser and OS signing in from the same IP. Known devices are the ones in their refresh tokens,
+ * so those of the last 30 days.
+ * @param {ObjectId} userId
+ * @param {{familyId: string, device: Object}} session - what startAuthSession returned
+ * @returns {Promise<boolean>} whether the sign-in was from a new device
+ */
+export const notifyNewDeviceLogin = async (userId, { familyId, device }) => {
+  const otherSessions = { userId, familyId: { $ne: familyId } };
+
+  // A first ever sign-in has nothing to compare against and nobody to warn
+  if (!(await RefreshToken.exists(otherSessions))) return false;
+
+  const knownDevice = await RefreshToken.exists({
+    ...otherSessions,
+    $or: [
+      { "device.deviceId": device.deviceId },
+      { "device.label": device.label, "device.ip": device.ip }
+    ]
+  });
+  if (knownDevice) return false;
+
+  const payload = {
+    sessionId: familyId,
+    device: device.label,
+    userAgent: device.userAgent,
+    ip: device.ip,
+    signedInAt: new Date()
+  };
+  const room = `user_${userId.toString()}`;
+  io.to(room).emit("newDeviceLogin", payload);
+  enhancedIo.to(room).emit("newDeviceLogin", payload);
+  return true;
+};
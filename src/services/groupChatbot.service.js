@@ -0,0 +1,237 @@
+import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
+import ConversationEnhanced from "../models/conversation_enhanced.model.js";
+import MessageEnhanced from "../models/message_enhanced.model.js";
+import User from "../models/user.model.js";
+import { emitToConversation } from "../lib/realtime.js";
+import { callLLMApiWithUsage, validateLLMOptions } from "./llm.service.js";
+import { checkDefaultChatbotQuota, recordChatbotUsage } from "./aiQuota.service.js";
+import { applyCitations, searchKnowledge } from "./knowledge.service.js";
+import { withApiKeyFailover } from "./chatbotKeys.service.js";
+import { consumeChatbotRateLimit } from "./chatbotRateLimit.service.js";
+import { selectFewShotExamples } from "./trainingExamples.service.js";
+import { createModerator, getRefusalMessage, logModerationBlock } from "./moderation.service.js";
+import { dispatchChatbotEvent, dispatchConversationEvent, toWebhookMessage } from "./webhook.service.js";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "@Support Bot" anywhere in the text, not followed by more name characters
+export const isChatbotMentioned = (text = "", chatbot) =>
+  new RegExp(`(^|\\s)@${escapeRegex(chatbot.name)}(?![\\p{L}\\p{N}_])`, "iu").test(text);
+
+const getIdString = (value) => (value?._id || value).toString();
+
+// Name every sender in the recent history so the bot can follow who said what
+const buildGroupTranscript = async (messages, chatbot) => {
+  const userIds = messages.filter(msg => msg.senderModel === "User").map(msg => msg.senderId);
+  const botIds = messages.filter(msg => msg.senderModel === "Chatbot").map(msg => msg.senderId);
+
+  const [users, bots] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select("fullName").lean(),
+    ChatbotEnhanced.find({ _id: { $in: botIds } }).select("name").lean()
+  ]);
+  const names = new Map([
+    ...users.map(user => [user._id.toString(), user.fullName]),
+    ...bots.map(bot => [bot._id.toString(), bot.name]),
+    [chatbot._id.toString(), `You (${chatbot.name})`]
+  ]);
+
+  return messages
+    .filter(msg => msg.text)
+    .map(msg => `${names.get(msg.senderId.toString()) || "Unknown"}: ${msg.text}`)
+    .join("\n");
+};
+
+// Generate, save and broadcast one bot's reply to a group message
+const replyInGroup = async ({ conversation, botMember, chatbot, message, sender }) => {
+  const conversationId = conversation._id.toString();
+  const senderId = getIdString(message.senderId);
+
+  if (chatbot.healthCheck.status === "critical") {
+    return;
+  }
+  if (chatbot.isDefault && !(await checkDefaultChatbotQuota(senderId)).allowed) {
+    return;
+  }
+  if (validateLLMOptions(chatbot.llmTarget, chatbot.responseSettings).length > 0) {
+    return;
+  }
+  // The message that woke the bot counts against its sender's rate limits
+  if (!(await consumeChatbotRateLimit(chatbot, senderId)).allowed) {
+    return;
+  }
+
+  // Bots stay quiet on blocked group messages rather than posting refusals into the room
+  const moderate = createModerator(chatbot);
+  const inputModeration = moderate(message.text);
+  if (inputModeration.blocked) {
+    logModerationBlock({ chatbot, userId: senderId, direction: "input", result: inputModeration, conversationId });
+    return;
+  }
+
+  let transcript = "";
+  if (conversation.hasPermission(chatbot._id, "readHistory")) {
+    const recentMessages = await MessageEnhanced.find({
+      conversationId: conversation._id,
+      _id: { $ne: message._id },
+      isDeleted: { $ne: true }
+    })
+      .sort({ createdAt: -1 })
+      .limit(botMember.botSettings?.historyLength || 20)
+      .select("senderId senderModel text createdAt")
+      .lean();
+    transcript = await buildGroupTranscript(recentMessages.reverse(), chatbot);
+  }
+
+  const knowledgePassages = await searchKnowledge(chatbot._id, message.text);
+  const systemPrompt = [
+    chatbot.fullSystemPrompt,
+    `\n\nYou are ${chatbot.name}, a bot member of the group chat "${conversation.name || "Group"}".`,
+    "Reply to the latest message as a participant in the group. Keep it conversational and concise.",
+    transcript ? `\n\nRecent Group Messages:\n${transcript}\n` : "",
+    chatbot.getContextPrompt([], {
+      knowledgePassages,
+      fewShotExamples: selectFewShotExamples(chatbot, message.text)
+    })
+  ].join(" ");
+
+  emitToConversation(conversationId, "chatbotTyping", {
+    conversationId,
+    chatbotId: chatbot._id,
+    chatbotName: chatbot.name,
+    isTyping: true
+  });
+
+  const startTime = Date.now();
+  try {
+    const { text, usage } = await withApiKeyFailover(chatbot, (apiKey) => callLLMApiWithUsage(
+      chatbot.llmTarget,
+      apiKey,
+      `${sender?.fullName || "A member"}: ${message.text}`,
+      [],
+      {
+        systemPrompt,
+        maxTokens: chatbot.responseSettings.maxTokens,
+        temperature: chatbot.responseSettings.temperature,
+        topP: chatbot.responseSettings.topP,
+        frequencyPenalty: chatbot.responseSettings.frequencyPenalty,
+        presencePenalty: chatbot.responseSettings.presencePenalty
+      }
+    ));
+
+    const responseTime = Date.now() - startTime;
+    const outputModeration = moderate(text);
+    if (outputModeration.blocked) {
+      logModerationBlock({ chatbot, userId: senderId, direction: "output", result: outputModeration, conversationId });
+    }
+    const { text: citedText, citations } = outputModeration.blocked
+      ? { text: getRefusalMessage(chatbot), citations: [] }
+      : applyCitations(text, knowledgePassages);
+
+    const botMessage = new MessageEnhanced({
+      senderId: chatbot._id,
+      senderModel: 'Chatbot',
+      receiverId: conversation._id,
+      receiverModel: 'ConversationEnhanced',
+      conversationId: conversation._id,
+      text: citedText,
+      replyTo: {
+        messageId: message._id,
+        text: message.text.slice(0, 100),
+        senderName: sender?.fullName
+      },
+      aiMetadata: {
+        responseTime,
+        usage,
+        citations,
+        moderation: outputModeration.blocked
+          ? {
+            blocked: true,
+            direction: "output",
+            severity: outputModeration.severity,
+            categories: [...new Set(outputModeration.violations.map(violation => violation.category))]
+          }
+          : undefined
+      },
+      deliveryStatus: {
+        sent: true,
+        sentAt: new Date()
+      }
+    });
+    await botMessage.save();
+    await ConversationEnhanced.updateOne(
+      { _id: conversation._id },
+      { lastMessage: botMessage._id, lastMessageAt: new Date() }
+    );
+
+    emitToConversation(conversationId, "newMessage", {
+      ...botMessage.toObject(),
+      chatbot: {
+        _id: chatbot._id,
+        name: chatbot.name,
+        avatar: chatbot.avatar,
+        avatarColor: chatbot.avatarColor
+      }
+    });
+
+    // The member who triggered the reply pays for it
+    await recordChatbotUsage(senderId, chatbot, usage);
+    await chatbot.updateStats(usage.totalTokens, responseTime);
+
+    dispatchConversationEvent(conversation._id, "message.created", { message: toWebhookMessage(botMessage) });
+    dispatchChatbotEvent(chatbot, "chatbot.replied", {
+      message: toWebhookMessage(botMessage),
+      conversationId,
+      usage
+    });
+  } catch (aiError) {
+    console.error(`Chatbot ${chatbot._id} failed to reply in group ${conversationId}:`, aiError.message);
+
+    chatbot.healthCheck.status = "warning";
+    chatbot.healthCheck.issues.push(`AI API Error: ${aiError.message}`);
+    await chatbot.save();
+  } finally {
+    emitToConversation(conversationId, "chatbotTyping", {
+      conversationId,
+      chatbotId: chatbot._id,
+      chatbotName: chatbot.name,
+      isTyping: false
+    });
+  }
+};
+
+/**
+ * Let the group's bot members answer a new message: each bot replies when @mentioned,
+ * or to every message if its replyMode is "all". Bot messages never trigger bots.
+ * Runs in the background; errors are logged.
+ */
+export const triggerGroupChatbots = async (conversationId, message) => {
+  try {
+    if (message.senderModel !== "User" || !message.text) return;
+
+    const conversation = await ConversationEnhanced.findById(conversationId);
+    if (!conversation?.isGroupChat) return;
+
+    const botMembers = conversation.getBotMembers()
+      .filter(member => conversation.hasPermission(member.userId, "sendMessages"));
+    if (botMembers.length === 0) return;
+
+    const chatbots = await ChatbotEnhanced.find({
+      _id: { $in: botMembers.map(member => member.userId) },
+      status: "active"
+    });
+
+    const sender = message.senderId?.fullName
+      ? message.senderId
+      : await User.findById(message.senderId).select("fullName").lean();
+
+    // One bot at a time, so later bots see earlier bots' replies
+    for (const chatbot of chatbots) {
+      const botMember = conversation.getBotMember(chatbot._id);
+      if (botMember.botSettings?.replyMode === "all" || isChatbotMentioned(message.text, chatbot)) {
+        await replyInGroup({ conversation, botMember, chatbot, message, sender });
+      }
+    }
+  } catch (error) {
+    console.error("Error triggering group chatbots:", error);
+  }
+};
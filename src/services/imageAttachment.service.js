@@ -0,0 +1,97 @@
+import axios from "axios";
+
+export const MAX_IMAGES_PER_MESSAGE = 4;
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB, below both Gemini's and OpenAI's inline limits
+const FETCH_TIMEOUT = 15000; // ms
+const UPLOAD_HOST = "res.cloudinary.com";
+
+// Formats accepted by both Gemini and GPT-4o
+const SUPPORTED_IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+
+const attachmentError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "INVALID_IMAGE_ATTACHMENT";
+  return error;
+};
+
+export const isImageAttachment = (attachment) =>
+  attachment?.type === "image" || attachment?.mimeType?.startsWith("image/");
+
+// Decode a "data:image/png;base64,..." URL
+const fromDataUrl = (url) => {
+  const match = /^data:([^;,]+);base64,(.+)$/s.exec(url);
+  if (!match) {
+    throw attachmentError("Image data URLs must be base64-encoded");
+  }
+  return { mimeType: match[1], data: match[2] };
+};
+
+// Attachment URLs come from the client, so only the app's own Cloudinary uploads are ever fetched
+const isUploadedImageUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" &&
+      url.hostname === UPLOAD_HOST &&
+      !!process.env.CLOUDINARY_CLOUD_NAME &&
+      url.pathname.startsWith(`/${process.env.CLOUDINARY_CLOUD_NAME}/`);
+  } catch {
+    return false;
+  }
+};
+
+const fetchImage = async (url) => {
+  if (!isUploadedImageUrl(url)) {
+    throw attachmentError("Images must be uploaded to the app first");
+  }
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: "arraybuffer",
+      timeout: FETCH_TIMEOUT,
+      maxContentLength: MAX_IMAGE_SIZE,
+      maxRedirects: 0
+    });
+  } catch (error) {
+    throw attachmentError(`Could not fetch image ${url}: ${error.message}`);
+  }
+
+  return {
+    mimeType: response.headers["content-type"]?.split(";")[0].trim(),
+    data: Buffer.from(response.data).toString("base64")
+  };
+};
+
+/**
+ * Turn a message's image attachments into base64 model input.
+ * Attachments are fetched from the app's Cloudinary account; base64 data URLs are used as is.
+ * @returns {Promise<Array<{mimeType: string, data: string}>>}
+ */
+export const loadImageAttachments = async (attachments = []) => {
+  const images = attachments.filter(isImageAttachment);
+  if (images.length > MAX_IMAGES_PER_MESSAGE) {
+    throw attachmentError(`At most ${MAX_IMAGES_PER_MESSAGE} images can be sent in one message`);
+  }
+
+  return Promise.all(images.map(async (attachment) => {
+    if (!attachment.url) {
+      throw attachmentError(`Image ${attachment.originalName || attachment.filename || ""} has no URL`.trim());
+    }
+
+    const image = attachment.url.startsWith("data:")
+      ? fromDataUrl(attachment.url)
+      : await fetchImage(attachment.url);
+
+    // Only the type the image itself declares counts; the client's mimeType field is never trusted
+    const { mimeType } = image;
+    if (!SUPPORTED_IMAGE_TYPES.includes(mimeType)) {
+      throw attachmentError(`Unsupported image type ${mimeType || "unknown"}. Use PNG, JPEG, WebP or GIF`);
+    }
+    if (Buffer.byteLength(image.data, "base64") > MAX_IMAGE_SIZE) {
+      throw attachmentError(`Images must be at most ${MAX_IMAGE_SIZE / (1024 * 1024)}MB`);
+    }
+
+    return { mimeType, data: image.data };
+  }));
+};
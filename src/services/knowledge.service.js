@@ -0,0 +1,206 @@
+import KnowledgeChunk from "../models/knowledgeChunk.model.js";
+
+// BM25 tuning: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const CHUNK_SIZE = 800; // characters
+const CHUNK_OVERLAP = 150; // characters carried over between chunks
+const DEFAULT_PASSAGE_LIMIT = 4;
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "can", "do", "does", "for", "from",
+  "has", "have", "how", "i", "if", "in", "into", "is", "it", "its", "me", "my", "no", "not",
+  "of", "on", "or", "our", "so", "that", "the", "their", "then", "there", "these", "they",
+  "this", "to", "was", "we", "were", "what", "when", "where", "which", "who", "why", "will",
+  "with", "you", "your"
+]);
+
+/**
+ * Split text into lowercase search terms, dropping stop words.
+ * @returns {string[]}
+ */
+export const tokenize = (text = "") =>
+  (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+
+/**
+ * Split a document into overlapping chunks, preferring paragraph and sentence boundaries.
+ * @returns {string[]}
+ */
+export const chunkText = (text = "", { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) => {
+  const normalized = text.replace(/\r\n/g, "\n").trim();
+  if (!normalized) return [];
+  if (normalized.length <= size) return [normalized];
+
+  const chunks = [];
+  let start = 0;
+  while (start < normalized.length) {
+    let end = Math.min(start + size, normalized.length);
+
+    // Back off to the last paragraph or sentence break inside the window
+    if (end < normalized.length) {
+      const window = normalized.slice(start, end);
+      const breakAt = Math.max(window.lastIndexOf("\n\n"), window.lastIndexOf(". "), window.lastIndexOf("\n"));
+      if (breakAt > size / 2) {
+        end = start + breakAt + 1;
+      }
+    }
+
+    chunks.push(normalized.slice(start, end).trim());
+    if (end >= normalized.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks.filter(Boolean);
+};
+
+const countTerms = (terms) => {
+  const frequencies = {};
+  terms.forEach(term => {
+    frequencies[term] = (frequencies[term] || 0) + 1;
+  });
+  return frequencies;
+};
+
+const buildChunk = (chatbotId, entryType, entry, text, position, boost = 1) => {
+  const terms = tokenize(`${entry.title || entry.question || ""} ${text}`);
+  return {
+    chatbotId,
+    entryType,
+    entryId: entry._id,
+    title: entry.title || entry.question || "Untitled",
+    text,
+    position,
+    termFrequencies: countTerms(terms),
+    length: terms.length,
+    boost
+  };
+};
+
+/**
+ * (Re)build the chunks for one knowledge base entry.
+ * @param {string} entryType - "document" or "faq".
+ * @returns {Promise<number>} - Number of chunks indexed.
+ */
+export const indexKnowledgeEntry = async (chatbotId, entryType, entry) => {
+  await KnowledgeChunk.deleteMany({ chatbotId, entryId: entry._id });
+
+  let chunks;
+  if (entryType === "faq") {
+    // FAQs stay whole; higher priority answers rank higher
+    const boost = 1 + 0.1 * Math.max(0, (entry.priority || 1) - 1);
+    chunks = [buildChunk(chatbotId, "faq", entry, `Q: ${entry.question}\nA: ${entry.answer}`, 0, boost)];
+  } else {
+    chunks = chunkText(entry.content).map((text, position) =>
+      buildChunk(chatbotId, "document", entry, text, position)
+    );
+  }
+
+  if (chunks.length > 0) {
+    await KnowledgeChunk.insertMany(chunks);
+  }
+  return chunks.length;
+};
+
+// Drop the chunks of a deleted knowledge base entry
+export const removeKnowledgeEntry = (chatbotId, entryId) =>
+  KnowledgeChunk.deleteMany({ chatbotId, entryId });
+
+/**
+ * Rebuild the whole index for a chatbot from its knowledgeBase.
+ * @returns {Promise<{documents: number, faqs: number, chunks: number}>}
+ */
+export const reindexChatbotKnowledge = async (chatbot) => {
+  await KnowledgeChunk.deleteMany({ chatbotId: chatbot._id });
+
+  let chunks = 0;
+  for (const document of chatbot.knowledgeBase.documents) {
+    chunks += await indexKnowledgeEntry(chatbot._id, "document", document);
+  }
+  for (const faq of chatbot.knowledgeBase.faqs) {
+    chunks += await indexKnowledgeEntry(chatbot._id, "faq", faq);
+  }
+
+  return {
+    documents: chatbot.knowledgeBase.documents.length,
+    faqs: chatbot.knowledgeBase.faqs.length,
+    chunks
+  };
+};
+
+/**
+ * Rank a chatbot's knowledge chunks against a query with BM25.
+ * @returns {Promise<Array<{title: string, text: string, entryType: string, entryId: string, score: number}>>}
+ */
+export const searchKnowledge = async (chatbotId, query, { limit = DEFAULT_PASSAGE_LIMIT } = {}) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  const chunks = await KnowledgeChunk.find({ chatbotId }).lean();
+  if (chunks.length === 0) return [];
+
+  const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length || 1;
+
+  // Document frequency of each query term across the chatbot's chunks
+  const documentFrequency = {};
+  queryTerms.forEach(term => {
+    documentFrequency[term] = chunks.filter(chunk => chunk.termFrequencies?.[term]).length;
+  });
+
+  return chunks
+    .map(chunk => {
+      let score = 0;
+      queryTerms.forEach(term => {
+        const frequency = chunk.termFrequencies?.[term] || 0;
+        if (!frequency) return;
+
+        const df = documentFrequency[term];
+        const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (chunk.length / averageLength));
+        score += idf * (frequency * (BM25_K1 + 1)) / norm;
+      });
+
+      return {
+        title: chunk.title,
+        text: chunk.text,
+        entryType: chunk.entryType,
+        entryId: chunk.entryId,
+        score: score * (chunk.boost || 1)
+      };
+    })
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * Make sure a reply names the knowledge sources it was given.
+ * Appends a "Sources:" line when the model didn't cite any title itself.
+ * @returns {{text: string, footer: string, citations: Array}}
+ */
+export const applyCitations = (replyText, passages = []) => {
+  if (passages.length === 0) {
+    return { text: replyText, footer: "", citations: [] };
+  }
+
+  const titles = [...new Set(passages.map(passage => passage.title))];
+  const cited = titles.filter(title => replyText.includes(title));
+
+  const citations = passages
+    .filter((passage, index) => passages.findIndex(p => p.title === passage.title) === index)
+    .map(passage => ({
+      title: passage.title,
+      entryType: passage.entryType,
+      entryId: passage.entryId,
+      score: passage.score,
+      cited: cited.includes(passage.title)
+    }));
+
+  if (cited.length > 0) {
+    return { text: replyText, footer: "", citations };
+  }
+
+  const footer = `\n\nSources: ${titles.join(", ")}`;
+  return { text: replyText + footer, footer, citations };
+};
@@ -1,132 +1,312 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import axios from "axios";
+import { getLLMProvider, resolveLLMTarget } from "./llmRegistry.service.js";
 
-export const callLLMApi = async (model, apiKey, prompt, history = []) => {
-  try {
-    switch (model) {
-      case "gemini-2.0-flash":
-        return await callGeminiAPI(apiKey, prompt, history);
-      
-      case "gpt-4o":
-        return await callOpenAIAPI(apiKey, prompt, history);
-      
-      case "mistral-large-latest":
-        return await callMistralAPI(apiKey, prompt, history);
-      
-      case "deepseek-chat":
-        return await callDeepSeekAPI(apiKey, prompt, history);
-      
-      default:
-        throw new Error(`Unsupported model: ${model}`);
+const describeTarget = ({ provider, model }) => (provider ? `${provider}/${model}` : model);
+
+/**
+ * Check chatbot response settings against what the target's provider supports.
+ * Provider limits are [min, max] ranges; a null range means the provider rejects the option.
+ * Penalties of 0 are the neutral value and are always accepted.
+ * @param {string|Object} target - Model name or {provider, model, baseUrl}.
+ * @returns {string[]} - One message per unsupported option, empty when all are valid.
+ */
+export const validateLLMOptions = (target, options = {}) => {
+  const resolved = resolveLLMTarget(target);
+  const provider = getLLMProvider(resolved.provider);
+  if (!provider) {
+    return [`Unsupported model: ${describeTarget(resolved)}`];
+  }
+
+  const name = describeTarget(resolved);
+  const problems = [];
+  Object.entries(provider.optionLimits).forEach(([option, range]) => {
+    const value = options[option];
+    if (value === undefined || value === null) return;
+
+    if (!range) {
+      if (value !== 0) {
+        problems.push(`${name} does not support ${option}`);
+      }
+      return;
     }
-  } catch (error) {
-    console.error(`LLM API call failed for model ${model}:`, error.message);
-    throw new Error(`Failed to get response from ${model}: ${error.message}`);
+
+    const [min, max] = range;
+    if (typeof value !== "number" || value < min || value > max) {
+      problems.push(`${name} requires ${option} between ${min} and ${max}, got ${value}`);
+    }
+  });
+
+  return problems;
+};
+
+// Resolve the provider adapter and reject options it can't honor
+const prepareCall = (target, options) => {
+  const resolved = resolveLLMTarget(target);
+  const provider = getLLMProvider(resolved.provider);
+  if (!provider) {
+    throw new Error(`Unsupported model: ${describeTarget(resolved)}`);
   }
+
+  const problems = validateLLMOptions(resolved, options);
+  if (problems.length > 0) {
+    const error = new Error(problems.join("; "));
+    error.code = "UNSUPPORTED_LLM_OPTION";
+    error.statusCode = 400;
+    error.details = problems;
+    throw error;
+  }
+
+  return { provider, resolved };
 };
 
-const callGeminiAPI = async (apiKey, prompt, history) => {
-  const genAI = new GoogleGenerativeAI(apiKey);
-  const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
+// Rough token count (~4 characters per token) for providers that don't report usage
+const estimateTokens = (text = "") => Math.ceil(text.length / 4);
 
-  // Convert history to Gemini format
-  const chatHistory = history.map(msg => ({
-    role: msg.senderId ? "user" : "model",
-    parts: [{ text: msg.text }]
-  }));
+/**
+ * Fill in usage when the provider didn't report it, flagging the counts as estimated.
+ * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, estimated: boolean}}
+ */
+const normalizeUsage = (usage, { prompt, history, options }, replyText) => {
+  if (usage?.totalTokens !== undefined) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.totalTokens || promptTokens + completionTokens,
+      estimated: false
+    };
+  }
+
+  const promptText = [options.systemPrompt, ...history.map(msg => msg.text), prompt].join("\n");
+  const promptTokens = estimateTokens(promptText);
+  const completionTokens = estimateTokens(replyText);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: true
+  };
+};
 
-  const chat = model.startChat({
-    history: chatHistory,
+/**
+ * Reject with an LLM_TIMEOUT error if the call hasn't settled within timeout ms.
+ * The call itself keeps running; its result is just no longer awaited.
+ */
+export const withTimeout = (promise, timeout) => {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeout}ms`);
+      error.code = "LLM_TIMEOUT";
+      reject(error);
+    }, timeout);
   });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
 
-  const result = await chat.sendMessage(prompt);
-  const response = await result.response;
-  return response.text();
+/**
+ * Get a complete reply from the LLM together with its token usage.
+ * @param {string|Object} target - Model name or {provider, model, baseUrl}.
+ * @returns {Promise<{text: string, usage: Object, provider: string, model: string}>}
+ */
+export const callLLMApiWithUsage = async (target, apiKey, prompt, history = [], options = {}) => {
+  const { provider, resolved } = prepareCall(target, options);
+  const name = describeTarget(resolved);
+
+  try {
+    const result = await provider.call({ ...resolved, apiKey, prompt, history, options });
+    // Adapters registered from outside may still return a bare string
+    const { text, usage } = typeof result === "string" ? { text: result } : result;
+
+    return {
+      text,
+      usage: normalizeUsage(usage, { prompt, history, options }, text),
+      provider: resolved.provider,
+      model: resolved.model
+    };
+  } catch (error) {
+    console.error(`LLM API call failed for model ${name}:`, error.message);
+    // Keep the provider error so callers can tell a bad key from an outage
+    throw new Error(`Failed to get response from ${name}: ${error.message}`, { cause: error });
+  }
 };
 
-const callOpenAIAPI = async (apiKey, prompt, history) => {
-  const messages = [
-    { role: "system", content: "You are a helpful assistant." },
-    ...history.map(msg => ({
-      role: msg.senderId ? "user" : "assistant",
-      content: msg.text
-    })),
-    { role: "user", content: prompt }
-  ];
-
-  const response = await axios.post(
-    "https://api.openai.com/v1/chat/completions",
-    {
-      model: "gpt-4o",
-      messages: messages,
-      max_tokens: 1500,
-      temperature: 0.7,
-    },
-    {
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
+/**
+ * Check that the target's model is reachable with this key, without generating anything.
+ * Adapters without a checkModel() fall back to a one-token completion.
+ * @param {string|Object} target - Model name or {provider, model, baseUrl}.
+ * @returns {Promise<void>}
+ */
+export const checkLLMModel = async (target, apiKey) => {
+  const { provider, resolved } = prepareCall(target, {});
+  const name = describeTarget(resolved);
+
+  try {
+    if (provider.checkModel) {
+      await provider.checkModel({ ...resolved, apiKey });
+    } else {
+      await provider.call({ ...resolved, apiKey, prompt: "ping", history: [], options: { maxTokens: 1, temperature: 0 } });
     }
-  );
+  } catch (error) {
+    console.error(`LLM model check failed for model ${name}:`, error.message);
+    throw new Error(`Failed to reach ${name}: ${error.message}`, { cause: error });
+  }
+};
+
+/**
+ * Get a complete reply from the LLM.
+ * @param {string|Object} target - Model name or {provider, model, baseUrl}.
+ * @returns {Promise<string>}
+ */
+export const callLLMApi = async (target, apiKey, prompt, history = [], options = {}) => {
+  const { text } = await callLLMApiWithUsage(target, apiKey, prompt, history, options);
+  return text;
+};
+
+/**
+ * Stream a reply from the LLM, calling onToken for every text chunk.
+ * Aborting the signal stops the stream and resolves with the partial text.
+ * @returns {Promise<{text: string, cancelled: boolean, usage: Object}>}
+ */
+export const streamLLMApi = async (target, apiKey, prompt, history = [], options = {}, { onToken = () => {}, signal } = {}) => {
+  const { provider, resolved } = prepareCall(target, options);
+  const name = describeTarget(resolved);
+
+  try {
+    const { text, cancelled, usage } = await provider.stream({
+      ...resolved, apiKey, prompt, history, options, onToken, signal
+    });
 
-  return response.data.choices[0].message.content;
+    return {
+      text,
+      cancelled,
+      usage: normalizeUsage(usage, { prompt, history, options }, text)
+    };
+  } catch (error) {
+    console.error(`LLM streaming call failed for model ${name}:`, error.message);
+    throw new Error(`Failed to stream response from ${name}: ${error.message}`, { cause: error });
+  }
 };
 
-const callMistralAPI = async (apiKey, prompt, history) => {
-  const messages = [
-    { role: "system", content: "You are a helpful assistant." },
-    ...history.map(msg => ({
-      role: msg.senderId ? "user" : "assistant",
-      content: msg.text
-    })),
-    { role: "user", content: prompt }
-  ];
-
-  const response = await axios.post(
-    "https://api.mistral.ai/v1/chat/completions",
-    {
-      model: "mistral-large-latest",
-      messages: messages,
-      max_tokens: 1500,
-      temperature: 0.7,
-    },
-    {
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
+const MAX_TOOL_ROUNDS = 5;
+const MAX_TOOL_RESULT_LENGTH = 4000; // characters of a tool result handed back to the model
+
+// Run one tool call; failures come back as an error for the model to read rather than throwing
+const runTool = async (tool, args, context) => {
+  const startTime = Date.now();
+  try {
+    let result = await tool.execute(args || {}, context);
+
+    // Keep oversized payloads from blowing up the next turn
+    const serialized = typeof result === "string" ? result : JSON.stringify(result);
+    if (serialized && serialized.length > MAX_TOOL_RESULT_LENGTH) {
+      result = `${serialized.slice(0, MAX_TOOL_RESULT_LENGTH)}... [truncated]`;
     }
-  );
 
-  return response.data.choices[0].message.content;
+    return { result, durationMs: Date.now() - startTime };
+  } catch (error) {
+    return { error: error.message, durationMs: Date.now() - startTime };
+  }
 };
 
-const callDeepSeekAPI = async (apiKey, prompt, history) => {
-  const messages = [
-    { role: "system", content: "You are a helpful assistant." },
-    ...history.map(msg => ({
-      role: msg.senderId ? "user" : "assistant",
-      content: msg.text
-    })),
-    { role: "user", content: prompt }
-  ];
-
-  const response = await axios.post(
-    "https://api.deepseek.com/chat/completions",
-    {
-      model: "deepseek-chat",
-      messages: messages,
-      max_tokens: 1500,
-      temperature: 0.7,
-    },
-    {
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Content-Type": "application/json",
-      },
+// Add up per-turn usage; if any turn went unreported, leave it to normalizeUsage to estimate
+const sumUsage = (usages) => {
+  if (usages.some(usage => usage?.totalTokens === undefined)) return undefined;
+
+  return usages.reduce((sum, usage) => ({
+    promptTokens: sum.promptTokens + (usage.promptTokens || 0),
+    completionTokens: sum.completionTokens + (usage.completionTokens || 0),
+    totalTokens: sum.totalTokens + (usage.totalTokens || 0)
+  }), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+};
+
+/**
+ * Get a reply from the LLM, letting it call tools over several turns.
+ * Each tool is {name, description, parameters (JSON schema), execute(args, context)}.
+ * Providers without tool support get a plain call.
+ * @param {Object} toolOptions - {tools, context, maxRounds, onToolCall, signal}
+ * @returns {Promise<{text: string, usage: Object, provider: string, model: string, toolCalls: Array, cancelled: boolean}>}
+ */
+export const callLLMApiWithTools = async (target, apiKey, prompt, history = [], options = {}, toolOptions = {}) => {
+  const { tools = [], context = {}, maxRounds = MAX_TOOL_ROUNDS, onToolCall = () => {}, signal } = toolOptions;
+  const { provider, resolved } = prepareCall(target, options);
+
+  if (tools.length === 0 || typeof provider.startToolSession !== "function") {
+    const result = await callLLMApiWithUsage(target, apiKey, prompt, history, options);
+    return { ...result, toolCalls: [], cancelled: false };
+  }
+
+  const name = describeTarget(resolved);
+  const toolCalls = [];
+  const turnUsages = [];
+
+  try {
+    const session = provider.startToolSession({ ...resolved, apiKey, prompt, history, options, tools, signal });
+
+    let turn = await session.next();
+    turnUsages.push(turn.usage);
+
+    for (let round = 1; turn.toolCalls.length > 0; round++) {
+      // Past the limit the model gets one last turn to answer with what it has
+      const limitReached = round > maxRounds;
+      const toolResults = [];
+
+      for (const call of turn.toolCalls) {
+        const tool = tools.find(candidate => candidate.name === call.name);
+        let outcome;
+        if (limitReached) {
+          outcome = { error: "Tool call limit reached; answer with the information you already have", durationMs: 0 };
+        } else if (!tool) {
+          outcome = { error: `Unknown tool: ${call.name}`, durationMs: 0 };
+        } else {
+          outcome = await runTool(tool, call.arguments, context);
+        }
+
+        const entry = {
+          round,
+          name: call.name,
+          arguments: call.arguments,
+          result: outcome.result,
+          error: outcome.error,
+          durationMs: outcome.durationMs
+        };
+        toolCalls.push(entry);
+        onToolCall(entry);
+
+        toolResults.push({
+          id: call.id,
+          name: call.name,
+          output: outcome.error ? { error: outcome.error } : { result: outcome.result }
+        });
+      }
+
+      turn = await session.next(toolResults);
+      turnUsages.push(turn.usage);
+      if (limitReached) break;
     }
-  );
 
-  return response.data.choices[0].message.content;
-};
\ No newline at end of file
+    const text = turn.text || "I wasn't able to finish this request with the tools available.";
+    return {
+      text,
+      usage: normalizeUsage(sumUsage(turnUsages), { prompt, history, options }, text),
+      provider: resolved.provider,
+      model: resolved.model,
+      toolCalls,
+      cancelled: false
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      return {
+        text: "",
+        usage: normalizeUsage(undefined, { prompt, history, options }, ""),
+        provider: resolved.provider,
+        model: resolved.model,
+        toolCalls,
+        cancelled: true
+      };
+    }
+
+    console.error(`LLM tool call failed for model ${name}:`, error.message);
+    throw new Error(`Failed to get response from ${name}: ${error.message}`, { cause: error });
+  }
+};
@@ -0,0 +1,444 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import axios from "axios";
+import { getLLMRequestOptions } from "../lib/urlSafety.js";
+
+const DEFAULT_SYSTEM_PROMPT = "You are a helpful assistant.";
+const DEFAULT_MAX_TOKENS = 1500;
+const DEFAULT_TEMPERATURE = 0.7;
+
+// Ranges accepted by the OpenAI chat completions API, which most compatible servers mirror
+const OPENAI_OPTION_LIMITS = {
+  maxTokens: [1, 16384],
+  temperature: [0, 2],
+  topP: [0, 1],
+  frequencyPenalty: [-2, 2],
+  presencePenalty: [-2, 2]
+};
+
+const isAbortError = (error, signal) =>
+  signal?.aborted || axios.isCancel(error) || error.name === "AbortError";
+
+// The new user turn; images ride along as base64 data URLs
+const toChatUserContent = (prompt, images = []) => (
+  images.length === 0 ? prompt : [
+    { type: "text", text: prompt },
+    ...images.map(image => ({
+      type: "image_url",
+      image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+    }))
+  ]
+);
+
+// Convert history to the OpenAI-style chat format
+const toChatMessages = (prompt, history, options) => [
+  { role: "system", content: options.systemPrompt || DEFAULT_SYSTEM_PROMPT },
+  ...history.map(msg => ({
+    role: msg.senderId ? "user" : "assistant",
+    content: msg.text
+  })),
+  { role: "user", content: toChatUserContent(prompt, options.images) }
+];
+
+// Map chatbot response settings onto the OpenAI-style request body.
+// Unset options are left undefined so they are dropped from the JSON payload.
+const toChatCompletionBody = (model, prompt, history, options) => ({
+  model,
+  messages: toChatMessages(prompt, history, options),
+  max_tokens: options.maxTokens ?? DEFAULT_MAX_TOKENS,
+  temperature: options.temperature ?? DEFAULT_TEMPERATURE,
+  top_p: options.topP,
+  frequency_penalty: options.frequencyPenalty || undefined,
+  presence_penalty: options.presencePenalty || undefined,
+});
+
+// Token counts in the shape the LLM service reports
+const fromOpenAIUsage = (usage) => usage && {
+  promptTokens: usage.prompt_tokens,
+  completionTokens: usage.completion_tokens,
+  totalTokens: usage.total_tokens
+};
+
+const fromGeminiUsage = (usageMetadata) => usageMetadata && {
+  promptTokens: usageMetadata.promptTokenCount,
+  completionTokens: usageMetadata.candidatesTokenCount,
+  totalTokens: usageMetadata.totalTokenCount
+};
+
+// Tool declarations in the OpenAI function-calling format
+const toChatCompletionTools = (tools) => tools.map(tool => ({
+  type: "function",
+  function: {
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters
+  }
+}));
+
+// Models occasionally return malformed argument JSON; treat it as no arguments
+const parseToolArguments = (value) => {
+  try {
+    return JSON.parse(value || "{}");
+  } catch {
+    return {};
+  }
+};
+
+const toChatCompletionHeaders = (apiKey) => ({
+  // Self-hosted servers often run without a key
+  ...(apiKey && { "Authorization": `Bearer ${apiKey}` }),
+  "Content-Type": "application/json",
+});
+
+/**
+ * Build an adapter for any server speaking the OpenAI chat completions protocol.
+ * OpenAI, Mistral, DeepSeek and self-hosted servers (Ollama, vLLM, ...) all share it.
+ */
+export const createOpenAICompatibleProvider = ({
+  id,
+  label,
+  models = null,
+  imageModels = [], // Models that accept image input
+  defaultBaseUrl,
+  completionsPath = "/chat/completions",
+  requiresBaseUrl = false,
+  requiresApiKey = true,
+  optionLimits = OPENAI_OPTION_LIMITS,
+  // OpenAI only reports usage on streams when asked; other servers may reject the option
+  streamUsageOption = false
+}) => {
+  const getBaseUrl = (baseUrl) => (baseUrl || defaultBaseUrl).replace(/\/+$/, "");
+  const getUrl = (baseUrl) => `${getBaseUrl(baseUrl)}${completionsPath}`;
+
+  return {
+    id,
+    label,
+    models,
+    imageModels,
+    defaultBaseUrl,
+    requiresBaseUrl,
+    requiresApiKey,
+    optionLimits,
+
+    // Listing models is free and still goes through the key check
+    checkModel: async ({ model, baseUrl, apiKey }) => {
+      const response = await axios.get(`${getBaseUrl(baseUrl)}/models`, {
+        headers: toChatCompletionHeaders(apiKey),
+        ...getLLMRequestOptions()
+      });
+
+      // Self-hosted servers name their models freely, so only a fixed catalogue is checked
+      const offered = (response.data?.data || []).map(entry => entry.id);
+      if (models && !offered.includes(model)) {
+        const error = new Error(`Model ${model} is not in this account's model list`);
+        error.status = 404;
+        throw error;
+      }
+    },
+
+    call: async ({ model, baseUrl, apiKey, prompt, history, options }) => {
+      const response = await axios.post(
+        getUrl(baseUrl),
+        toChatCompletionBody(model, prompt, history, options),
+        { headers: toChatCompletionHeaders(apiKey), ...getLLMRequestOptions() }
+      );
+
+      return {
+        text: response.data.choices[0].message.content,
+        usage: fromOpenAIUsage(response.data.usage)
+      };
+    },
+
+    // Streamed replies arrive as server-sent events:
+    // "data: {choices: [{delta: {content}}]}" lines terminated by "data: [DONE]".
+    // Usage, when reported, comes on the last chunk.
+    stream: async ({ model, baseUrl, apiKey, prompt, history, options, onToken, signal }) => {
+      let text = "";
+      let usage;
+
+      try {
+        const response = await axios.post(
+          getUrl(baseUrl),
+          {
+            ...toChatCompletionBody(model, prompt, history, options),
+            stream: true,
+            ...(streamUsageOption && { stream_options: { include_usage: true } }),
+          },
+          {
+            headers: toChatCompletionHeaders(apiKey),
+            responseType: "stream",
+            signal,
+            ...getLLMRequestOptions()
+          }
+        );
+
+        let buffer = "";
+        for await (const chunk of response.data) {
+          buffer += chunk.toString("utf8");
+          const lines = buffer.split("\n");
+          buffer = lines.pop(); // Keep the incomplete line for the next chunk
+
+          for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith("data:")) continue;
+
+            const data = trimmed.slice(5).trim();
+            if (data === "[DONE]") {
+              return { text, cancelled: false, usage };
+            }
+
+            const payload = JSON.parse(data);
+            if (payload.usage) {
+              usage = fromOpenAIUsage(payload.usage);
+            }
+
+            const token = payload.choices?.[0]?.delta?.content;
+            if (token) {
+              text += token;
+              onToken(token);
+            }
+          }
+        }
+      } catch (error) {
+        if (isAbortError(error, signal)) {
+          return { text, cancelled: true, usage };
+        }
+        throw error;
+      }
+
+      return { text, cancelled: false, usage };
+    },
+
+    // Multi-turn tool session: every next() sends the tool results back and returns the model's next move
+    startToolSession: ({ model, baseUrl, apiKey, prompt, history, options, tools, signal }) => {
+      const body = {
+        ...toChatCompletionBody(model, prompt, history, options),
+        tools: toChatCompletionTools(tools)
+      };
+      const messages = body.messages;
+
+      return {
+        next: async (toolResults = []) => {
+          toolResults.forEach(({ id, output }) => {
+            messages.push({ role: "tool", tool_call_id: id, content: JSON.stringify(output) });
+          });
+
+          const response = await axios.post(
+            getUrl(baseUrl),
+            { ...body, messages },
+            { headers: toChatCompletionHeaders(apiKey), signal, ...getLLMRequestOptions() }
+          );
+
+          const message = response.data.choices[0].message;
+          messages.push(message);
+
+          return {
+            text: message.content || "",
+            toolCalls: (message.tool_calls || []).map(call => ({
+              id: call.id,
+              name: call.function.name,
+              arguments: parseToolArguments(call.function.arguments)
+            })),
+            usage: fromOpenAIUsage(response.data.usage)
+          };
+        }
+      };
+    }
+  };
+};
+
+// Chatbot model names that map to a different name on the Gemini API
+const GEMINI_MODEL_ALIASES = {
+  "gemini-2.0-flash": "gemini-2.0-flash-exp"
+};
+
+// Gemini accepts an OpenAPI subset of JSON schema; drop the keywords it rejects
+const GEMINI_SCHEMA_KEYS = ["type", "description", "properties", "required", "items", "enum", "format", "nullable"];
+
+const toGeminiSchema = (schema) => {
+  if (!schema || typeof schema !== "object") return schema;
+
+  const converted = {};
+  GEMINI_SCHEMA_KEYS.forEach(key => {
+    if (schema[key] !== undefined) converted[key] = schema[key];
+  });
+  if (converted.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(converted.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+    );
+  }
+  if (converted.items) {
+    converted.items = toGeminiSchema(converted.items);
+  }
+  return converted;
+};
+
+const toGeminiTools = (tools) => [{
+  functionDeclarations: tools.map(tool => {
+    const parameters = toGeminiSchema(tool.parameters);
+    return {
+      name: tool.name,
+      description: tool.description,
+      // Gemini rejects an object schema without properties
+      ...(parameters?.properties && Object.keys(parameters.properties).length > 0 && { parameters })
+    };
+  })
+}];
+
+// Gemini takes the prompt and images as parts of one message
+const toGeminiMessage = (prompt, images = []) => (
+  images.length === 0 ? prompt : [
+    prompt,
+    ...images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+  ]
+);
+
+const getGeminiChat = ({ model, apiKey, history, options, tools }) => {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel(
+    {
+      model: GEMINI_MODEL_ALIASES[model] || model,
+      systemInstruction: options.systemPrompt || DEFAULT_SYSTEM_PROMPT,
+      generationConfig: {
+        maxOutputTokens: options.maxTokens ?? DEFAULT_MAX_TOKENS,
+        temperature: options.temperature ?? DEFAULT_TEMPERATURE,
+        topP: options.topP,
+      },
+      ...(tools?.length > 0 && { tools: toGeminiTools(tools) }),
+    }
+  );
+
+  // Convert history to Gemini format
+  return generativeModel.startChat({
+    history: history.map(msg => ({
+      role: msg.senderId ? "user" : "model",
+      parts: [{ text: msg.text }]
+    })),
+  });
+};
+
+export const geminiProvider = {
+  id: "gemini",
+  label: "Google Gemini",
+  models: ["gemini-2.0-flash", "gemini-1.5-flash", "gemini-1.5-pro"],
+  imageModels: ["gemini-2.0-flash", "gemini-1.5-flash", "gemini-1.5-pro"],
+  defaultBaseUrl: "https://generativelanguage.googleapis.com",
+  // The SDK makes its own requests, which can't be kept off private hosts, so only Google's endpoint is used
+  acceptsBaseUrl: false,
+  requiresBaseUrl: false,
+  requiresApiKey: true,
+  optionLimits: {
+    maxTokens: [1, 8192],
+    temperature: [0, 2],
+    topP: [0, 1],
+    frequencyPenalty: null, // Penalties are not enabled for these Gemini models
+    presencePenalty: null
+  },
+
+  // Model metadata is free and rejects a bad key or an unknown model like a generation would
+  checkModel: async ({ model, apiKey }) => {
+    await axios.get(`${geminiProvider.defaultBaseUrl}/v1beta/models/${GEMINI_MODEL_ALIASES[model] || model}`, {
+      headers: { "x-goog-api-key": apiKey }
+    });
+  },
+
+  call: async (params) => {
+    const chat = getGeminiChat(params);
+
+    const result = await chat.sendMessage(toGeminiMessage(params.prompt, params.options.images));
+    const response = await result.response;
+    return {
+      text: response.text(),
+      usage: fromGeminiUsage(response.usageMetadata)
+    };
+  },
+
+  stream: async (params) => {
+    const { prompt, options, onToken, signal } = params;
+    const chat = getGeminiChat(params);
+
+    let text = "";
+    let usage;
+    try {
+      const result = await chat.sendMessageStream(toGeminiMessage(prompt, options.images), { signal });
+      for await (const chunk of result.stream) {
+        // Every chunk carries the running usage; the last one is the total
+        if (chunk.usageMetadata) {
+          usage = fromGeminiUsage(chunk.usageMetadata);
+        }
+
+        const token = chunk.text();
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+      }
+    } catch (error) {
+      if (isAbortError(error, signal)) {
+        return { text, cancelled: true, usage };
+      }
+      throw error;
+    }
+
+    return { text, cancelled: false, usage };
+  },
+
+  startToolSession: (params) => {
+    const { prompt, options, signal } = params;
+    const chat = getGeminiChat(params);
+
+    return {
+      next: async (toolResults) => {
+        const request = toolResults
+          ? toolResults.map(({ name, output }) => ({ functionResponse: { name, response: output } }))
+          : toGeminiMessage(prompt, options.images);
+
+        const result = await chat.sendMessage(request, { signal });
+        const response = result.response;
+        const functionCalls = response.functionCalls() || [];
+
+        return {
+          text: response.text(),
+          toolCalls: functionCalls.map((call, index) => ({
+            id: `${call.name}-${index}`,
+            name: call.name,
+            arguments: call.args || {}
+          })),
+          usage: fromGeminiUsage(response.usageMetadata)
+        };
+      }
+    };
+  }
+};
+
+export const builtInProviders = [
+  geminiProvider,
+  createOpenAICompatibleProvider({
+    id: "openai",
+    label: "OpenAI",
+    models: ["gpt-4o", "gpt-4o-mini"],
+    imageModels: ["gpt-4o", "gpt-4o-mini"],
+    defaultBaseUrl: "https://api.openai.com/v1",
+    streamUsageOption: true
+  }),
+  createOpenAICompatibleProvider({
+    id: "mistral",
+    label: "Mistral AI",
+    models: ["mistral-large-latest", "mistral-small-latest"],
+    defaultBaseUrl: "https://api.mistral.ai/v1",
+    optionLimits: { ...OPENAI_OPTION_LIMITS, maxTokens: [1, 32768], temperature: [0, 1.5] }
+  }),
+  createOpenAICompatibleProvider({
+    id: "deepseek",
+    label: "DeepSeek",
+    models: ["deepseek-chat"],
+    defaultBaseUrl: "https://api.deepseek.com",
+    optionLimits: { ...OPENAI_OPTION_LIMITS, maxTokens: [1, 8192] }
+  }),
+  // Any self-hosted or third-party server exposing /chat/completions
+  createOpenAICompatibleProvider({
+    id: "openai-compatible",
+    label: "OpenAI-compatible endpoint",
+    requiresBaseUrl: true,
+    requiresApiKey: false
+  })
+];
@@ -0,0 +1,104 @@
+import { builtInProviders } from "./llmProviders.service.js";
+import { getAllowedLLMHosts, isPublicHttpUrl } from "../lib/urlSafety.js";
+
+// Registered LLM provider adapters, keyed by the provider id stored on chatbots
+const providers = new Map();
+
+/**
+ * Register (or replace) an LLM provider adapter.
+ * An adapter needs an `id`, `call` and `stream`; see llmProviders.service.js for the full shape.
+ */
+export const registerLLMProvider = (provider) => {
+  if (!provider?.id || typeof provider.call !== "function" || typeof provider.stream !== "function") {
+    throw new Error("LLM provider must have an id, call() and stream()");
+  }
+
+  providers.set(provider.id, {
+    models: null,
+    imageModels: [],
+    acceptsBaseUrl: true,
+    requiresBaseUrl: false,
+    requiresApiKey: true,
+    optionLimits: {},
+    ...provider
+  });
+};
+
+export const getLLMProvider = (providerId) => providers.get(providerId);
+
+// Public description of every provider, for clients building a chatbot form
+export const listLLMProviders = () =>
+  Array.from(providers.values()).map(provider => ({
+    id: provider.id,
+    label: provider.label || provider.id,
+    models: provider.models,
+    imageModels: provider.imageModels,
+    defaultBaseUrl: provider.defaultBaseUrl,
+    acceptsBaseUrl: provider.acceptsBaseUrl,
+    requiresBaseUrl: provider.requiresBaseUrl,
+    requiresApiKey: provider.requiresApiKey
+  }));
+
+// Find the provider serving a model name; only providers with a fixed model list are considered
+export const findProviderForModel = (model) =>
+  Array.from(providers.values()).find(provider => provider.models?.includes(model));
+
+/**
+ * Normalize what callers pass as an LLM target.
+ * Accepts a bare model name (legacy chatbots) or {provider, model, baseUrl}.
+ * @returns {{provider: string, model: string, baseUrl: string|undefined}}
+ */
+export const resolveLLMTarget = (target) => {
+  const { provider, model, baseUrl } = typeof target === "string" ? { model: target } : (target || {});
+
+  return {
+    provider: provider || findProviderForModel(model)?.id,
+    model,
+    baseUrl: baseUrl || undefined
+  };
+};
+
+/**
+ * Validate a provider/model/baseUrl combination before it is stored on a chatbot.
+ * @returns {string[]} - One message per problem, empty when the target is usable.
+ */
+export const validateLLMTarget = (target, { apiKey } = {}) => {
+  const { provider: providerId, model, baseUrl } = resolveLLMTarget(target);
+  const problems = [];
+
+  if (!model) {
+    problems.push("Model is required");
+  }
+
+  const provider = getLLMProvider(providerId);
+  if (!provider) {
+    problems.push(providerId ? `Unknown provider: ${providerId}` : `No provider serves model: ${model}`);
+    return problems;
+  }
+
+  if (model && provider.models && !provider.models.includes(model)) {
+    problems.push(`${provider.id} does not offer model ${model}. Available: ${provider.models.join(", ")}`);
+  }
+
+  if (baseUrl && !provider.acceptsBaseUrl) {
+    problems.push(`${provider.id} does not accept a base URL`);
+  } else if (baseUrl && !isPublicHttpUrl(baseUrl, getAllowedLLMHosts())) {
+    problems.push("Base URL must be a public http(s) URL or a private host allowed by the server");
+  } else if (!baseUrl && provider.requiresBaseUrl) {
+    problems.push(`${provider.id} requires a base URL`);
+  }
+
+  if (apiKey !== undefined && !apiKey && provider.requiresApiKey) {
+    problems.push(`${provider.id} requires an API key`);
+  }
+
+  return problems;
+};
+
+// Whether the target's model accepts image input
+export const supportsImageInput = (target) => {
+  const { provider: providerId, model } = resolveLLMTarget(target);
+  return !!getLLMProvider(providerId)?.imageModels?.includes(model);
+};
+
+builtInProviders.forEach(registerLLMProvider);
@@ -0,0 +1,168 @@
+import RE2 from "re2";
+import ModerationLog from "../models/moderationLog.model.js";
+
+const DEFAULT_REFUSAL = "I'm sorry, but I can't help with that request.";
+const EXCERPT_RADIUS = 60; // characters kept on each side of a match
+const MAX_PATTERN_LENGTH = 200;
+const MAX_CUSTOM_FILTERS = 50;
+
+const SEVERITY_ORDER = ["low", "medium", "high"];
+
+// Lowest severity each contentFilter level blocks; "none" switches rule screening off
+const FILTER_THRESHOLDS = {
+  none: null,
+  mild: "high",
+  moderate: "medium",
+  strict: "low"
+};
+
+// Built-in rules. Deliberately narrow: they catch clear requests, not every mention of a subject.
+const BUILT_IN_RULES = [
+  { category: "self-harm", severity: "high", pattern: /\b(kill|hurt|harm)\s+(myself|yourself)\b/i },
+  { category: "self-harm", severity: "high", pattern: /\b(best|painless|easiest)\s+(way|method)s?\s+to\s+(die|commit\s+suicide)\b/i },
+  { category: "weapons", severity: "high", pattern: /\b(build|make|assemble)\s+(a\s+)?(pipe\s*)?(bomb|explosive device)\b/i },
+  { category: "violence", severity: "medium", pattern: /\bhow\s+to\s+(murder|kill|poison)\s+(someone|somebody|a\s+person|people)\b/i },
+  { category: "sexual", severity: "medium", pattern: /\b(porn\w*|explicit\s+sex\w*|nude\s+(photo|pic|image)s?)\b/i },
+  { category: "profanity", severity: "low", pattern: /\b(fuck\w*|shit\w*|bitch\w*|asshole\w*|bastard\w*)\b/i }
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word, case-insensitive keyword match
+const keywordPattern = (keyword) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(keyword.trim())}(?![\\p{L}\\p{N}])`, "iu");
+
+// Owner regexes screen other users' text, on every token of a stream. RE2 matches in linear time,
+// so no pattern can backtrack its way into stalling the server.
+const ownerPattern = (pattern) => new RE2(pattern, "iu");
+
+const meetsThreshold = (severity, threshold) =>
+  threshold !== null && SEVERITY_ORDER.indexOf(severity) >= SEVERITY_ORDER.indexOf(threshold);
+
+/**
+ * Check owner-defined filters before saving them.
+ * @returns {string[]} problems, empty when the filters are usable
+ */
+export const validateCustomFilters = (filters) => {
+  if (!Array.isArray(filters)) return ["customFilters must be a list"];
+  if (filters.length > MAX_CUSTOM_FILTERS) return [`At most ${MAX_CUSTOM_FILTERS} custom filters are allowed`];
+
+  const problems = [];
+  filters.forEach((filter, index) => {
+    const label = `Filter ${index + 1}`;
+    if (typeof filter?.pattern !== "string" || !filter.pattern.trim()) {
+      problems.push(`${label}: pattern is required`);
+      return;
+    }
+    if (filter.pattern.length > MAX_PATTERN_LENGTH) {
+      problems.push(`${label}: pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (filter.severity !== undefined && !SEVERITY_ORDER.includes(filter.severity)) {
+      problems.push(`${label}: severity must be one of ${SEVERITY_ORDER.join(", ")}`);
+    }
+    if (filter.isRegex) {
+      try {
+        ownerPattern(filter.pattern);
+      } catch (error) {
+        problems.push(`${label}: invalid regular expression (${error.message})`);
+      }
+    }
+  });
+  return problems;
+};
+
+// Rules a chatbot's text is screened against at its filter level
+const buildRules = (chatbot) => {
+  const { blockedTopics = [], contentFilter = "moderate", customFilters = [] } = chatbot.restrictions || {};
+  const threshold = contentFilter in FILTER_THRESHOLDS ? FILTER_THRESHOLDS[contentFilter] : FILTER_THRESHOLDS.moderate;
+
+  // Blocked topics are the owner's explicit choice, so they apply at every filter level
+  const rules = blockedTopics
+    .filter(topic => topic?.trim())
+    .map(topic => ({ ruleType: "blockedTopic", category: topic, severity: "high", pattern: keywordPattern(topic) }));
+
+  BUILT_IN_RULES
+    .filter(rule => meetsThreshold(rule.severity, threshold))
+    .forEach(rule => rules.push({ ruleType: "builtIn", ...rule }));
+
+  customFilters
+    .filter(filter => filter?.pattern?.trim() && meetsThreshold(filter.severity || "medium", threshold))
+    .forEach(filter => {
+      try {
+        rules.push({
+          ruleType: "custom",
+          category: filter.category || "custom",
+          severity: filter.severity || "medium",
+          pattern: filter.isRegex ? ownerPattern(filter.pattern) : keywordPattern(filter.pattern)
+        });
+      } catch (error) {
+        // Filters are validated on save; skip any that no longer compile
+        console.error(`Skipping invalid moderation filter for chatbot ${chatbot._id}:`, error.message);
+      }
+    });
+
+  return rules;
+};
+
+/**
+ * Build a screening function for a chatbot. Rules are compiled once, so the
+ * function can be called on every token of a streamed reply.
+ * @returns {(text: string) => {blocked: boolean, violations: Array, severity: string|null, excerpt: string}}
+ */
+export const createModerator = (chatbot) => {
+  const rules = buildRules(chatbot);
+
+  return (text = "") => {
+    const violations = [];
+    let firstMatch = null;
+
+    for (const rule of rules) {
+      const match = rule.pattern.exec(text);
+      if (!match) continue;
+
+      violations.push({
+        ruleType: rule.ruleType,
+        category: rule.category,
+        severity: rule.severity,
+        matched: match[0]
+      });
+      if (!firstMatch || match.index < firstMatch.index) firstMatch = match;
+    }
+
+    const severity = violations.reduce((highest, violation) =>
+      !highest || SEVERITY_ORDER.indexOf(violation.severity) > SEVERITY_ORDER.indexOf(highest) ? violation.severity : highest,
+    null);
+
+    return {
+      blocked: violations.length > 0,
+      violations,
+      severity,
+      excerpt: firstMatch
+        ? text.slice(Math.max(0, firstMatch.index - EXCERPT_RADIUS), firstMatch.index + firstMatch[0].length + EXCERPT_RADIUS)
+        : ""
+    };
+  };
+};
+
+export const getRefusalMessage = (chatbot) => chatbot.restrictions?.refusalMessage?.trim() || DEFAULT_REFUSAL;
+
+/**
+ * Record a blocked prompt or reply for the owner to review. Never throws.
+ */
+export const logModerationBlock = async ({ chatbot, userId, direction, result, conversationId }) => {
+  try {
+    await ModerationLog.create({
+      chatbotId: chatbot._id,
+      userId,
+      direction,
+      violations: result.violations,
+      severity: result.severity,
+      contentFilter: chatbot.restrictions?.contentFilter,
+      excerpt: result.excerpt,
+      conversationType: conversationId ? "group" : "direct",
+      conversationId
+    });
+  } catch (error) {
+    console.error("Error logging moderation block:", error);
+  }
+};
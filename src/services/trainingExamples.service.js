@@ -0,0 +1,73 @@
+import MessageEnhanced from "../models/message_enhanced.model.js";
+import { tokenize } from "./knowledge.service.js";
+
+const DEFAULT_FEW_SHOT_LIMIT = 3;
+const MIN_SIMILARITY = 0.15;
+const MAX_INPUT_LENGTH = 500; // trainingExamples.input maxlength
+
+// Cosine similarity of two term sets
+const termSimilarity = (queryTerms, text) => {
+  const terms = new Set(tokenize(text));
+  if (queryTerms.size === 0 || terms.size === 0) return 0;
+
+  let shared = 0;
+  for (const term of queryTerms) {
+    if (terms.has(term)) shared += 1;
+  }
+  return shared / Math.sqrt(queryTerms.size * terms.size);
+};
+
+/**
+ * Pick the training examples whose input is most similar to the incoming question,
+ * to show the model as few-shot examples.
+ * @returns {Array<{input: string, output: string, score: number}>}
+ */
+export const selectFewShotExamples = (chatbot, query, { limit = DEFAULT_FEW_SHOT_LIMIT } = {}) => {
+  const queryTerms = new Set(tokenize(query));
+  if (queryTerms.size === 0 || chatbot.trainingExamples.length === 0) return [];
+
+  return chatbot.trainingExamples
+    .map(example => ({
+      input: example.input,
+      output: example.output,
+      score: termSimilarity(queryTerms, example.input)
+    }))
+    .filter(example => example.score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * The user message a chatbot reply answered: the user's last message to the bot before it,
+ * in the same chat session when the reply has one.
+ * Ids are passed explicitly because found messages have senderId populated.
+ * @returns {Promise<string>} its text, truncated to fit a training example
+ */
+export const findPromptForReply = async ({ chatbotId, userId, sessionId, repliedAt }) => {
+  const prompt = await MessageEnhanced.findOne({
+    senderId: userId,
+    receiverId: chatbotId,
+    ...(sessionId ? { sessionId } : {}),
+    createdAt: { $lte: repliedAt }
+  })
+    .sort({ createdAt: -1 })
+    .select("text")
+    .lean();
+
+  return (prompt?.text || "").slice(0, MAX_INPUT_LENGTH);
+};
+
+/**
+ * Training examples in the chat fine-tuning JSONL format: one
+ * {"messages": [system, user, assistant]} object per line.
+ */
+export const toFineTuningJSONL = (chatbot) =>
+  chatbot.trainingExamples
+    .map(example => JSON.stringify({
+      messages: [
+        { role: "system", content: chatbot.fullSystemPrompt },
+        { role: "user", content: example.input },
+        { role: "assistant", content: example.output }
+      ]
+    }))
+    .join("\n");
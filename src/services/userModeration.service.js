@@ -0,0 +1,103 @@
+import User from "../models/user.model.js";
+import UserEnhanced from "../models/user_enhanced.model.js";
+import { getAccountRestriction } from "../lib/utils.js";
+import { disconnectUserSockets } from "../lib/socket.js";
+import { disconnectUserSockets as disconnectEnhancedUserSockets } from "../lib/socket_enhanced.js";
+import { emitToUser } from "../lib/realtime.js";
+
+export const MAX_SUSPENSION_HOURS = 365 * 24;
+
+const STAFF_ROLES = ["moderator", "admin"];
+
+export const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+/**
+ * Find an account in either user collection, the way protectRoute does.
+ * @returns {Promise<{user: Object, model: mongoose.Model}|null>}
+ */
+export const findUserAccount = async (userId, select = "-password") => {
+  for (const model of [User, UserEnhanced]) {
+    const user = await model.findById(userId).select(select);
+    if (user) return { user, model };
+  }
+  return null;
+};
+
+// Moderators may act on regular users; only admins may act on moderators, and nobody on admins
+export const canModerate = (moderator, target) => {
+  if (target._id.toString() === moderator._id.toString()) return false;
+  if (target.role === "admin") return false;
+  if (target.role === "moderator") return moderator.role === "admin";
+  return true;
+};
+
+const buildActionUpdate = (action, reason, suspendedUntil) => {
+  switch (action) {
+    case "warn":
+      return { $inc: { "moderation.warningCount": 1 }, $set: { "moderation.lastWarnedAt": new Date() } };
+    case "suspend":
+      // A shorter suspension never cuts an existing longer one short
+      return {
+        $max: { "moderation.suspendedUntil": suspendedUntil },
+        $set: { "moderation.suspensionReason": reason }
+      };
+    case "ban":
+      return { $set: { "moderation.bannedAt": new Date(), "moderation.banReason": reason } };
+    case "reinstate":
+      return {
+        $unset: {
+          "moderation.suspendedUntil": 1,
+          "moderation.suspensionReason": 1,
+          "moderation.bannedAt": 1,
+          "moderation.banReason": 1
+        }
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Warn, suspend, ban or reinstate an account. A user who ends up locked out has their
+ * sockets closed right away; otherwise they are told, if online, what happened.
+ * @param {Object} params - {account: result of findUserAccount, action, reason, suspendedUntil}
+ * @returns {Promise<Object|null>} the updated user, or null for the "none" action
+ */
+export const applyModerationAction = async ({ account, action, reason, suspendedUntil }) => {
+  const update = buildActionUpdate(action, reason, suspendedUntil);
+  if (!update) return null;
+
+  const { user, model } = account;
+  const updated = await model.findByIdAndUpdate(user._id, update, { new: true }).select("-password");
+
+  const restriction = getAccountRestriction(updated);
+  if (restriction) {
+    disconnectUserSockets(user._id.toString(), restriction);
+    disconnectEnhancedUserSockets(user._id.toString(), restriction);
+    return updated;
+  }
+
+  emitToUser(user._id, "accountModerated", {
+    action,
+    reason,
+    suspendedUntil: updated?.moderation?.suspendedUntil,
+    warningCount: updated?.moderation?.warningCount
+  });
+  return updated;
+};
+
+// Whether the reporter is told that action was taken; which action stays private
+export const isActionTaken = (report) => report.status === "resolved" && report.resolution?.action !== "none";
+
+/**
+ * Tell the reporter, on every device they have online, that their report was closed.
+ * Offline reporters find it in getMyReports, where it stays unseen until they acknowledge it.
+ */
+export const notifyReporter = (report) => {
+  emitToUser(report.reporterId, "reportResolved", {
+    reportId: report._id,
+    status: report.status,
+    actionTaken: isActionTaken(report),
+    resolvedAt: report.resolution?.resolvedAt
+  });
+};
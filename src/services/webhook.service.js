@@ -0,0 +1,276 @@
+import axios from "axios";
+import crypto from "crypto";
+import ChatbotEnhanced from "../models/chatbot_enhanced.model.js";
+import ConversationEnhanced from "../models/conversation_enhanced.model.js";
+import WebhookDelivery from "../models/webhookDelivery.model.js";
+import { encrypt, decrypt } from "../lib/crypto.js";
+import { isPublicHttpUrl, publicRequestOptions } from "../lib/urlSafety.js";
+
+export const WEBHOOK_EVENTS = ["message.created", "chatbot.replied", "member.joined", "message.deleted"];
+
+const DELIVERY_TIMEOUT = 10000; // ms
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 30 * 1000; // 30s, doubled after every failed attempt
+const AUTO_DISABLE_THRESHOLD = 15; // consecutive failed attempts before an endpoint is switched off
+const CLAIM_TIMEOUT = 60 * 1000; // how long a worker owns a due delivery
+const WORKER_INTERVAL = 15 * 1000;
+const WORKER_BATCH_SIZE = 50;
+
+// Where each owner type keeps its webhooks
+const WEBHOOK_OWNERS = {
+  chatbot: { model: ChatbotEnhanced, path: "integrations.webhooks" },
+  conversation: { model: ConversationEnhanced, path: "webhooks" }
+};
+
+export const getOwnerWebhooks = (ownerType, owner) =>
+  ownerType === "chatbot" ? owner.integrations.webhooks : owner.webhooks;
+
+// Secrets are shown once at creation; only the encrypted form is stored
+export const generateWebhookSecret = () => {
+  const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  return { secret, encryptedSecret: encrypt(secret) };
+};
+
+/**
+ * Sign a webhook body. Receivers recompute HMAC-SHA256 over "<timestamp>.<body>"
+ * with their secret and compare it to the X-Webhook-Signature header.
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+// Delay before the next attempt: 30s, 1m, 2m, 4m, 8m
+const getRetryDelay = (attempts) => RETRY_BASE_DELAY * 2 ** (attempts - 1);
+
+const updateWebhook = (delivery, update) => {
+  const { model, path } = WEBHOOK_OWNERS[delivery.ownerType];
+  return model.findOneAndUpdate(
+    { _id: delivery.ownerId, [`${path}._id`]: delivery.webhookId },
+    update,
+    { new: true }
+  );
+};
+
+// Secrets are deselected by default; only the sender loads them
+const findWebhook = async (delivery) => {
+  const { model, path } = WEBHOOK_OWNERS[delivery.ownerType];
+  const owner = await model.findById(delivery.ownerId).select(`+${path}.secret`);
+  return owner && getOwnerWebhooks(delivery.ownerType, owner).id(delivery.webhookId);
+};
+
+// Count a failed attempt against the endpoint and switch it off once it keeps failing
+const recordWebhookFailure = async (delivery, error) => {
+  const { path } = WEBHOOK_OWNERS[delivery.ownerType];
+  const owner = await updateWebhook(delivery, { $inc: { [`${path}.$.consecutiveFailures`]: 1 } });
+  const webhook = owner && getOwnerWebhooks(delivery.ownerType, owner).id(delivery.webhookId);
+
+  if (webhook?.isActive && webhook.consecutiveFailures >= AUTO_DISABLE_THRESHOLD) {
+    await updateWebhook(delivery, {
+      $set: {
+        [`${path}.$.isActive`]: false,
+        [`${path}.$.disabledAt`]: new Date(),
+        [`${path}.$.disabledReason`]: `Disabled after ${webhook.consecutiveFailures} consecutive failed deliveries: ${error}`
+      }
+    });
+    console.warn(`Webhook ${delivery.webhookId} disabled after repeated failures`);
+  }
+};
+
+/**
+ * Send one delivery attempt and schedule the retry if it fails.
+ * @returns {Promise<WebhookDelivery>}
+ */
+export const attemptWebhookDelivery = async (delivery) => {
+  const webhook = await findWebhook(delivery);
+  if (!webhook || !webhook.isActive) {
+    delivery.status = "failed";
+    delivery.lastError = "Webhook was removed or disabled";
+    delivery.nextAttemptAt = undefined;
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    // Webhooks saved before URLs were checked may still point inside the network
+    if (!isPublicHttpUrl(delivery.url)) {
+      throw new Error("Webhook URL is not a public http(s) URL");
+    }
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "ChitChat-Webhooks/1.0",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signWebhookPayload(decrypt(webhook.secret), timestamp, body),
+        ...(delivery.replayOf && { "X-Webhook-Replay": "true" })
+      },
+      timeout: DELIVERY_TIMEOUT,
+      // Any 2xx is an acknowledgement; everything else is retried
+      validateStatus: status => status >= 200 && status < 300,
+      ...publicRequestOptions
+    });
+
+    delivery.status = "succeeded";
+    delivery.lastResponseStatus = response.status;
+    delivery.lastError = undefined;
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+
+    const { path } = WEBHOOK_OWNERS[delivery.ownerType];
+    await updateWebhook(delivery, {
+      $set: {
+        [`${path}.$.consecutiveFailures`]: 0,
+        [`${path}.$.lastDeliveryAt`]: new Date()
+      }
+    });
+  } catch (error) {
+    delivery.lastResponseStatus = error.response?.status;
+    delivery.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+    }
+
+    await recordWebhookFailure(delivery, delivery.lastError);
+  }
+
+  return delivery.save();
+};
+
+// Build the event body: receivers can dedupe on id, which replays keep
+const buildPayload = (event, ownerType, ownerId, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date().toISOString(),
+  [`${ownerType}Id`]: ownerId.toString(),
+  data
+});
+
+/**
+ * Queue an event for every active webhook of its owner subscribed to it, then try each right away.
+ * Never throws: webhook problems must not break the request that triggered them.
+ */
+export const dispatchWebhookEvent = async (ownerType, owner, event, data) => {
+  try {
+    const webhooks = getOwnerWebhooks(ownerType, owner)?.filter(webhook =>
+      webhook.isActive && (webhook.events.includes(event) || webhook.events.includes("*"))
+    ) || [];
+    if (webhooks.length === 0) return;
+
+    const payload = buildPayload(event, ownerType, owner._id, data);
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      ownerType,
+      ownerId: owner._id,
+      webhookId: webhook._id,
+      url: webhook.url,
+      event,
+      payload,
+      nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT)
+    })));
+
+    deliveries.forEach(delivery => {
+      attemptWebhookDelivery(delivery).catch(error => {
+        console.error("Error delivering webhook:", error);
+      });
+    });
+  } catch (error) {
+    console.error(`Error dispatching ${event} webhook:`, error);
+  }
+};
+
+export const dispatchChatbotEvent = (chatbot, event, data) =>
+  dispatchWebhookEvent("chatbot", chatbot, event, data);
+
+// Conversation events usually start from an id, so look the conversation up here
+export const dispatchConversationEvent = async (conversationId, event, data) => {
+  try {
+    const conversation = await ConversationEnhanced.findById(conversationId).select("webhooks");
+    if (conversation) {
+      await dispatchWebhookEvent("conversation", conversation, event, data);
+    }
+  } catch (error) {
+    console.error(`Error dispatching ${event} webhook:`, error);
+  }
+};
+
+// Re-send an earlier delivery's exact payload as a new delivery
+export const replayWebhookDelivery = async (original) => {
+  // The endpoint may have moved since the original delivery
+  const webhook = await findWebhook(original);
+
+  const delivery = await WebhookDelivery.create({
+    ownerType: original.ownerType,
+    ownerId: original.ownerId,
+    webhookId: original.webhookId,
+    url: webhook?.url || original.url,
+    event: original.event,
+    payload: original.payload,
+    replayOf: original._id,
+    nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT)
+  });
+
+  return attemptWebhookDelivery(delivery);
+};
+
+// Retry every delivery whose backoff has elapsed; each is claimed first so workers never double-send
+export const processDueWebhookDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: "pending", nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(WORKER_BATCH_SIZE)
+    .select("_id nextAttemptAt");
+
+  for (const { _id, nextAttemptAt } of due) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id, status: "pending", nextAttemptAt },
+      { $set: { nextAttemptAt: new Date(Date.now() + CLAIM_TIMEOUT) } },
+      { new: true }
+    );
+    if (delivery) {
+      await attemptWebhookDelivery(delivery);
+    }
+  }
+};
+
+let workerTimer = null;
+
+// Start the background retry loop (idempotent)
+export const startWebhookWorker = (interval = WORKER_INTERVAL) => {
+  if (workerTimer) return;
+
+  let running = false;
+  workerTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueWebhookDeliveries();
+    } catch (error) {
+      console.error("Error processing webhook deliveries:", error);
+    } finally {
+      running = false;
+    }
+  }, interval);
+  workerTimer.unref();
+};
+
+/**
+ * Shape of a message inside webhook payloads.
+ */
+export const toWebhookMessage = (message) => ({
+  _id: message._id,
+  conversationId: message.conversationId,
+  senderId: message.senderId?._id || message.senderId,
+  senderModel: message.senderModel,
+  receiverId: message.receiverId,
+  text: message.text,
+  image: message.image,
+  messageType: message.messageType,
+  createdAt: message.createdAt
+});